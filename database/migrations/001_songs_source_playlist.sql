@@ -0,0 +1,8 @@
+-- 001_songs_source_playlist.sql
+-- Playlist de Spotify de la que se importó cada canción, para poder
+-- sincronizar el catálogo (desactivar las canciones quitadas de la playlist).
+
+ALTER TABLE songs
+  ADD COLUMN source_playlist_id VARCHAR(64) NULL AFTER spotify_id,
+  ADD INDEX idx_songs_source_playlist (restaurant_id, source_playlist_id),
+  ADD INDEX idx_songs_spotify_id (restaurant_id, spotify_id);
@@ -0,0 +1,9 @@
+-- 002_spotify_tokens_encryption.sql
+-- Los tokens de Spotify se guardan cifrados (ocupan más que en texto plano)
+-- y se marca la conexión como rota cuando Spotify revoca el refresh token.
+
+ALTER TABLE spotify_tokens
+  MODIFY access_token TEXT NOT NULL,
+  MODIFY refresh_token TEXT NULL,
+  ADD COLUMN status ENUM('active', 'revoked') NOT NULL DEFAULT 'active' AFTER scope,
+  ADD COLUMN last_error VARCHAR(255) NULL AFTER status;
@@ -0,0 +1,6 @@
+-- 003_auth_tokens_token_type.sql
+-- auth_tokens también guarda el "state" de los flujos OAuth (spotify_oauth_state)
+-- y otros tipos de token de un solo uso.
+
+ALTER TABLE auth_tokens
+  MODIFY token_type VARCHAR(50) NOT NULL;
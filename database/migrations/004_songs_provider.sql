@@ -0,0 +1,12 @@
+-- 004_songs_provider.sql
+-- Proveedor de cada canción (spotify, local...) y su ID en ese proveedor, para
+-- mezclar fuentes en un mismo catálogo. spotify_id se mantiene por compatibilidad.
+
+ALTER TABLE songs
+  ADD COLUMN provider VARCHAR(20) NOT NULL DEFAULT 'local' AFTER year,
+  ADD COLUMN external_id VARCHAR(512) NULL AFTER provider,
+  ADD INDEX idx_songs_provider_external (restaurant_id, provider, external_id(191));
+
+UPDATE songs
+SET provider = 'spotify', external_id = spotify_id
+WHERE spotify_id IS NOT NULL AND spotify_id != '';
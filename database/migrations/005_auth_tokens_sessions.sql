@@ -0,0 +1,9 @@
+-- 005_auth_tokens_sessions.sql
+-- Refresh tokens rotativos: cada sesión de login agrupa sus refresh tokens por
+-- session_id y se puede revocar (logout, logout de todos los dispositivos).
+
+ALTER TABLE auth_tokens
+  ADD COLUMN session_id VARCHAR(36) NULL AFTER token_type,
+  ADD COLUMN revoked_at TIMESTAMP NULL AFTER used_at,
+  ADD INDEX idx_auth_tokens_session (session_id),
+  ADD INDEX idx_auth_tokens_user (user_id, user_type, token_type);
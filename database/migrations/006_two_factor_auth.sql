@@ -0,0 +1,18 @@
+-- 006_two_factor_auth.sql
+-- Autenticación en dos pasos (TOTP) para restaurantes y usuarios registrados.
+-- two_factor_secret se guarda cifrado (utils/encryption) y los códigos de
+-- recuperación como JSON con sus hashes SHA-256.
+
+ALTER TABLE restaurants
+  ADD COLUMN two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN two_factor_secret TEXT NULL,
+  ADD COLUMN two_factor_recovery_codes TEXT NULL,
+  ADD COLUMN two_factor_last_step BIGINT NULL,
+  ADD COLUMN two_factor_enabled_at TIMESTAMP NULL;
+
+ALTER TABLE registered_users
+  ADD COLUMN two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN two_factor_secret TEXT NULL,
+  ADD COLUMN two_factor_recovery_codes TEXT NULL,
+  ADD COLUMN two_factor_last_step BIGINT NULL,
+  ADD COLUMN two_factor_enabled_at TIMESTAMP NULL;
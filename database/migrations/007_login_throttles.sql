@@ -0,0 +1,17 @@
+-- 007_login_throttles.sql
+-- Intentos fallidos de login por cuenta (email) y por IP, con bloqueo temporal.
+-- Se guarda en BD para que los bloqueos sobrevivan a reinicios del servidor.
+
+CREATE TABLE IF NOT EXISTS login_throttles (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  scope ENUM('account', 'ip') NOT NULL,
+  identifier VARCHAR(255) NOT NULL,
+  failed_count INT NOT NULL DEFAULT 0,
+  first_failed_at TIMESTAMP NULL,
+  last_failed_at TIMESTAMP NULL,
+  locked_until TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_login_throttles_scope_identifier (scope, identifier),
+  INDEX idx_login_throttles_locked (locked_until)
+);
@@ -0,0 +1,35 @@
+-- 008_restaurant_staff.sql
+-- Cuentas de personal (encargados, DJs...) vinculadas a un restaurante, con rol.
+-- El login del propio restaurante actúa como "owner". Las invitaciones se envían por
+-- email con un token de auth_tokens (token_type = 'staff_invitation').
+
+CREATE TABLE IF NOT EXISTS restaurant_staff (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  restaurant_id VARCHAR(36) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  name VARCHAR(255) NULL,
+  password VARCHAR(255) NULL,
+  role ENUM('owner', 'manager', 'dj', 'viewer') NOT NULL DEFAULT 'viewer',
+  status ENUM('invited', 'active', 'disabled') NOT NULL DEFAULT 'invited',
+  invited_by_staff_id VARCHAR(36) NULL,
+  last_login_at TIMESTAMP NULL,
+  two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  two_factor_secret TEXT NULL,
+  two_factor_recovery_codes TEXT NULL,
+  two_factor_last_step BIGINT NULL,
+  two_factor_enabled_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_restaurant_staff_email (restaurant_id, email),
+  INDEX idx_restaurant_staff_email (email),
+  CONSTRAINT fk_restaurant_staff_restaurant FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE
+);
+
+-- Sesiones e invitaciones del personal se guardan con user_type = 'staff'
+ALTER TABLE auth_tokens
+  MODIFY user_type VARCHAR(30) NOT NULL;
+
+-- Qué miembro del personal hizo cada acción del restaurante
+ALTER TABLE activity_logs
+  ADD COLUMN staff_id VARCHAR(36) NULL AFTER user_id,
+  ADD INDEX idx_activity_logs_staff (staff_id);
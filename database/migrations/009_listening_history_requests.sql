@@ -0,0 +1,13 @@
+-- 009_listening_history_requests.sql
+-- Historial de escucha a partir de las peticiones completadas:
+--  - requests.registered_user_id guarda quién pidió la canción si estaba logueado como usuario registrado
+--  - listening_history.request_id enlaza cada entrada con su petición (una entrada por petición)
+
+ALTER TABLE requests
+  ADD COLUMN registered_user_id VARCHAR(36) NULL AFTER user_id,
+  ADD INDEX idx_requests_registered_user (registered_user_id);
+
+ALTER TABLE listening_history
+  ADD COLUMN request_id VARCHAR(36) NULL AFTER restaurant_id,
+  ADD UNIQUE KEY uq_listening_history_request (request_id),
+  ADD INDEX idx_listening_history_user_played (registered_user_id, played_at);
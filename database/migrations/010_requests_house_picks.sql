@@ -0,0 +1,10 @@
+-- 010_requests_house_picks.sql
+-- Canciones que el "DJ asistente" añade a la cola cuando se queda corta:
+--  - requests.is_house_pick distingue las elecciones de la casa de las peticiones de las mesas
+--  - las elecciones de la casa no tienen mesa ni usuario temporal, así que user_id pasa a admitir NULL
+-- La configuración (modo, curva de energía por franja...) se guarda en restaurant_settings.
+
+ALTER TABLE requests
+  MODIFY user_id VARCHAR(36) NULL,
+  ADD COLUMN is_house_pick BOOLEAN NOT NULL DEFAULT FALSE AFTER status,
+  ADD INDEX idx_requests_restaurant_house_pick (restaurant_id, is_house_pick, requested_at);
@@ -0,0 +1,21 @@
+-- 011_request_votes.sql
+-- Votos de las mesas sobre las peticiones pendientes (un voto por sesión de mesa y petición).
+-- requests.upvotes / downvotes guardan el recuento para ordenar la cola sin agregar cada vez.
+-- El orden por votos y el umbral para descartar peticiones se configuran en restaurant_settings.
+
+CREATE TABLE IF NOT EXISTS request_votes (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  request_id VARCHAR(36) NOT NULL,
+  user_id VARCHAR(36) NOT NULL,
+  vote TINYINT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_request_votes_request_user (request_id, user_id),
+  INDEX idx_request_votes_user (user_id),
+  CONSTRAINT fk_request_votes_request FOREIGN KEY (request_id) REFERENCES requests(id) ON DELETE CASCADE,
+  CONSTRAINT fk_request_votes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+ALTER TABLE requests
+  ADD COLUMN upvotes INT NOT NULL DEFAULT 0 AFTER is_house_pick,
+  ADD COLUMN downvotes INT NOT NULL DEFAULT 0 AFTER upvotes;
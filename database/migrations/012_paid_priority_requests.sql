@@ -0,0 +1,30 @@
+-- 012_paid_priority_requests.sql
+-- Peticiones prioritarias de pago ("saltar la cola"):
+--  - requests.is_priority marca las peticiones pagadas, que se colocan por delante de las normales
+--  - request_payments guarda cada cobro hecho con el proveedor de pagos y su reembolso, si lo hubo
+-- Precio, moneda y máximo de prioritarias seguidas se configuran en restaurant_settings.
+
+ALTER TABLE requests
+  ADD COLUMN is_priority BOOLEAN NOT NULL DEFAULT FALSE AFTER is_house_pick;
+
+CREATE TABLE IF NOT EXISTS request_payments (
+  id VARCHAR(36) NOT NULL PRIMARY KEY,
+  restaurant_id VARCHAR(36) NOT NULL,
+  request_id VARCHAR(36) NULL,
+  user_id VARCHAR(36) NULL,
+  provider VARCHAR(30) NOT NULL,
+  provider_payment_id VARCHAR(255) NULL,
+  provider_refund_id VARCHAR(255) NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  status ENUM('succeeded', 'failed', 'refunded', 'refund_failed') NOT NULL,
+  failure_reason VARCHAR(255) NULL,
+  refund_reason VARCHAR(50) NULL,
+  refunded_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_request_payments_request (request_id),
+  INDEX idx_request_payments_restaurant (restaurant_id, status, created_at),
+  CONSTRAINT fk_request_payments_restaurant FOREIGN KEY (restaurant_id) REFERENCES restaurants(id) ON DELETE CASCADE,
+  CONSTRAINT fk_request_payments_request FOREIGN KEY (request_id) REFERENCES requests(id) ON DELETE SET NULL
+);
@@ -0,0 +1,8 @@
+-- 013_users_verified_registered_link.sql
+-- Vínculo de una sesión de mesa con un usuario registrado:
+--  - hasta ahora se aceptaba cualquier registeredUserId enviado al crear la sesión, sin comprobar que fuera suyo
+--  - users.registered_link_verified marca los vínculos hechos con el token del propio usuario registrado
+-- Los vínculos anteriores quedan sin verificar: no cuentan para el email verificado ni para el historial.
+
+ALTER TABLE users
+  ADD COLUMN registered_link_verified BOOLEAN NOT NULL DEFAULT FALSE AFTER registered_user_id;
@@ -0,0 +1,12 @@
+-- 014_requests_unverified_registered_user.sql
+-- Las peticiones creadas antes de 013 desde sesiones de mesa con un vínculo sin verificar pueden llevar
+-- el registered_user_id de otra persona. Se quita de las que aún no han terminado para que no acaben
+-- en su historial al completarse.
+
+UPDATE requests r
+JOIN users u ON r.user_id = u.id
+SET r.registered_user_id = NULL
+WHERE r.registered_user_id IS NOT NULL
+  AND r.registered_user_id = u.registered_user_id
+  AND u.registered_link_verified = FALSE
+  AND r.status IN ('pending', 'playing');
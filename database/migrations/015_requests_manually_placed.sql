@@ -0,0 +1,7 @@
+-- 015_requests_manually_placed.sql
+-- Peticiones que el personal movió a mano (mover, fijar como siguiente, mandar al final):
+--  - requests.manually_placed hace que las reordenaciones automáticas (reparto justo, votos, prioridad
+--    de pago) las dejen en su posición en lugar de recolocarlas
+
+ALTER TABLE requests
+  ADD COLUMN manually_placed BOOLEAN NOT NULL DEFAULT FALSE AFTER queue_position;
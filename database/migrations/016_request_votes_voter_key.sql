@@ -0,0 +1,17 @@
+-- 016_request_votes_voter_key.sql
+-- Un voto por mesa (o por usuario registrado) y petición, no por sesión: las sesiones de mesa son gratis
+-- y bastaba con abrir varias para votar varias veces.
+--  - request_votes.voter_key identifica a quien vota: 'registered:<id>' o 'table:<restaurantId>:<mesa>'
+--  - user_id queda como la última sesión que votó
+-- Los votos anteriores conservan una clave por sesión ('session:<userId>').
+
+ALTER TABLE request_votes
+  ADD COLUMN voter_key VARCHAR(120) NULL AFTER user_id;
+
+UPDATE request_votes SET voter_key = CONCAT('session:', user_id);
+
+ALTER TABLE request_votes
+  MODIFY voter_key VARCHAR(120) NOT NULL,
+  DROP INDEX uk_request_votes_request_user,
+  ADD UNIQUE KEY uk_request_votes_request_voter (request_id, voter_key),
+  ADD INDEX idx_request_votes_voter (voter_key);
@@ -0,0 +1,10 @@
+-- 017_request_payments_idempotency.sql
+-- Reintentos de una petición prioritaria con el mismo paymentToken:
+--  - request_payments.idempotency_key (SHA-256 del token) es única por restaurante, así un reintento
+--    devuelve el cobro y la petición originales en lugar de cobrar otra vez
+--  - el estado 'pending' reserva la clave mientras se habla con el proveedor de pagos
+
+ALTER TABLE request_payments
+  MODIFY status ENUM('pending', 'succeeded', 'failed', 'refunded', 'refund_failed') NOT NULL,
+  ADD COLUMN idempotency_key CHAR(64) NULL AFTER provider_refund_id,
+  ADD UNIQUE KEY uk_request_payments_idempotency (restaurant_id, idempotency_key);
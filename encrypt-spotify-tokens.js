@@ -0,0 +1,21 @@
+// encrypt-spotify-tokens.js
+// Script de una vez: cifra los tokens de Spotify guardados en texto plano antes de la migración 002
+
+require('dotenv').config();
+const SpotifyToken = require('./src/models/SpotifyToken');
+
+async function encryptSpotifyTokens() {
+  console.log('🔄 Cifrando tokens de Spotify en texto plano...');
+
+  try {
+    const updated = await SpotifyToken.encryptStoredTokens();
+    console.log(`✅ Conexiones actualizadas: ${updated}`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.exit();
+  }
+}
+
+encryptSpotifyTokens();
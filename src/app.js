@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { logger } = require('./utils/logger');
+const { redactQueryToken } = require('./utils/helpers');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -16,6 +17,8 @@ const favoriteRoutes = require('./routes/favorites');
 const spotifyRoutes = require('./routes/spotify');
 const playlistRoutes = require('./routes/playlists');
 const reviewRoutes = require('./routes/reviews');
+const statsRoutes = require('./routes/stats');
+const historyRoutes = require('./routes/history');
 
 const app = express();
 
@@ -60,7 +63,8 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 
-// Request logging
+// Request logging (sin el token de acceso que EventSource y el audio mandan en ?token=)
+morgan.token('url', (req) => redactQueryToken(req.originalUrl || req.url));
 const morganFormat = process.env.NODE_ENV === 'production' ? 'combined' : 'dev';
 app.use(morgan(morganFormat, {
   stream: {
@@ -113,6 +117,8 @@ apiRouter.use('/favorites', favoriteRoutes);
 apiRouter.use('/spotify', spotifyRoutes);
 apiRouter.use('/playlists', playlistRoutes);
 apiRouter.use('/reviews', reviewRoutes);
+apiRouter.use('/stats', statsRoutes);
+apiRouter.use('/history', historyRoutes);
 
 // Mount API router
 app.use('/api/v1', apiRouter);
@@ -145,7 +151,7 @@ app.use((error, req, res, next) => {
   logger.error('Unhandled error:', {
     message: error.message,
     stack: error.stack,
-    url: req.url,
+    url: redactQueryToken(req.url),
     method: req.method,
     ip: req.ip,
     userAgent: req.get('User-Agent')
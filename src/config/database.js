@@ -51,6 +51,9 @@ const normalizeParams = (params) => {
     // Convertir booleans a números
     if (typeof param === 'boolean') return param ? 1 : 0;
     
+    // Fechas: dejar que mysql2 las serialice (String(date) no es un DATETIME válido)
+    if (param instanceof Date) return param;
+    
     // Para otros tipos, convertir a string
     return String(param);
   });
@@ -175,6 +178,36 @@ const executeTransaction = async (queries) => {
   }
 };
 
+// Transacción con lógica entre consultas (leer, decidir, escribir). El callback recibe
+// query(sql, params) -> { rows } sobre la misma conexión; si lanza, se hace rollback.
+const withTransaction = async (callback) => {
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const query = async (sql, params = []) => {
+      const [rows] = await connection.execute(sql, normalizeParams(params));
+      return { rows };
+    };
+
+    const result = await callback(query);
+
+    await connection.commit();
+    return result;
+
+  } catch (error) {
+    await connection.rollback();
+    logger.error('Transaction error - rolled back:', {
+      message: error.message,
+      code: error.code
+    });
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
 // Función para obtener estadísticas de la pool
 const getPoolStats = () => {
   const stats = {
@@ -259,6 +292,7 @@ module.exports = {
   checkConnection,
   executeQuery,
   executeTransaction,
+  withTransaction,
   closeConnection,
   getPoolStats,
   testParameterTypes,
@@ -1,6 +1,8 @@
 // src/controllers/adminController.js
 const { executeQuery } = require('../config/database');
 const { logger } = require('../utils/logger');
+const LoginThrottleService = require('../services/loginThrottleService');
+const ActivityLogService = require('../services/activityLogService');
 const { v4: uuidv4 } = require('uuid');
 
 // Obtener restaurants pendientes de aprobación
@@ -164,9 +166,70 @@ const getGlobalStats = async (req, res) => {
   }
 };
 
+// Bloqueos de login activos (con ?includeFailures=true también los contadores de fallos en curso)
+const getLoginLockouts = async (req, res) => {
+  try {
+    const { scope, includeFailures, limit = 50, offset = 0 } = req.query;
+
+    const lockouts = await LoginThrottleService.list({
+      scope: scope || null,
+      includeFailures: includeFailures === 'true',
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      message: 'Login lockouts retrieved successfully',
+      data: {
+        lockouts
+      }
+    });
+  } catch (error) {
+    logger.error('Get login lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve login lockouts'
+    });
+  }
+};
+
+// Quitar un bloqueo (y su contador de fallos)
+const clearLoginLockout = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const cleared = await LoginThrottleService.clear(id);
+
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login lockout not found'
+      });
+    }
+
+    await ActivityLogService.logAdminAction(req.user.id, 'login_lockout_cleared', 'login_throttle', id, {}, req);
+
+    logger.info(`Login lockout cleared by superadmin ${req.user.id}: ${id}`);
+
+    res.json({
+      success: true,
+      message: 'Login lockout cleared successfully'
+    });
+  } catch (error) {
+    logger.error('Clear login lockout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear login lockout'
+    });
+  }
+};
+
 module.exports = {
   getPendingRestaurants,
   approveRestaurant,
   rejectRestaurant,
-  getGlobalStats
+  getGlobalStats,
+  getLoginLockouts,
+  clearLoginLockout
 };
\ No newline at end of file
@@ -1,10 +1,19 @@
 // src/controllers/authController.js - VERSIÓN CORREGIDA
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const { executeQuery } = require('../config/database');
 const { generateQRCode } = require('../services/qrService');
-const { sendWelcomeEmail, sendVerificationEmail } = require('../services/emailService');
+const { sendWelcomeEmail, sendPasswordResetEmail } = require('../services/emailService');
+const PlaybackScheduler = require('../services/playbackScheduler');
+const ActivityLogService = require('../services/activityLogService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const SessionService = require('../services/sessionService');
+const TwoFactorService = require('../services/twoFactorService');
+const LoginThrottleService = require('../services/loginThrottleService');
+const StaffService = require('../services/staffService');
+const { AuthToken } = require('../models');
 const { createSlug } = require('../utils/helpers');
 const { logger } = require('../utils/logger');
 
@@ -19,7 +28,7 @@ const safeJsonParse = (str, fallback) => {
   }
 };
 
-// Generar JWT token
+// Generar JWT token (sesiones de mesa; las cuentas usan SessionService)
 const generateToken = (payload) => {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not defined');
@@ -29,6 +38,257 @@ const generateToken = (payload) => {
   });
 };
 
+// Contenido del access token de una cuenta (restaurante o usuario registrado)
+const buildAccessPayload = (account) => {
+  const payload = {
+    userId: account.id,
+    email: account.email,
+    userType: account.type
+  };
+  if (account.role === 'superadmin') {
+    payload.role = account.role;
+  }
+  return payload;
+};
+
+// Cuenta activa para renovar una sesión, o null si ya no existe o está inactiva
+const ACTIVE_ACCOUNT_QUERIES = {
+  restaurant: 'SELECT id, email, is_active FROM restaurants WHERE id = ?',
+  registered_user: 'SELECT id, email, is_active, role FROM registered_users WHERE id = ?',
+  staff: `SELECT s.id, s.email, (s.status = 'active' AND r.is_active) as is_active
+          FROM restaurant_staff s JOIN restaurants r ON s.restaurant_id = r.id
+          WHERE s.id = ?`
+};
+
+const findActiveAccount = async (userId, userType) => {
+  const { rows } = await executeQuery(ACTIVE_ACCOUNT_QUERIES[userType], [userId]);
+  if (rows.length === 0 || !rows[0].is_active) return null;
+
+  return { ...rows[0], type: userType };
+};
+
+// =============================
+// LOGIN HELPERS
+// =============================
+
+// Columnas permitidas para buscar la cuenta (email en el login, id en el segundo paso 2FA)
+const LOGIN_LOOKUP_COLUMNS = ['email', 'id'];
+
+const findRestaurantForLogin = async (column, value) => {
+  if (!LOGIN_LOOKUP_COLUMNS.includes(column)) {
+    throw new Error(`Invalid login lookup column: ${column}`);
+  }
+
+  const { rows } = await executeQuery(
+    `SELECT r.id, r.name, r.owner_name, r.slug, r.email, r.password, r.phone, r.city, r.country,
+            r.website, r.description, r.cuisine_type, r.is_active, r.verified, r.last_login_at,
+            r.subscription_plan_id, r.subscription_status, r.created_at, r.two_factor_enabled,
+            sp.name as subscription_plan_name
+     FROM restaurants r
+     LEFT JOIN subscription_plans sp ON r.subscription_plan_id = sp.id
+     WHERE r.${column} = ?`,
+    [value]
+  );
+
+  return rows[0] || null;
+};
+
+const findRegisteredUserForLogin = async (column, value) => {
+  if (!LOGIN_LOOKUP_COLUMNS.includes(column)) {
+    throw new Error(`Invalid login lookup column: ${column}`);
+  }
+
+  const { rows } = await executeQuery(
+    `SELECT id, name, email, password, phone, preferred_genres,
+            preferred_languages, is_active, is_premium, email_verified,
+            theme_preference, privacy_level, role, two_factor_enabled, created_at
+     FROM registered_users WHERE ${column} = ?`,
+    [value]
+  );
+
+  return rows[0] || null;
+};
+
+const STAFF_LOGIN_QUERY = `
+  SELECT s.id, s.restaurant_id, s.email, s.name, s.password, s.role, s.status, s.two_factor_enabled,
+         (s.status = 'active' AND r.is_active) as is_active,
+         r.name as restaurant_name, r.slug as restaurant_slug
+  FROM restaurant_staff s
+  JOIN restaurants r ON s.restaurant_id = r.id`;
+
+const findStaffForLogin = async (column, value) => {
+  if (!LOGIN_LOOKUP_COLUMNS.includes(column)) {
+    throw new Error(`Invalid login lookup column: ${column}`);
+  }
+
+  const { rows } = await executeQuery(`${STAFF_LOGIN_QUERY} WHERE s.${column} = ?`, [value]);
+  return rows[0] || null;
+};
+
+// Respuesta del primer paso cuando la cuenta tiene 2FA: el cliente pide el código y llama a /auth/2fa/verify
+const buildTwoFactorChallenge = async (userId, userType, req) => {
+  const { challengeToken, expiresAt } = await TwoFactorService.createChallenge(userId, userType, req);
+
+  return {
+    success: true,
+    message: 'Two-factor authentication code required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken,
+      expiresAt
+    }
+  };
+};
+
+// Respuesta 429 cuando la cuenta o la IP tienen el login bloqueado o en espera
+const sendLoginBlocked = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+
+  return res.status(429).json({
+    success: false,
+    message: throttle.code === 'ACCOUNT_LOCKED'
+      ? 'Too many failed login attempts, login is temporarily locked'
+      : 'Too many failed login attempts, please wait before trying again',
+    code: throttle.code,
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Último paso del login de restaurante: registrar acceso y crear sesión
+const completeRestaurantLogin = async (restaurant, req) => {
+  // Actualizar último login
+  await executeQuery(
+    'UPDATE restaurants SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [restaurant.id]
+  );
+
+  await LoginThrottleService.recordSuccess(restaurant.email);
+
+  // Crear sesión (access token + refresh token)
+  const session = await SessionService.createSession({
+    userId: restaurant.id,
+    email: restaurant.email,
+    userType: 'restaurant'
+  }, req);
+
+  // Construir QR code path
+  const qrCodePath = restaurant.logo || `/uploads/qr-codes/${restaurant.slug}-qr.png`;
+
+  logger.info(`Restaurant login: ${restaurant.name} (${restaurant.email})`);
+
+  return {
+    restaurant: {
+      id: restaurant.id,
+      name: restaurant.name,
+      ownerName: restaurant.owner_name,
+      slug: restaurant.slug,
+      email: restaurant.email,
+      phone: restaurant.phone,
+      city: restaurant.city,
+      country: restaurant.country,
+      website: restaurant.website,
+      description: restaurant.description,
+      cuisineType: restaurant.cuisine_type,
+      subscriptionPlan: restaurant.subscription_plan_name || 'starter',
+      verified: restaurant.verified,
+      twoFactorEnabled: !!restaurant.two_factor_enabled,
+      qrCode: qrCodePath,
+      createdAt: restaurant.created_at
+    },
+    access_token: session.accessToken,
+    refresh_token: session.refreshToken,
+    expires_in: session.expiresIn
+  };
+};
+
+// Último paso del login de usuario registrado
+const completeUserLogin = async (user, req) => {
+  // Actualizar último login
+  await executeQuery(
+    'UPDATE registered_users SET last_login_at = CURRENT_TIMESTAMP, login_count = login_count + 1 WHERE id = ?',
+    [user.id]
+  );
+
+  await LoginThrottleService.recordSuccess(user.email);
+
+  // Crear sesión (access token + refresh token)
+  const session = await SessionService.createSession(buildAccessPayload({ ...user, type: 'registered_user' }), req);
+
+  logger.info(`Registered user login: ${user.name} (${user.email})`);
+
+  const data = {
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      preferredGenres: safeJsonParse(user.preferred_genres, []),
+      preferredLanguages: safeJsonParse(user.preferred_languages, ['es']),
+      isPremium: user.is_premium,
+      emailVerified: user.email_verified,
+      themePreference: user.theme_preference,
+      privacyLevel: user.privacy_level,
+      role: user.role,
+      twoFactorEnabled: !!user.two_factor_enabled,
+      createdAt: user.created_at
+    },
+    access_token: session.accessToken,
+    refresh_token: session.refreshToken,
+    expires_in: session.expiresIn
+  };
+
+  // Superadmin sin 2FA: puede entrar para activarlo, pero no usar las rutas de administración
+  if (TwoFactorService.isRequired({ type: 'registered_user', role: user.role }) && !user.two_factor_enabled) {
+    data.twoFactorSetupRequired = true;
+  }
+
+  return data;
+};
+
+// Último paso del login del personal: la sesión actúa sobre su restaurante
+const completeStaffLogin = async (staff, req) => {
+  await executeQuery(
+    'UPDATE restaurant_staff SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [staff.id]
+  );
+
+  await LoginThrottleService.recordSuccess(staff.email);
+
+  const session = await SessionService.createSession({
+    userId: staff.id,
+    email: staff.email,
+    userType: 'staff'
+  }, req);
+
+  logger.info(`Staff login: ${staff.email} (${staff.role}) at ${staff.restaurant_name}`);
+
+  return {
+    staff: {
+      id: staff.id,
+      name: staff.name,
+      email: staff.email,
+      role: staff.role,
+      permissions: StaffService.getPermissions(staff.role),
+      twoFactorEnabled: !!staff.two_factor_enabled
+    },
+    restaurant: {
+      id: staff.restaurant_id,
+      name: staff.restaurant_name,
+      slug: staff.restaurant_slug
+    },
+    access_token: session.accessToken,
+    refresh_token: session.refreshToken,
+    expires_in: session.expiresIn
+  };
+};
+
+// Cómo buscar y completar el login de cada tipo de cuenta (segundo paso 2FA)
+const LOGIN_FLOWS = {
+  restaurant: { find: findRestaurantForLogin, complete: completeRestaurantLogin },
+  registered_user: { find: findRegisteredUserForLogin, complete: completeUserLogin },
+  staff: { find: findStaffForLogin, complete: completeStaffLogin }
+};
+
 // =============================
 // RESTAURANT AUTH
 // =============================
@@ -152,12 +412,12 @@ const registerRestaurant = async (req, res) => {
       logger.warn('QR code generation failed:', qrError.message);
     }
 
-    // Generar token
-    const token = generateToken({
+    // Crear sesión (access token + refresh token)
+    const session = await SessionService.createSession({
       userId: restaurantId,
       email,
       userType: 'restaurant'
-    });
+    }, req);
 
     logger.info(`New restaurant registered: ${name} (${email})`);
 
@@ -183,7 +443,9 @@ const registerRestaurant = async (req, res) => {
           verified: true,
           pendingApproval: true
         },
-        access_token: token
+        access_token: session.accessToken,
+        refresh_token: session.refreshToken,
+        expires_in: session.expiresIn
       }
     });
 
@@ -215,26 +477,23 @@ const loginRestaurant = async (req, res) => {
       });
     }
 
+    // Cuenta o IP bloqueadas por intentos fallidos
+    const throttle = await LoginThrottleService.check(email, req.ip);
+    if (!throttle.allowed) {
+      return sendLoginBlocked(res, throttle);
+    }
+
     // Buscar restaurante
-    const { rows } = await executeQuery(
-      `SELECT r.id, r.name, r.owner_name, r.slug, r.email, r.password, r.phone, r.city, r.country,
-              r.website, r.description, r.cuisine_type, r.is_active, r.verified, r.last_login_at,
-              r.subscription_plan_id, r.subscription_status, r.created_at, sp.name as subscription_plan_name
-       FROM restaurants r
-       LEFT JOIN subscription_plans sp ON r.subscription_plan_id = sp.id
-       WHERE r.email = ?`,
-      [email]
-    );
+    const restaurant = await findRestaurantForLogin('email', email);
 
-    if (rows.length === 0) {
+    if (!restaurant) {
+      await LoginThrottleService.recordFailure(email, req.ip, null, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    const restaurant = rows[0];
-
     // Verificar si está activo
     if (!restaurant.is_active) {
       return res.status(403).json({
@@ -247,6 +506,7 @@ const loginRestaurant = async (req, res) => {
     const isValidPassword = await bcrypt.compare(password, restaurant.password);
     
     if (!isValidPassword) {
+      await LoginThrottleService.recordFailure(email, req.ip, restaurant, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -255,47 +515,15 @@ const loginRestaurant = async (req, res) => {
 
     // No requerir verificación de email - login directo
 
-    // Actualizar último login
-    await executeQuery(
-      'UPDATE restaurants SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [restaurant.id]
-    );
-
-    // Generar token
-    const token = generateToken({
-      userId: restaurant.id,
-      email: restaurant.email,
-      userType: 'restaurant'
-    });
-
-    // Construir QR code path
-    const qrCodePath = restaurant.logo || `/uploads/qr-codes/${restaurant.slug}-qr.png`;
-
-    logger.info(`Restaurant login: ${restaurant.name} (${email})`);
+    // Segundo paso si la cuenta tiene 2FA activo
+    if (restaurant.two_factor_enabled) {
+      return res.json(await buildTwoFactorChallenge(restaurant.id, 'restaurant', req));
+    }
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        restaurant: {
-          id: restaurant.id,
-          name: restaurant.name,
-          ownerName: restaurant.owner_name,
-          slug: restaurant.slug,
-          email: restaurant.email,
-          phone: restaurant.phone,
-          city: restaurant.city,
-          country: restaurant.country,
-          website: restaurant.website,
-          description: restaurant.description,
-          cuisineType: restaurant.cuisine_type,
-          subscriptionPlan: restaurant.subscription_plan_name || 'starter',
-          verified: restaurant.verified,
-          qrCode: qrCodePath,
-          createdAt: restaurant.created_at
-        },
-        access_token: token
-      }
+      data: await completeRestaurantLogin(restaurant, req)
     });
 
   } catch (error) {
@@ -369,7 +597,7 @@ const registerUser = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, saltRounds);
     const userId = uuidv4();
 
-    // Crear usuario registrado (activado automáticamente, sin verificación de email)
+    // Crear usuario registrado (activo; el email queda pendiente de verificar)
     await executeQuery(
       `INSERT INTO registered_users (
         id, name, email, password, phone, date_of_birth,
@@ -385,17 +613,24 @@ const registerUser = async (req, res) => {
         JSON.stringify(preferredGenres || []),
         JSON.stringify(preferredLanguages || ['es']),
         true,
-        true, // email_verified = true (sin verificación requerida)
-        null // verification_token no usado
+        false, // email_verified: se completa con el enlace del email
+        null // verification_token no usado (los tokens van en auth_tokens)
       ]
     );
 
-    // Generar token
-    const token = generateToken({
+    // Enviar enlace de verificación (un fallo del email no impide el registro)
+    try {
+      await EmailVerificationService.sendVerification({ id: userId, name, email }, req);
+    } catch (verificationError) {
+      logger.error('Error sending verification email:', verificationError.message);
+    }
+
+    // Crear sesión (access token + refresh token)
+    const session = await SessionService.createSession({
       userId,
       email,
       userType: 'registered_user'
-    });
+    }, req);
 
     logger.info(`New registered user: ${name} (${email})`);
 
@@ -412,9 +647,11 @@ const registerUser = async (req, res) => {
           preferredGenres: preferredGenres || [],
           preferredLanguages: preferredLanguages || ['es'],
           isPremium: false,
-          emailVerified: true
+          emailVerified: false
         },
-        access_token: token
+        access_token: session.accessToken,
+        refresh_token: session.refreshToken,
+        expires_in: session.expiresIn
       }
     });
 
@@ -446,24 +683,23 @@ const loginUser = async (req, res) => {
       });
     }
 
+    // Cuenta o IP bloqueadas por intentos fallidos
+    const throttle = await LoginThrottleService.check(email, req.ip);
+    if (!throttle.allowed) {
+      return sendLoginBlocked(res, throttle);
+    }
+
     // Buscar usuario registrado
-    const { rows } = await executeQuery(
-      `SELECT id, name, email, password, phone, preferred_genres,
-              preferred_languages, is_active, is_premium, email_verified,
-              theme_preference, privacy_level, role, created_at
-       FROM registered_users WHERE email = ?`,
-      [email]
-    );
+    const user = await findRegisteredUserForLogin('email', email);
 
-    if (rows.length === 0) {
+    if (!user) {
+      await LoginThrottleService.recordFailure(email, req.ip, null, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    const user = rows[0];
-
     if (!user.is_active) {
       return res.status(403).json({
         success: false,
@@ -475,6 +711,7 @@ const loginUser = async (req, res) => {
     const isValidPassword = await bcrypt.compare(password, user.password);
     
     if (!isValidPassword) {
+      await LoginThrottleService.recordFailure(email, req.ip, user, req);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -483,45 +720,15 @@ const loginUser = async (req, res) => {
 
     // No requerir verificación de email - login directo
 
-    // Actualizar último login
-    await executeQuery(
-      'UPDATE registered_users SET last_login_at = CURRENT_TIMESTAMP, login_count = login_count + 1 WHERE id = ?',
-      [user.id]
-    );
-
-    // Generar token
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      userType: 'registered_user'
-    };
-    if (user.role === 'superadmin') {
-      tokenPayload.role = user.role;
+    // Segundo paso si la cuenta tiene 2FA activo
+    if (user.two_factor_enabled) {
+      return res.json(await buildTwoFactorChallenge(user.id, 'registered_user', req));
     }
-    const token = generateToken(tokenPayload);
-
-    logger.info(`Registered user login: ${user.name} (${email})`);
 
     res.json({
       success: true,
       message: 'Login successful',
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          phone: user.phone,
-          preferredGenres: safeJsonParse(user.preferred_genres, []),
-          preferredLanguages: safeJsonParse(user.preferred_languages, ['es']),
-          isPremium: user.is_premium,
-          emailVerified: user.email_verified,
-          themePreference: user.theme_preference,
-          privacyLevel: user.privacy_level,
-          role: user.role,
-          createdAt: user.created_at
-        },
-        access_token: token
-      }
+      data: await completeUserLogin(user, req)
     });
 
   } catch (error) {
@@ -543,7 +750,18 @@ const loginUser = async (req, res) => {
 const createUserSession = async (req, res) => {
   try {
     const { restaurantSlug } = req.params;
-    const { tableNumber, registeredUserId } = req.body;
+    const { tableNumber } = req.body;
+
+    // Solo se vincula la sesión a un usuario registrado si llega con su propio token
+    const registeredUserId = req.user && req.user.type === 'registered_user' ? req.user.id : null;
+
+    if (req.body.registeredUserId && req.body.registeredUserId !== registeredUserId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Linking a session to a registered user requires that user\'s access token',
+        code: 'REGISTERED_USER_TOKEN_REQUIRED'
+      });
+    }
 
     if (!restaurantSlug) {
       return res.status(400).json({
@@ -589,12 +807,13 @@ const createUserSession = async (req, res) => {
     // Crear usuario temporal
     await executeQuery(
       `INSERT INTO users (
-        id, registered_user_id, user_type, restaurant_id, table_number, 
+        id, registered_user_id, registered_link_verified, user_type, restaurant_id, table_number, 
         session_id, name, ip_address, user_agent
-       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         userId,
-        registeredUserId || null,
+        userType === 'registered' ? registeredUserId : null,
+        userType === 'registered' ? 1 : 0,
         userType,
         restaurant.id,
         finalTableNumber,
@@ -612,7 +831,7 @@ const createUserSession = async (req, res) => {
       restaurantId: restaurant.id,
       tableNumber: finalTableNumber,
       sessionId,
-      registeredUserId: registeredUserId || null
+      registeredUserId: userType === 'registered' ? registeredUserId : null
     });
 
     logger.info(`User session created: ${userId} at ${restaurant.name}`);
@@ -623,7 +842,7 @@ const createUserSession = async (req, res) => {
       data: {
         user: {
           id: userId,
-          registeredUserId: registeredUserId || null,
+          registeredUserId: userType === 'registered' ? registeredUserId : null,
           userType,
           tableNumber: finalTableNumber,
           sessionId,
@@ -696,7 +915,11 @@ const getProfile = async (req, res) => {
           restaurant: {
             ...restaurant,
             qrCode: qrCodePath
-          }
+          },
+          // Quién usa el panel (null si es el login del propio restaurante) y qué puede hacer
+          staff: user.staff,
+          role: user.role,
+          permissions: user.permissions
         }
       });
 
@@ -827,6 +1050,10 @@ const updateProfile = async (req, res) => {
 
       logger.info(`Restaurant profile updated: ${user.id}`);
 
+      if (autoPlay !== undefined) {
+        PlaybackScheduler.sync(user.id);
+      }
+
     } else if (user.type === 'registered_user') {
       const { 
         name, 
@@ -911,6 +1138,767 @@ const verifyToken = async (req, res) => {
   }
 };
 
+// =============================
+// STAFF AUTH
+// =============================
+
+// Login del personal de un restaurante. restaurantSlug solo hace falta si el email trabaja en varios
+const loginStaff = async (req, res) => {
+  try {
+    const { email, password, restaurantSlug } = req.body;
+
+    const throttle = await LoginThrottleService.check(email, req.ip);
+    if (!throttle.allowed) {
+      return sendLoginBlocked(res, throttle);
+    }
+
+    let query = `${STAFF_LOGIN_QUERY} WHERE s.email = ? AND s.status = 'active'`;
+    const params = [email.toLowerCase()];
+    if (restaurantSlug) {
+      query += ' AND r.slug = ?';
+      params.push(restaurantSlug);
+    }
+
+    const { rows } = await executeQuery(query, params);
+
+    // Comprobar la contraseña antes de revelar en qué restaurantes trabaja
+    const matches = [];
+    for (const row of rows) {
+      if (row.password && await bcrypt.compare(password, row.password)) {
+        matches.push(row);
+      }
+    }
+
+    if (matches.length === 0) {
+      await LoginThrottleService.recordFailure(email, req.ip, rows[0] ? { email: rows[0].email, name: rows[0].name || rows[0].restaurant_name } : null, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    if (matches.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account belongs to several restaurants, please choose one',
+        code: 'RESTAURANT_SLUG_REQUIRED',
+        data: {
+          restaurants: matches.map(row => ({ name: row.restaurant_name, slug: row.restaurant_slug }))
+        }
+      });
+    }
+
+    const staff = matches[0];
+
+    if (!staff.is_active) {
+      return res.status(403).json({
+        success: false,
+        message: 'Restaurant account is inactive. Please contact the owner.'
+      });
+    }
+
+    if (staff.two_factor_enabled) {
+      return res.json(await buildTwoFactorChallenge(staff.id, 'staff', req));
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: await completeStaffLogin(staff, req)
+    });
+
+  } catch (error) {
+    logger.error('Staff login error:', {
+      message: error.message,
+      stack: error.stack,
+      email: req.body?.email
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Aceptar una invitación al personal fijando la contraseña
+const acceptStaffInvitation = async (req, res) => {
+  try {
+    const { token, name, password } = req.body;
+
+    const staff = await StaffService.acceptInvitation(token, { name, password });
+
+    if (!staff) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    await ActivityLogService.logRestaurantAction(
+      staff.restaurantId, 'staff_invitation_accepted', 'restaurant_staff', staff.id, { role: staff.role }, req
+    );
+
+    res.json({
+      success: true,
+      message: 'Invitation accepted, you can now log in',
+      data: {
+        staff: staff.toJSON(),
+        restaurant: staff.restaurant ? { name: staff.restaurant.name, slug: staff.restaurant.slug } : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Accept staff invitation error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+};
+
+// =============================
+// SESSIONS
+// =============================
+
+const SESSION_ERROR_MESSAGES = {
+  REFRESH_TOKEN_INVALID: 'Invalid or expired refresh token',
+  REFRESH_TOKEN_REUSED: 'Refresh token already used, session has been revoked',
+  ACCOUNT_INACTIVE: 'Invalid or inactive account'
+};
+
+// Renovar el access token con un refresh token (rota el refresh token)
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await SessionService.refresh(refreshToken, async (authToken) => {
+      if (!['restaurant', 'registered_user', 'staff'].includes(authToken.userType)) return null;
+      const account = await findActiveAccount(authToken.userId, authToken.userType);
+      return account ? buildAccessPayload(account) : null;
+    }, req);
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: SESSION_ERROR_MESSAGES[result.error],
+        code: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session refreshed',
+      data: {
+        access_token: result.accessToken,
+        refresh_token: result.refreshToken,
+        expires_in: result.expiresIn
+      }
+    });
+
+  } catch (error) {
+    logger.error('Refresh session error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+};
+
+// Cerrar la sesión actual
+const logout = async (req, res) => {
+  try {
+    const { user } = req;
+
+    if (user.authSessionId) {
+      await SessionService.revoke(user.authSessionId, user.accountId, user.accountType);
+    }
+
+    await ActivityLogService.logLogout(user.accountId, user.accountType, req);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    logger.error('Logout error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+};
+
+// Cerrar la sesión en todos los dispositivos
+const logoutAll = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const revoked = await SessionService.revokeAll(user.accountId, user.accountType);
+
+    await ActivityLogService.logLogout(user.accountId, user.accountType, req);
+
+    logger.info(`All sessions revoked for ${user.type} ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: revoked }
+    });
+
+  } catch (error) {
+    logger.error('Logout all error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+};
+
+// Sesiones activas de la cuenta
+const getSessions = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const sessions = await SessionService.listSessions(user.accountId, user.accountType, user.authSessionId);
+
+    res.json({
+      success: true,
+      message: 'Active sessions retrieved',
+      data: { sessions }
+    });
+
+  } catch (error) {
+    logger.error('Get sessions error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+};
+
+// Cerrar una sesión concreta (p.ej. un dispositivo perdido)
+const revokeSession = async (req, res) => {
+  try {
+    const { user } = req;
+    const { sessionId } = req.params;
+
+    const revoked = await SessionService.revoke(sessionId, user.accountId, user.accountType);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    logger.error('Revoke session error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+};
+
+// =============================
+// PASSWORD RESET
+// =============================
+
+// Validez del enlace de recuperación (el email indica 1 hora)
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const PASSWORD_RESET_MESSAGE = 'If an account with that email exists, a password reset link has been sent';
+
+// Buscar la cuenta (restaurante o usuario registrado) por email.
+// Los emails son únicos entre ambas tablas (se comprueba al registrarse).
+const findAccountByEmail = async (email) => {
+  const { rows: restaurantRows } = await executeQuery(
+    'SELECT id, name, email, is_active FROM restaurants WHERE email = ?',
+    [email]
+  );
+  if (restaurantRows.length > 0) {
+    return { ...restaurantRows[0], type: 'restaurant', table: 'restaurants' };
+  }
+
+  const { rows: userRows } = await executeQuery(
+    'SELECT id, name, email, is_active FROM registered_users WHERE email = ?',
+    [email]
+  );
+  if (userRows.length > 0) {
+    return { ...userRows[0], type: 'registered_user', table: 'registered_users' };
+  }
+
+  return null;
+};
+
+// Solicitar enlace de recuperación. La respuesta es siempre la misma para no revelar qué emails existen.
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const account = await findAccountByEmail(email);
+
+    if (account && account.is_active) {
+      const resetToken = crypto.randomBytes(32).toString('hex');
+
+      // Solo un enlace válido a la vez
+      await AuthToken.deleteByUser(account.id, account.type, 'password_reset');
+      await AuthToken.create({
+        userId: account.id,
+        userType: account.type,
+        token: resetToken,
+        tokenType: 'password_reset',
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      // Sin await: el tiempo de respuesta no debe delatar si la cuenta existe
+      sendPasswordResetEmail(account.email, resetToken, account.name);
+
+      logger.info(`Password reset requested for ${account.type} ${account.id}`);
+    } else {
+      logger.info(`Password reset requested for unknown or inactive email: ${email}`);
+    }
+
+    res.json({
+      success: true,
+      message: PASSWORD_RESET_MESSAGE
+    });
+
+  } catch (error) {
+    logger.error('Forgot password error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request'
+    });
+  }
+};
+
+// Cambiar la contraseña con el token del email
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const authToken = await AuthToken.findByToken(token, 'password_reset');
+
+    if (!authToken || !authToken.isValid() || !['restaurant', 'registered_user'].includes(authToken.userType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    const isRestaurant = authToken.userType === 'restaurant';
+
+    // Los restaurantes mantienen la misma política de contraseña que en el registro
+    if (isRestaurant && (password.length < 8 || !/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(password))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 8 characters and contain at least one uppercase letter, one lowercase letter, and one number'
+      });
+    }
+
+    const table = isRestaurant ? 'restaurants' : 'registered_users';
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    const { rows } = await executeQuery(
+      `UPDATE ${table} SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND is_active = 1`,
+      [hashedPassword, authToken.userId]
+    );
+
+    if (rows.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    await authToken.markAsUsed();
+
+    // Cerrar todas las sesiones abiertas con la contraseña anterior
+    await SessionService.revokeAll(authToken.userId, authToken.userType);
+
+    if (isRestaurant) {
+      await ActivityLogService.logRestaurantAction(authToken.userId, 'password_reset', 'restaurant', authToken.userId, {}, req);
+    } else {
+      await ActivityLogService.logUserAction(authToken.userId, 'password_reset', 'registered_user', authToken.userId, {}, req);
+    }
+
+    logger.info(`Password reset completed for ${authToken.userType} ${authToken.userId}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+
+  } catch (error) {
+    logger.error('Reset password error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
+
+// =============================
+// EMAIL VERIFICATION
+// =============================
+
+// Completar la verificación con el token del enlace
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const userId = await EmailVerificationService.verify(token);
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    await ActivityLogService.logUserAction(userId, 'email_verified', 'registered_user', userId, {}, req);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        userId,
+        emailVerified: true
+      }
+    });
+
+  } catch (error) {
+    logger.error('Verify email error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email'
+    });
+  }
+};
+
+// Reenviar el enlace de verificación al usuario autenticado
+const resendVerification = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const { rows } = await executeQuery(
+      'SELECT id, name, email, email_verified FROM registered_users WHERE id = ? AND is_active = 1',
+      [user.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (rows[0].email_verified) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const sent = await EmailVerificationService.sendVerification(rows[0], req);
+
+    if (!sent) {
+      return res.status(503).json({
+        success: false,
+        message: 'Verification email could not be sent, please try again later'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    logger.error('Resend verification error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email'
+    });
+  }
+};
+
+// =============================
+// TWO-FACTOR AUTHENTICATION
+// =============================
+
+// Registrar una acción de seguridad en el log de la cuenta
+const logAccountAction = (user, action, details = {}, req = null) => {
+  if (user.staff) {
+    return ActivityLogService.logRestaurantAction(user.id, action, 'restaurant_staff', user.staff.id, details, req);
+  }
+  if (user.type === 'restaurant') {
+    return ActivityLogService.logRestaurantAction(user.id, action, 'restaurant', user.id, details, req);
+  }
+  return ActivityLogService.logUserAction(user.id, action, 'registered_user', user.id, details, req);
+};
+
+// Segundo paso del login: código de la app o de recuperación
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    const challenge = await TwoFactorService.findChallenge(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired two-factor challenge, please log in again',
+        code: 'TWO_FACTOR_CHALLENGE_INVALID'
+      });
+    }
+
+    const flow = LOGIN_FLOWS[challenge.userType];
+    const account = await flow.find('id', challenge.userId);
+
+    if (!account || !account.is_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or inactive account'
+      });
+    }
+
+    // Los códigos fallidos cuentan para el bloqueo de la cuenta igual que las contraseñas
+    const throttle = await LoginThrottleService.check(account.email, req.ip);
+    if (!throttle.allowed) {
+      return sendLoginBlocked(res, throttle);
+    }
+
+    const method = await TwoFactorService.verifyCode(account.id, challenge.userType, code);
+
+    if (!method) {
+      await ActivityLogService.logFailedLogin(account.email, 'invalid_two_factor_code', req);
+      await LoginThrottleService.recordFailure(account.email, req.ip, account, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'TWO_FACTOR_CODE_INVALID'
+      });
+    }
+
+    // El challenge es de un solo uso
+    if (!(await challenge.consume())) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired two-factor challenge, please log in again',
+        code: 'TWO_FACTOR_CHALLENGE_INVALID'
+      });
+    }
+
+    const data = await flow.complete(account, req);
+
+    if (method === 'recovery') {
+      logger.warn(`Login with recovery code: ${challenge.userType} ${account.id}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...data,
+        twoFactorMethod: method
+      }
+    });
+
+  } catch (error) {
+    logger.error('Two-factor login error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+};
+
+// Estado del 2FA de la cuenta autenticada
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const status = await TwoFactorService.getStatus(user.accountId, user.accountType, user.role);
+
+    res.json({
+      success: true,
+      message: 'Two-factor status retrieved',
+      data: status
+    });
+
+  } catch (error) {
+    logger.error('Get two-factor status error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status'
+    });
+  }
+};
+
+// Empezar el alta: secreto + QR para la app de autenticación
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const enrollment = await TwoFactorService.startEnrollment(user.accountId, user.accountType);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app and confirm with a code',
+      data: enrollment
+    });
+
+  } catch (error) {
+    if (error.message === 'Two-factor authentication is already enabled') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Setup two-factor error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+// Confirmar el alta con el primer código; devuelve los códigos de recuperación
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { user } = req;
+    const { code } = req.body;
+
+    const recoveryCodes = await TwoFactorService.confirmEnrollment(user.accountId, user.accountType, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'TWO_FACTOR_CODE_INVALID'
+      });
+    }
+
+    await logAccountAction(user, 'two_factor_enabled', {}, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes in a safe place, they will not be shown again',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    if (error.message === 'Two-factor setup has not been started') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.message === 'Two-factor authentication is already enabled') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Enable two-factor error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+// Desactivar 2FA (requiere un código válido; los superadmins no pueden)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { user } = req;
+    const { code } = req.body;
+
+    if (TwoFactorService.isRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for superadmin accounts',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const method = await TwoFactorService.verifyCode(user.accountId, user.accountType, code);
+
+    if (!method) {
+      await ActivityLogService.logFailedLogin(user.email, 'invalid_two_factor_code', req);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'TWO_FACTOR_CODE_INVALID'
+      });
+    }
+
+    await TwoFactorService.disable(user.accountId, user.accountType);
+    await logAccountAction(user, 'two_factor_disabled', { method }, req);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    logger.error('Disable two-factor error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+// Generar códigos de recuperación nuevos (invalida los anteriores)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { user } = req;
+    const { code } = req.body;
+
+    const method = await TwoFactorService.verifyCode(user.accountId, user.accountType, code);
+
+    if (!method) {
+      await ActivityLogService.logFailedLogin(user.email, 'invalid_two_factor_code', req);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+        code: 'TWO_FACTOR_CODE_INVALID'
+      });
+    }
+
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(user.accountId, user.accountType);
+    await logAccountAction(user, 'two_factor_recovery_codes_regenerated', {}, req);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated, the previous ones no longer work',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    logger.error('Regenerate recovery codes error:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate recovery codes'
+    });
+  }
+};
+
 module.exports = {
   registerRestaurant,
   loginRestaurant,
@@ -919,5 +1907,22 @@ module.exports = {
   createUserSession,
   getProfile,
   updateProfile,
-  verifyToken
+  verifyToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  loginStaff,
+  acceptStaffInvitation
 };
\ No newline at end of file
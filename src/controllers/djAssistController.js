@@ -0,0 +1,115 @@
+// src/controllers/djAssistController.js - Sugerencias del DJ asistente y canciones de la casa
+const { executeQuery } = require('../config/database');
+const DjAssistService = require('../services/djAssistService');
+const ExplicitContentService = require('../services/explicitContentService');
+const ActivityLogService = require('../services/activityLogService');
+const PlaybackScheduler = require('../services/playbackScheduler');
+const WaitTimeService = require('../services/waitTimeService');
+const { logger } = require('../utils/logger');
+const { formatSuccessResponse, formatErrorResponse } = require('../utils/helpers');
+
+const findRestaurant = async (restaurantId) => {
+  const { rows } = await executeQuery(
+    'SELECT id, allow_explicit, timezone FROM restaurants WHERE id = ?',
+    [restaurantId]
+  );
+  return rows[0] || null;
+};
+
+// Canciones que encajan con la franja actual para continuar la cola
+const getSuggestions = async (req, res) => {
+  try {
+    const { limit = 5 } = req.query;
+
+    const restaurant = await findRestaurant(req.user.id);
+    if (!restaurant) {
+      return res.status(404).json(
+        formatErrorResponse('Restaurant not found')
+      );
+    }
+
+    const result = await DjAssistService.getSuggestions(restaurant, { limit: parseInt(limit) });
+
+    res.json(formatSuccessResponse('Suggestions retrieved', result));
+
+  } catch (error) {
+    logger.error('Get DJ assist suggestions error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to get suggestions', error.message)
+    );
+  }
+};
+
+// Añadir a la cola una canción de la casa (p. ej. una sugerencia aceptada desde el dashboard)
+const addHousePick = async (req, res) => {
+  try {
+    const { user } = req;
+    const { songId } = req.body;
+
+    const restaurant = await findRestaurant(user.id);
+    if (!restaurant) {
+      return res.status(404).json(
+        formatErrorResponse('Restaurant not found')
+      );
+    }
+
+    const { rows: songRows } = await executeQuery(
+      'SELECT id, title, artist, image, is_explicit FROM songs WHERE id = ? AND restaurant_id = ? AND is_active = true',
+      [songId, restaurant.id]
+    );
+
+    if (songRows.length === 0) {
+      return res.status(404).json(
+        formatErrorResponse('Song not found in your catalog')
+      );
+    }
+
+    const song = songRows[0];
+
+    if (song.is_explicit && !(await ExplicitContentService.isExplicitAllowed(restaurant))) {
+      return res.status(403).json(
+        formatErrorResponse('Explicit songs are not allowed right now', null, 'EXPLICIT_NOT_ALLOWED')
+      );
+    }
+
+    const { requestId, queuePosition } = await DjAssistService.addHousePick(restaurant.id, song);
+
+    await ActivityLogService.logRestaurantAction(restaurant.id, 'house_pick_added', 'request', requestId, {
+      songId: song.id,
+      title: song.title,
+      artist: song.artist
+    }, req);
+
+    // Si la cola estaba vacía y hay auto_play, empieza a sonar
+    await PlaybackScheduler.sync(restaurant.id);
+
+    const waitEstimate = await WaitTimeService.estimateForRequest(restaurant.id, requestId);
+
+    res.status(201).json(formatSuccessResponse('House pick added', {
+      request: {
+        id: requestId,
+        song: {
+          id: song.id,
+          title: song.title,
+          artist: song.artist,
+          image: song.image
+        },
+        queuePosition,
+        status: 'pending',
+        housePick: true,
+        ...waitEstimate
+      }
+    }));
+
+  } catch (error) {
+    logger.error('Add house pick error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to add house pick', error.message)
+    );
+  }
+};
+
+module.exports = {
+  getSuggestions,
+  addHousePick
+};
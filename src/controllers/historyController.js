@@ -0,0 +1,88 @@
+// src/controllers/historyController.js - Historial de escucha del usuario registrado
+const { ListeningHistory } = require('../models');
+const ListeningHistoryService = require('../services/listeningHistoryService');
+const { logger } = require('../utils/logger');
+const { formatSuccessResponse, formatErrorResponse } = require('../utils/helpers');
+
+// Filtros de la query (?restaurantId, ?from, ?to) ya validados en la ruta
+const getHistoryFilters = (query) => ({
+  restaurantId: query.restaurantId || null,
+  startDate: query.from ? new Date(query.from) : null,
+  endDate: query.to ? new Date(query.to) : null
+});
+
+// Canciones escuchadas, más recientes primero
+const getHistory = async (req, res) => {
+  try {
+    const { user } = req;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    const filters = getHistoryFilters(req.query);
+
+    const [history, total] = await Promise.all([
+      ListeningHistory.getByUser(user.id, { ...filters, limit, offset }),
+      ListeningHistory.countByUser(user.id, filters)
+    ]);
+
+    res.json(formatSuccessResponse('Listening history retrieved', {
+      history: history.map(entry => entry.toJSON()),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + history.length < total
+      }
+    }));
+
+  } catch (error) {
+    logger.error('Get listening history error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to get listening history', error.message)
+    );
+  }
+};
+
+// Canciones más escuchadas
+const getTopSongs = async (req, res) => {
+  try {
+    const { user } = req;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const songs = await ListeningHistory.getTopSongs(user.id, {
+      ...getHistoryFilters(req.query),
+      limit
+    });
+
+    res.json(formatSuccessResponse('Top songs retrieved', { songs }));
+
+  } catch (error) {
+    logger.error('Get top songs error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to get top songs', error.message)
+    );
+  }
+};
+
+// Resumen del año (global o de un restaurante con ?restaurantId)
+const getYearSummary = async (req, res) => {
+  try {
+    const { user } = req;
+    const year = parseInt(req.params.year);
+
+    const summary = await ListeningHistoryService.getYearSummary(user.id, year, req.query.restaurantId || null);
+
+    res.json(formatSuccessResponse(`Your ${year} in music`, { summary }));
+
+  } catch (error) {
+    logger.error('Get year summary error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to get year summary', error.message)
+    );
+  }
+};
+
+module.exports = {
+  getHistory,
+  getTopSongs,
+  getYearSummary
+};
@@ -17,12 +17,6 @@ class PlaylistController {
         );
       }
 
-      if (user.type !== 'registered_user') {
-        return res.status(403).json(
-          formatErrorResponse('Solo usuarios registrados pueden crear playlists')
-        );
-      }
-
       const playlistData = {
         registeredUserId: user.id,
         name,
@@ -65,12 +59,6 @@ class PlaylistController {
       const { user } = req;
       const { publicOnly = false, limit = 20, offset = 0 } = req.query;
 
-      if (user.type !== 'registered_user') {
-        return res.status(403).json(
-          formatErrorResponse('Solo usuarios registrados pueden ver sus playlists')
-        );
-      }
-
       const playlists = await Playlist.getByUser(
         user.id,
         publicOnly === 'true',
@@ -1,20 +1,85 @@
 // src/controllers/requestController.js - COMPLETE FIXED VERSION
 const { v4: uuidv4 } = require('uuid');
 const { executeQuery, executeTransaction } = require('../config/database');
+const { Request } = require('../models');
 const { logger } = require('../utils/logger');
 const { formatSuccessResponse, formatErrorResponse, paginate, calculatePagination } = require('../utils/helpers');
+const QueueEventsService = require('../services/queueEventsService');
+const PlaybackScheduler = require('../services/playbackScheduler');
+const WaitTimeService = require('../services/waitTimeService');
+const QueueOrderingService = require('../services/queueOrderingService');
+const ActivityLogService = require('../services/activityLogService');
+const RepeatRulesService = require('../services/repeatRulesService');
+const ExplicitContentService = require('../services/explicitContentService');
+const PlaybackService = require('../services/playbackService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const ListeningHistoryService = require('../services/listeningHistoryService');
+const DjAssistService = require('../services/djAssistService');
+const RequestVoteService = require('../services/requestVoteService');
+const PaidPriorityService = require('../services/paidPriorityService');
+const { hasPermission } = require('../middleware/auth');
+
+// Respuesta a un reintento con un token de pago ya usado: nunca se vuelve a cobrar
+const respondToUsedPaymentToken = async (res, payment) => {
+  if (payment.requestId) {
+    const { rows } = await executeQuery(
+      `SELECT r.id, r.user_table, r.queue_position, r.status, s.id as song_id, s.title, s.artist, s.image
+       FROM requests r
+       JOIN songs s ON r.song_id = s.id
+       WHERE r.id = ?`,
+      [payment.requestId]
+    );
+
+    if (rows.length > 0) {
+      const request = rows[0];
+      return res.status(200).json(formatSuccessResponse('Request already created with this payment', {
+        request: {
+          id: request.id,
+          song: {
+            id: request.song_id,
+            title: request.title,
+            artist: request.artist,
+            image: request.image
+          },
+          tableNumber: request.user_table,
+          queuePosition: request.queue_position,
+          status: request.status,
+          priority: true,
+          payment: { id: payment.id, amount: payment.amount, currency: payment.currency, status: payment.status }
+        },
+        duplicate: true
+      }));
+    }
+  }
+
+  if (payment.status === 'pending') {
+    return res.status(409).json(
+      formatErrorResponse('A payment with this token is still being processed', null, 'PAYMENT_IN_PROGRESS')
+    );
+  }
+
+  if (payment.status === 'failed') {
+    return res.status(402).json(
+      formatErrorResponse('Payment failed', { reason: payment.failureReason }, 'PAYMENT_FAILED')
+    );
+  }
+
+  return res.status(409).json(
+    formatErrorResponse('This payment token has already been used', null, 'PAYMENT_TOKEN_USED')
+  );
+};
 
 // Crear una nueva petición musical
 const createRequest = async (req, res) => {
   try {
     const { restaurantSlug } = req.params;
-    const { songId, tableNumber } = req.body;
+    const { songId, tableNumber, priority, paymentToken } = req.body;
     const userAgent = req.get('User-Agent');
     const ipAddress = req.ip;
 
     // Buscar restaurante
     const { rows: restaurantRows } = await executeQuery(
-      'SELECT id, name, max_requests_per_user, queue_limit, is_active FROM restaurants WHERE slug = ? AND is_active = true',
+      'SELECT id, name, timezone, max_requests_per_user, queue_limit, allow_explicit, is_active FROM restaurants WHERE slug = ? AND is_active = true',
       [restaurantSlug]
     );
 
@@ -26,9 +91,19 @@ const createRequest = async (req, res) => {
 
     const restaurant = restaurantRows[0];
 
+    // Email verificado si el restaurante lo exige para pedir canciones
+    const registeredUserId = req.user
+      ? (req.user.type === 'registered_user' ? req.user.id : req.user.registeredUserId)
+      : null;
+    if (await EmailVerificationService.isBlocked(restaurant.id, 'requests', registeredUserId)) {
+      return res.status(403).json(
+        formatErrorResponse('This restaurant requires a verified email to request songs', null, 'EMAIL_VERIFICATION_REQUIRED')
+      );
+    }
+
     // Verificar que la canción existe y pertenece al restaurante
     const { rows: songRows } = await executeQuery(
-      'SELECT id, title, artist, image FROM songs WHERE id = ? AND restaurant_id = ? AND is_active = true',
+      'SELECT id, title, artist, image, is_explicit FROM songs WHERE id = ? AND restaurant_id = ? AND is_active = true',
       [songId, restaurant.id]
     );
 
@@ -40,6 +115,28 @@ const createRequest = async (req, res) => {
 
     const song = songRows[0];
 
+    // Reintento de una petición prioritaria: devolver lo que ya se hizo con ese pago
+    if (priority && paymentToken) {
+      const previousPayment = await PaidPriorityService.findByPaymentToken(restaurant.id, paymentToken);
+      if (previousPayment) {
+        return respondToUsedPaymentToken(res, previousPayment);
+      }
+    }
+
+    // Contenido explícito: bloqueado si el restaurante no lo permite (o está fuera de su horario)
+    if (song.is_explicit && !(await ExplicitContentService.isExplicitAllowed(restaurant))) {
+      const schedule = restaurant.allow_explicit ? await ExplicitContentService.getSchedule(restaurant.id) : null;
+      return res.status(403).json(
+        formatErrorResponse(
+          schedule
+            ? `Explicit songs are only allowed between ${schedule.from} and ${schedule.until}`
+            : 'Explicit songs are not allowed in this restaurant',
+          schedule ? { allowedFrom: schedule.from, allowedUntil: schedule.until, timezone: restaurant.timezone } : null,
+          'EXPLICIT_NOT_ALLOWED'
+        )
+      );
+    }
+
     // Crear o encontrar usuario temporal
     let userId;
     const finalTableNumber = tableNumber || `Mesa #${Math.floor(Math.random() * 20) + 1}`;
@@ -76,7 +173,7 @@ const createRequest = async (req, res) => {
 
     // Verificar límite de cola global
     const { rows: queueCountRows } = await executeQuery(
-      'SELECT COUNT(*) as count FROM requests WHERE restaurant_id = ? AND status = "pending"',
+      'SELECT COUNT(*) as count, SUM(is_house_pick = 1) as house_picks FROM requests WHERE restaurant_id = ? AND status = "pending"',
       [restaurant.id]
     );
 
@@ -98,15 +195,66 @@ const createRequest = async (req, res) => {
       );
     }
 
+    // Reglas anti-repetición del restaurante (cooldown, límite por artista y por noche)
+    const repeatBlock = await RepeatRulesService.check(restaurant, song);
+
+    if (repeatBlock) {
+      const retryAfterSeconds = Math.max(0, Math.ceil((repeatBlock.availableAt.getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json(
+        formatErrorResponse(repeatBlock.message, {
+          availableAt: repeatBlock.availableAt.toISOString(),
+          retryAfterSeconds
+        }, repeatBlock.code)
+      );
+    }
+
+    // Prioridad de pago: se cobra justo antes de crear la petición, cuando ya pasó todas las comprobaciones
+    let payment = null;
+    if (priority) {
+      const prioritySettings = await PaidPriorityService.getSettings(restaurant.id);
+
+      if (!prioritySettings.enabled) {
+        return res.status(400).json(
+          formatErrorResponse('This restaurant does not offer priority requests', null, 'PRIORITY_NOT_AVAILABLE')
+        );
+      }
+
+      if (!PaidPriorityService.isProviderAvailable()) {
+        return res.status(503).json(
+          formatErrorResponse('Payments are not available right now', null, 'PAYMENTS_UNAVAILABLE')
+        );
+      }
+
+      payment = await PaidPriorityService.charge(restaurant.id, prioritySettings, { userId, paymentToken, song });
+
+      // Otro intento con el mismo token se adelantó
+      if (payment.duplicate) {
+        return respondToUsedPaymentToken(res, payment);
+      }
+
+      if (payment.status !== 'succeeded') {
+        return res.status(402).json(
+          formatErrorResponse('Payment failed', { reason: payment.failureReason }, 'PAYMENT_FAILED')
+        );
+      }
+    }
+
     // Crear la petición usando transacción
     const requestId = uuidv4();
-    const currentQueuePosition = queueCountRows[0].count + 1;
+    // Las canciones de la casa ceden el sitio: la petición entra delante de ellas
+    const currentQueuePosition = parseInt(queueCountRows[0].count) - (parseInt(queueCountRows[0].house_picks) || 0) + 1;
 
     const transactionQueries = [
       {
-        query: `INSERT INTO requests (id, restaurant_id, user_id, song_id, user_table, queue_position, status) 
-                VALUES (?, ?, ?, ?, ?, ?, 'pending')`,
-        params: [requestId, restaurant.id, userId, songId, finalTableNumber, currentQueuePosition]
+        query: `UPDATE requests SET queue_position = queue_position + 1
+                WHERE restaurant_id = ? AND status = 'pending' AND is_house_pick = 1 AND queue_position >= ?`,
+        params: [restaurant.id, currentQueuePosition]
+      },
+      {
+        query: `INSERT INTO requests (id, restaurant_id, user_id, registered_user_id, song_id, user_table, queue_position, is_priority, status) 
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        params: [requestId, restaurant.id, userId, registeredUserId, songId, finalTableNumber, currentQueuePosition, payment ? 1 : 0]
       },
       {
         query: 'UPDATE songs SET times_requested = times_requested + 1 WHERE id = ?',
@@ -118,10 +266,60 @@ const createRequest = async (req, res) => {
       }
     ];
 
-    await executeTransaction(transactionQueries);
+    if (payment) {
+      transactionQueries.push({
+        query: 'UPDATE request_payments SET request_id = ? WHERE id = ?',
+        params: [requestId, payment.id]
+      });
+    }
+
+    try {
+      await executeTransaction(transactionQueries);
+    } catch (error) {
+      // Cobrado pero sin petición: devolver el dinero
+      if (payment) {
+        await PaidPriorityService.refundPayment(payment.id, 'request_failed');
+      }
+      throw error;
+    }
 
     logger.info(`New music request created: ${song.title} by ${song.artist} for table ${finalTableNumber}`);
 
+    // La petición ya existe (y puede estar cobrada): a partir de aquí nada debe acabar en 500,
+    // o el cliente reintentaría una petición que ya se creó
+    let queuePosition = currentQueuePosition;
+    let waitEstimate = {};
+    try {
+      // Con reparto justo, votos o prioridad de pago la petición puede no ir al final de la cola
+      const positions = await QueueOrderingService.rebalanceIfNeeded(restaurant.id);
+      if (positions && positions.has(requestId)) {
+        queuePosition = positions.get(requestId);
+      }
+
+      QueueEventsService.publish(restaurant.id, 'request.created', {
+        requestId,
+        userId,
+        tableNumber: finalTableNumber,
+        status: 'pending',
+        queuePosition,
+        priority: !!payment,
+        song: {
+          id: song.id,
+          title: song.title,
+          artist: song.artist,
+          image: song.image
+        }
+      });
+
+      // Si el restaurante tiene auto_play y la cola estaba vacía, empieza a sonar
+      await PlaybackScheduler.sync(restaurant.id);
+
+      // Espera estimada según la duración real de las canciones por delante
+      waitEstimate = await WaitTimeService.estimateForRequest(restaurant.id, requestId);
+    } catch (error) {
+      logger.error('Create request post-processing error:', { requestId, error: error.message });
+    }
+
     res.status(201).json(formatSuccessResponse('Request created successfully', {
       request: {
         id: requestId,
@@ -132,9 +330,13 @@ const createRequest = async (req, res) => {
           image: song.image
         },
         tableNumber: finalTableNumber,
-        queuePosition: currentQueuePosition,
+        queuePosition,
         status: 'pending',
-        estimatedWaitTime: currentQueuePosition * 3 // 3 minutos promedio por canción
+        priority: !!payment,
+        payment: payment
+          ? { id: payment.id, amount: payment.amount, currency: payment.currency, status: payment.status }
+          : null,
+        ...waitEstimate
       }
     }));
 
@@ -180,7 +382,7 @@ const getUserRequests = async (req, res) => {
     }
 
     // Obtener peticiones del usuario
-    const { rows: requests } = await executeQuery(
+    const { rows: userRequests } = await executeQuery(
       `SELECT r.id, r.status, r.queue_position, r.requested_at, r.started_playing_at, r.completed_at,
               s.id as song_id, s.title, s.artist, s.album, s.image, s.duration,
               u.table_number
@@ -192,6 +394,8 @@ const getUserRequests = async (req, res) => {
       params
     );
 
+    const requests = await WaitTimeService.attachToRequests(restaurant.id, userRequests);
+
     res.json(formatSuccessResponse('User requests retrieved', {
       requests,
       total: requests.length,
@@ -232,9 +436,7 @@ const getRestaurantQueue = async (req, res) => {
     const restaurant = restaurantRows[0];
 
     // Construir query base
-    let query = `
-      SELECT r.id, r.status, r.queue_position, r.user_table, r.requested_at, r.started_playing_at,
-             s.id as song_id, s.title, s.artist, s.album, s.image, s.duration
+    let fromClause = `
       FROM requests r
       JOIN songs s ON r.song_id = s.id
       WHERE r.restaurant_id = ?
@@ -243,19 +445,21 @@ const getRestaurantQueue = async (req, res) => {
 
     // Filtro de estado
     if (status !== 'all') {
-      query += ' AND r.status = ?';
+      fromClause += ' AND r.status = ?';
       params.push(status);
     }
 
     // Contar total
-    const countQuery = query.replace(
-      'SELECT r.id, r.status, r.queue_position, r.user_table, r.requested_at, r.started_playing_at, s.id as song_id, s.title, s.artist, s.album, s.image, s.duration',
-      'SELECT COUNT(*) as total'
-    );
-
-    const { rows: countRows } = await executeQuery(countQuery, params);
+    const { rows: countRows } = await executeQuery(`SELECT COUNT(*) as total ${fromClause}`, params);
     const total = countRows[0].total;
 
+    let query = `
+      SELECT r.id, r.status, r.queue_position, r.user_table, r.is_house_pick, r.is_priority, r.upvotes, r.downvotes,
+             r.requested_at, r.started_playing_at,
+             s.id as song_id, s.title, s.artist, s.album, s.image, s.duration
+      ${fromClause}
+    `;
+
     // Agregar ordenamiento y paginación
     if (status === 'pending') {
       query += ' ORDER BY r.queue_position ASC, r.requested_at ASC';
@@ -266,7 +470,21 @@ const getRestaurantQueue = async (req, res) => {
     query += ' LIMIT ? OFFSET ?';
     params.push(currentLimit, offset);
 
-    const { rows: requests } = await executeQuery(query, params);
+    const { rows: queueRows } = await executeQuery(query, params);
+
+    // Espera estimada de cada petición y de la cola completa
+    const timeline = await WaitTimeService.getQueueTimeline(restaurant.id);
+
+    // Una mesa ve además su voto en cada petición
+    const userVotes = req.user.type === 'user'
+      ? await RequestVoteService.getUserVotes(req.user)
+      : null;
+
+    const requests = queueRows.map(request => ({
+      ...request,
+      ...(userVotes && { my_vote: userVotes.get(request.id) || 0 }),
+      ...WaitTimeService.formatWait(timeline.waits.get(request.id))
+    }));
 
     // Calcular paginación
     const pagination = calculatePagination(total, currentPage, currentLimit);
@@ -274,6 +492,10 @@ const getRestaurantQueue = async (req, res) => {
     res.json(formatSuccessResponse('Restaurant queue retrieved', {
       requests,
       pagination,
+      waitTime: {
+        currentSongRemainingSeconds: timeline.currentRemainingSeconds,
+        totalQueueSeconds: timeline.totalSeconds
+      },
       stats: {
         total,
         pending: requests.filter(r => r.status === 'pending').length,
@@ -308,11 +530,11 @@ const cancelRequest = async (req, res) => {
 
     // Buscar la petición con información completa
     const { rows: requestRows } = await executeQuery(
-      `SELECT r.id, r.status, r.user_id, r.queue_position, r.restaurant_id,
+      `SELECT r.id, r.status, r.user_id, r.queue_position, r.restaurant_id, r.is_house_pick,
               s.title, s.artist, u.table_number, u.ip_address, u.id as user_table_id
        FROM requests r
        JOIN songs s ON r.song_id = s.id
-       JOIN users u ON r.user_id = u.id
+       LEFT JOIN users u ON r.user_id = u.id
        WHERE r.id = ?`,
       [requestId]
     );
@@ -334,9 +556,10 @@ const cancelRequest = async (req, res) => {
 
     // Verificar autorización de manera más flexible
     let canCancel = false;
+    const cancelledByStaff = hasPermission(req.user, 'queue:manage') && req.user.id === request.restaurant_id;
     
-    // Si el usuario está autenticado y es del restaurante
-    if (req.user && req.user.type === 'restaurant' && req.user.id === request.restaurant_id) {
+    // Si el usuario está autenticado y gestiona la cola de este restaurante
+    if (cancelledByStaff) {
       canCancel = true;
       logger.info('Authorization: Restaurant owner');
     }
@@ -409,8 +632,32 @@ const cancelRequest = async (req, res) => {
 
       await executeTransaction(transactionQueries);
 
+      if (request.status === 'pending') {
+        await QueueOrderingService.rebalanceIfNeeded(request.restaurant_id);
+      }
+
       logger.info(`Request cancelled successfully: ${request.title} by ${request.artist} from table ${request.table_number}`);
 
+      // Si la cancela el restaurante, se devuelve la prioridad pagada (si la hubo)
+      const refund = cancelledByStaff
+        ? await PaidPriorityService.refundForRequest(request.id, 'cancelled_by_staff')
+        : null;
+
+      QueueEventsService.publish(request.restaurant_id, 'request.cancelled', {
+        requestId: request.id,
+        userId: request.user_id,
+        tableNumber: request.table_number,
+        previousStatus: request.status,
+        status: 'cancelled',
+        housePick: !!request.is_house_pick,
+        song: {
+          title: request.title,
+          artist: request.artist
+        }
+      });
+
+      PlaybackScheduler.sync(request.restaurant_id);
+
       res.json(formatSuccessResponse('Request cancelled successfully', {
         requestId: request.id,
         song: {
@@ -418,7 +665,8 @@ const cancelRequest = async (req, res) => {
           artist: request.artist
         },
         previousStatus: request.status,
-        tableNumber: request.table_number
+        tableNumber: request.table_number,
+        refund
       }));
 
     } catch (transactionError) {
@@ -433,12 +681,36 @@ const cancelRequest = async (req, res) => {
 
         logger.info(`Request cancelled (simple update): ${requestId}`);
 
+        if (request.status === 'pending') {
+          await QueueOrderingService.rebalanceIfNeeded(request.restaurant_id);
+        }
+
+        const refund = cancelledByStaff
+          ? await PaidPriorityService.refundForRequest(request.id, 'cancelled_by_staff')
+          : null;
+
+        QueueEventsService.publish(request.restaurant_id, 'request.cancelled', {
+          requestId: request.id,
+          userId: request.user_id,
+          tableNumber: request.table_number,
+          previousStatus: request.status,
+          status: 'cancelled',
+          housePick: !!request.is_house_pick,
+          song: {
+            title: request.title,
+            artist: request.artist
+          }
+        });
+
+        PlaybackScheduler.sync(request.restaurant_id);
+
         res.json(formatSuccessResponse('Request cancelled successfully', {
           requestId: request.id,
           song: {
             title: request.title,
             artist: request.artist
           },
+          refund,
           note: 'Queue positions may need manual adjustment'
         }));
 
@@ -470,16 +742,9 @@ const updateRequestStatus = async (req, res) => {
     const { status } = req.body;
     const { user } = req;
 
-    // Verificar que el usuario sea un restaurante
-    if (!user || user.type !== 'restaurant') {
-      return res.status(403).json(
-        formatErrorResponse('Restaurant access required')
-      );
-    }
-
     // Buscar la petición
     const { rows: requestRows } = await executeQuery(
-      `SELECT r.id, r.status, r.restaurant_id, r.queue_position,
+      `SELECT r.id, r.status, r.restaurant_id, r.queue_position, r.user_id, r.user_table, r.is_house_pick,
               s.title, s.artist, s.duration
        FROM requests r
        JOIN songs s ON r.song_id = s.id
@@ -531,17 +796,58 @@ const updateRequestStatus = async (req, res) => {
          WHERE restaurant_id = ? AND status = "pending" AND queue_position > ?`,
         [user.id, request.queue_position]
       );
+
+      if (request.status === 'pending') {
+        await QueueOrderingService.rebalanceIfNeeded(user.id);
+      }
     }
 
+    if (status === 'completed') {
+      await ListeningHistoryService.recordCompletedRequest(request.id);
+    }
+
+    // Cancelada por el restaurante: se devuelve la prioridad pagada (si la hubo)
+    const refund = status === 'cancelled'
+      ? await PaidPriorityService.refundForRequest(request.id, 'cancelled_by_staff')
+      : undefined;
+
     logger.info(`Request status updated: ${request.title} changed to ${status}`);
 
+    QueueEventsService.publish(user.id, 'request.status_changed', {
+      requestId: request.id,
+      userId: request.user_id,
+      tableNumber: request.user_table,
+      previousStatus: request.status,
+      status,
+      housePick: !!request.is_house_pick,
+      song: {
+        title: request.title,
+        artist: request.artist
+      }
+    });
+
+    // Reproducir la canción con su proveedor (Spotify, biblioteca local...)
+    const playback = status === 'playing'
+      ? await PlaybackService.playRequest(user.id, request.id)
+      : undefined;
+
+    // Si la cola se queda corta, el DJ asistente sugiere o añade canciones de la casa
+    if (status === 'completed' || status === 'cancelled') {
+      await DjAssistService.checkQueue(user.id);
+    }
+
+    // Reprogramar el auto_play tras un cambio manual
+    PlaybackScheduler.sync(user.id);
+
     res.json(formatSuccessResponse('Request status updated', {
       requestId: request.id,
       newStatus: status,
       song: {
         title: request.title,
         artist: request.artist
-      }
+      },
+      playback,
+      refund
     }));
 
   } catch (error) {
@@ -552,6 +858,276 @@ const updateRequestStatus = async (req, res) => {
   }
 };
 
+// Mover una petición pendiente dentro de la cola (solo para restaurantes).
+// resolvePosition recibe el total de pendientes y devuelve la posición destino.
+const moveRequestInQueue = async (req, res, action, resolvePosition) => {
+  try {
+    const { requestId } = req.params;
+    const { user } = req;
+
+    const request = await Request.findById(requestId);
+
+    if (!request || request.restaurantId !== user.id) {
+      return res.status(404).json(
+        formatErrorResponse('Request not found in your restaurant')
+      );
+    }
+
+    if (!request.isPending()) {
+      return res.status(400).json(
+        formatErrorResponse('Only pending requests can be moved in the queue', null, 'REQUEST_NOT_PENDING')
+      );
+    }
+
+    const { rows: countRows } = await executeQuery(
+      'SELECT COUNT(*) as count FROM requests WHERE restaurant_id = ? AND status = "pending"',
+      [user.id]
+    );
+
+    const previousPosition = request.queuePosition;
+    await request.updateQueuePosition(resolvePosition(countRows[0].count));
+
+    logger.info(`Request ${action}: ${request.song.title} moved from ${previousPosition} to ${request.queuePosition}`);
+
+    await ActivityLogService.logRestaurantAction(user.id, action, 'request', request.id, {
+      songId: request.songId,
+      title: request.song.title,
+      artist: request.song.artist,
+      tableNumber: request.userTable,
+      previousPosition,
+      newPosition: request.queuePosition
+    }, req);
+
+    QueueEventsService.publish(user.id, 'request.moved', {
+      requestId: request.id,
+      userId: request.userId,
+      tableNumber: request.userTable,
+      status: request.status,
+      previousPosition,
+      queuePosition: request.queuePosition,
+      song: {
+        title: request.song.title,
+        artist: request.song.artist
+      }
+    });
+
+    res.json(formatSuccessResponse('Request moved in queue', {
+      requestId: request.id,
+      previousPosition,
+      queuePosition: request.queuePosition,
+      song: {
+        title: request.song.title,
+        artist: request.song.artist
+      }
+    }));
+
+  } catch (error) {
+    logger.error('Move request error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to move request', error.message)
+    );
+  }
+};
+
+// Mover una petición a una posición concreta
+const moveRequest = (req, res) =>
+  moveRequestInQueue(req, res, 'request_moved', () => req.body.position);
+
+// Fijar una petición como la siguiente en sonar
+const pinRequest = (req, res) =>
+  moveRequestInQueue(req, res, 'request_pinned', () => 1);
+
+// Mandar una petición al final de la cola
+const sendRequestToBack = (req, res) =>
+  moveRequestInQueue(req, res, 'request_sent_to_back', (total) => total);
+
+// Votar una petición pendiente desde una sesión de mesa (value 1 / -1, o 0 para quitar el voto)
+const castVote = async (req, res, value) => {
+  try {
+    const { requestId } = req.params;
+    const { user } = req;
+
+    const { rows: requestRows } = await executeQuery(
+      `SELECT r.id, r.status, r.restaurant_id, r.user_id, r.user_table, r.queue_position, r.is_house_pick,
+              s.title, s.artist
+       FROM requests r
+       JOIN songs s ON r.song_id = s.id
+       WHERE r.id = ?`,
+      [requestId]
+    );
+
+    if (requestRows.length === 0 || requestRows[0].restaurant_id !== user.restaurantId) {
+      return res.status(404).json(
+        formatErrorResponse('Request not found in this restaurant')
+      );
+    }
+
+    const request = requestRows[0];
+
+    if (request.status !== 'pending') {
+      return res.status(400).json(
+        formatErrorResponse('Only pending requests can be voted on', null, 'REQUEST_NOT_PENDING')
+      );
+    }
+
+    if (request.user_id === user.id || (user.tableNumber && request.user_table === user.tableNumber)) {
+      return res.status(403).json(
+        formatErrorResponse('You cannot vote on your own request', null, 'OWN_REQUEST')
+      );
+    }
+
+    const { upvotes, downvotes, score } = await RequestVoteService.vote(request.id, user, value);
+
+    QueueEventsService.publish(request.restaurant_id, 'request.voted', {
+      requestId: request.id,
+      userId: request.user_id,
+      tableNumber: request.user_table,
+      upvotes,
+      downvotes,
+      score
+    });
+
+    // Con orden por votos la petición se recoloca, o se descarta si llegó al umbral
+    let dropped = false;
+    let queuePosition = request.queue_position;
+    const mode = await QueueOrderingService.getMode(request.restaurant_id);
+
+    if (mode === 'votes') {
+      const rules = await RequestVoteService.getRules(request.restaurant_id);
+      dropped = await RequestVoteService.dropIfRejected(request, score, rules);
+
+      const positions = await QueueOrderingService.rebalance(request.restaurant_id, mode);
+      queuePosition = dropped ? null : (positions.get(request.id) || queuePosition);
+
+      if (dropped) {
+        await DjAssistService.checkQueue(request.restaurant_id);
+      }
+    }
+
+    res.json(formatSuccessResponse(value === 0 ? 'Vote removed' : 'Vote registered', {
+      requestId: request.id,
+      vote: value,
+      upvotes,
+      downvotes,
+      score,
+      queuePosition,
+      dropped
+    }));
+
+  } catch (error) {
+    logger.error('Vote request error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to vote', error.message)
+    );
+  }
+};
+
+// Votar a favor o en contra ({ vote: 'up' | 'down' })
+const voteRequest = (req, res) =>
+  castVote(req, res, req.body.vote === 'up' ? 1 : -1);
+
+// Quitar el voto de la mesa
+const removeVote = (req, res) =>
+  castVote(req, res, 0);
+
+// Suscribirse en tiempo real a los cambios de la cola (Server-Sent Events)
+const streamQueueEvents = async (req, res) => {
+  try {
+    const { restaurantSlug } = req.params;
+    const { user } = req;
+
+    // Buscar restaurante
+    const { rows: restaurantRows } = await executeQuery(
+      'SELECT id FROM restaurants WHERE slug = ? AND is_active = true',
+      [restaurantSlug]
+    );
+
+    if (restaurantRows.length === 0) {
+      return res.status(404).json(
+        formatErrorResponse('Restaurant not found')
+      );
+    }
+
+    const restaurant = restaurantRows[0];
+
+    // El restaurante recibe toda la cola; la mesa solo sus propias peticiones
+    if (user.type === 'restaurant' && user.id === restaurant.id) {
+      QueueEventsService.subscribe(restaurant.id, req, res);
+    } else if (user.type === 'user' && user.restaurantId === restaurant.id) {
+      QueueEventsService.subscribe(restaurant.id, req, res, (event, payload) =>
+        payload.userId === user.id || (user.tableNumber && payload.tableNumber === user.tableNumber)
+      );
+    } else {
+      return res.status(403).json(
+        formatErrorResponse('Not authorized to follow this queue')
+      );
+    }
+
+    logger.info(`Queue events subscription opened for ${restaurantSlug} by ${user.type} ${user.id}`);
+
+  } catch (error) {
+    logger.error('Stream queue events error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json(
+        formatErrorResponse('Failed to subscribe to queue events', error.message)
+      );
+    }
+  }
+};
+
+// Precio de la prioridad de pago y posición estimada si se pidiera ahora
+const getPriorityQuote = async (req, res) => {
+  try {
+    const { restaurantSlug } = req.params;
+
+    const { rows: restaurantRows } = await executeQuery(
+      'SELECT id FROM restaurants WHERE slug = ? AND is_active = true',
+      [restaurantSlug]
+    );
+
+    if (restaurantRows.length === 0) {
+      return res.status(404).json(
+        formatErrorResponse('Restaurant not found or inactive')
+      );
+    }
+
+    const restaurant = restaurantRows[0];
+    const settings = await PaidPriorityService.getSettings(restaurant.id);
+
+    if (!settings.enabled) {
+      return res.json(formatSuccessResponse('Priority quote retrieved', {
+        enabled: false
+      }));
+    }
+
+    const { rows: pendingRows } = await executeQuery(
+      `SELECT id, is_priority FROM requests
+       WHERE restaurant_id = ? AND status = 'pending'
+       ORDER BY queue_position ASC, requested_at ASC`,
+      [restaurant.id]
+    );
+
+    // Simular la cola con una prioritaria más al final
+    const quote = { id: null, is_priority: 1 };
+    const ordered = PaidPriorityService.priorityOrder([...pendingRows, quote], settings.maxInRow);
+
+    res.json(formatSuccessResponse('Priority quote retrieved', {
+      enabled: true,
+      available: PaidPriorityService.isProviderAvailable(),
+      price: settings.price,
+      currency: settings.currency,
+      estimatedPosition: ordered.indexOf(quote) + 1,
+      queueLength: pendingRows.length
+    }));
+
+  } catch (error) {
+    logger.error('Get priority quote error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to get priority quote', error.message)
+    );
+  }
+};
+
 // Obtener estadísticas de peticiones
 const getRequestStats = async (req, res) => {
   try {
@@ -652,5 +1228,12 @@ module.exports = {
   getRestaurantQueue,
   cancelRequest,
   updateRequestStatus,
+  moveRequest,
+  pinRequest,
+  sendRequestToBack,
+  voteRequest,
+  removeVote,
+  streamQueueEvents,
+  getPriorityQuote,
   getRequestStats
 };
\ No newline at end of file
@@ -1,6 +1,15 @@
 // src/controllers/restaurantController.js - UPDATED WITH getPublicRestaurants
 const { executeQuery } = require('../config/database');
 const { regenerateQRCode } = require('../services/qrService');
+const PlaybackScheduler = require('../services/playbackScheduler');
+const QueueOrderingService = require('../services/queueOrderingService');
+const RepeatRulesService = require('../services/repeatRulesService');
+const DjAssistService = require('../services/djAssistService');
+const RequestVoteService = require('../services/requestVoteService');
+const PaidPriorityService = require('../services/paidPriorityService');
+const ExplicitContentService = require('../services/explicitContentService');
+const EmailVerificationService = require('../services/emailVerificationService');
+const { hasPermission } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
 const { formatSuccessResponse, formatErrorResponse } = require('../utils/helpers');
 
@@ -228,12 +237,6 @@ const getRestaurantSettings = async (req, res) => {
   try {
     const { user } = req;
     
-    if (user.type !== 'restaurant') {
-      return res.status(403).json(
-        formatErrorResponse('Restaurant access required')
-      );
-    }
-
     const { rows } = await executeQuery(
       `SELECT r.name, r.phone, r.address, r.city, r.country, r.timezone,
               r.max_requests_per_user, r.queue_limit, r.auto_play, r.allow_explicit,
@@ -251,7 +254,16 @@ const getRestaurantSettings = async (req, res) => {
     }
 
     res.json(formatSuccessResponse('Settings retrieved', {
-      settings: rows[0]
+      settings: {
+        ...rows[0],
+        queue_ordering: await QueueOrderingService.getMode(user.id),
+        repeat_rules: await RepeatRulesService.getRules(user.id),
+        vote_rules: await RequestVoteService.getRules(user.id),
+        dj_assist: await DjAssistService.getSettings(user.id),
+        paid_priority: await PaidPriorityService.getSettings(user.id),
+        explicit_schedule: await ExplicitContentService.getSchedule(user.id),
+        verified_email_required_for: await EmailVerificationService.getRequiredActions(user.id)
+      }
     }));
 
   } catch (error) {
@@ -277,15 +289,16 @@ const updateRestaurantSettings = async (req, res) => {
       queue_limit,
       auto_play,
       allow_explicit,
+      queue_ordering,
+      repeat_rules,
+      vote_rules,
+      dj_assist,
+      paid_priority,
+      explicit_schedule,
+      verified_email_required_for,
       subscriptionPlan
     } = req.body;
 
-    if (user.type !== 'restaurant') {
-      return res.status(403).json(
-        formatErrorResponse('Restaurant access required')
-      );
-    }
-
     // Validar límites
     if (max_requests_per_user && (max_requests_per_user < 1 || max_requests_per_user > 10)) {
       return res.status(400).json(
@@ -299,12 +312,73 @@ const updateRestaurantSettings = async (req, res) => {
       );
     }
 
+    if (queue_ordering && !QueueOrderingService.QUEUE_ORDERING_MODES.includes(queue_ordering)) {
+      return res.status(400).json(
+        formatErrorResponse(`Queue ordering must be one of: ${QueueOrderingService.QUEUE_ORDERING_MODES.join(', ')}`)
+      );
+    }
+
+    const djAssistError = dj_assist ? DjAssistService.validateSettings(dj_assist) : null;
+    if (djAssistError) {
+      return res.status(400).json(
+        formatErrorResponse(djAssistError)
+      );
+    }
+
+    if (paid_priority) {
+      const paidPriorityError = PaidPriorityService.validateSettings(paid_priority);
+      if (paidPriorityError) {
+        return res.status(400).json(
+          formatErrorResponse(paidPriorityError)
+        );
+      }
+
+      // Cobrar a los clientes es facturación: el personal necesita también ese permiso
+      if (!hasPermission(user, 'billing:manage')) {
+        return res.status(403).json(
+          formatErrorResponse('Your staff role does not allow changing paid priority pricing')
+        );
+      }
+
+      if (paid_priority.enabled === true && paid_priority.price === undefined &&
+          (await PaidPriorityService.getSettings(user.id)).price <= 0) {
+        return res.status(400).json(
+          formatErrorResponse('Set a price before enabling paid priority')
+        );
+      }
+    }
+
+    if (explicit_schedule && (
+      !ExplicitContentService.isValidTime(explicit_schedule.from) ||
+      !ExplicitContentService.isValidTime(explicit_schedule.until)
+    )) {
+      return res.status(400).json(
+        formatErrorResponse('Explicit schedule must have from and until in HH:MM format')
+      );
+    }
+
+    if (verified_email_required_for !== undefined && (
+      !Array.isArray(verified_email_required_for) ||
+      verified_email_required_for.some(action => !EmailVerificationService.VERIFIABLE_ACTIONS.includes(action))
+    )) {
+      return res.status(400).json(
+        formatErrorResponse(`Verified email can be required for: ${EmailVerificationService.VERIFIABLE_ACTIONS.join(', ')}`)
+      );
+    }
+
     if (subscriptionPlan && !['free', 'premium', 'enterprise'].includes(subscriptionPlan)) {
       return res.status(400).json(
         formatErrorResponse('subscriptionPlan debe ser free, premium o enterprise')
       );
     }
 
+    // Cambiar de plan es facturación: el personal necesita también ese permiso
+    if (subscriptionPlan && !hasPermission(user, 'billing:manage')) {
+      return res.status(403).json(
+        formatErrorResponse('Your staff role does not allow changing the subscription plan')
+      );
+    }
+
     // Actualizar configuración
     await executeQuery(
       `UPDATE restaurants
@@ -328,8 +402,51 @@ const updateRestaurantSettings = async (req, res) => {
       ]
     );
 
+    // Cambiar el orden de la cola (se guarda en restaurant_settings) y reordenar las pendientes
+    if (queue_ordering) {
+      await QueueOrderingService.setMode(user.id, queue_ordering);
+      await QueueOrderingService.rebalance(user.id, queue_ordering);
+    }
+
+    // Reglas anti-repetición (restaurant_settings)
+    if (repeat_rules) {
+      await RepeatRulesService.setRules(user.id, repeat_rules);
+    }
+
+    // Orden por votos: puestos por voto y umbral para descartar (restaurant_settings)
+    if (vote_rules) {
+      await RequestVoteService.setRules(user.id, vote_rules);
+      await QueueOrderingService.rebalanceIfNeeded(user.id);
+    }
+
+    // DJ asistente: modo, cola mínima, ventana anti-repetición y curva de energía (restaurant_settings)
+    if (dj_assist) {
+      await DjAssistService.setSettings(user.id, dj_assist);
+    }
+
+    // Prioridad de pago: activación, precio, moneda y máximo de prioritarias seguidas (restaurant_settings)
+    if (paid_priority) {
+      await PaidPriorityService.setSettings(user.id, paid_priority);
+      await QueueOrderingService.rebalanceIfNeeded(user.id);
+    }
+
+    // Horario de contenido explícito (null lo elimina)
+    if (explicit_schedule !== undefined) {
+      await ExplicitContentService.setSchedule(user.id, explicit_schedule);
+    }
+
+    // Acciones que exigen email verificado ([] lo desactiva)
+    if (verified_email_required_for !== undefined) {
+      await EmailVerificationService.setRequiredActions(user.id, verified_email_required_for);
+    }
+
     logger.info(`Restaurant settings updated: ${user.id}`);
 
+    // Activar o detener el avance automático de la cola
+    if (auto_play !== undefined) {
+      PlaybackScheduler.sync(user.id);
+    }
+
     res.json(formatSuccessResponse('Settings updated successfully'));
 
   } catch (error) {
@@ -526,12 +643,6 @@ const regenerateQR = async (req, res) => {
     const { user } = req;
     const { slug } = req.params;
 
-    if (user.type !== 'restaurant') {
-      return res.status(403).json(
-        formatErrorResponse('Restaurant access required')
-      );
-    }
-
     // Verificar que el slug pertenece al usuario
     const { rows } = await executeQuery(
       'SELECT id, slug FROM restaurants WHERE id = ? AND slug = ?',
@@ -3,6 +3,7 @@ const { RestaurantReview, Restaurant, RegisteredUser, ActivityLog } = require('.
 const { executeQuery } = require('../config/database');
 const { logger } = require('../utils/logger');
 const { formatSuccessResponse, formatErrorResponse } = require('../utils/helpers');
+const EmailVerificationService = require('../services/emailVerificationService');
 
 class ReviewController {
   // Crear nueva review
@@ -23,12 +24,6 @@ class ReviewController {
         );
       }
 
-      if (user.type !== 'registered_user') {
-        return res.status(403).json(
-          formatErrorResponse('Solo usuarios registrados pueden crear reviews')
-        );
-      }
-
       // Verificar que el restaurante existe
       const restaurant = await Restaurant.findById(restaurantId);
       if (!restaurant) {
@@ -37,6 +32,13 @@ class ReviewController {
         );
       }
 
+      // Algunos restaurantes solo aceptan reviews de cuentas con email verificado
+      if (await EmailVerificationService.isBlocked(restaurantId, 'reviews', user.id)) {
+        return res.status(403).json(
+          formatErrorResponse('Este restaurante requiere un email verificado para dejar reviews', null, 'EMAIL_VERIFICATION_REQUIRED')
+        );
+      }
+
       // Verificar que el usuario no haya hecho una review antes
       const existingReview = await RestaurantReview.getByUser(user.id);
       const hasReviewed = existingReview.some(review => review.restaurantId === restaurantId);
@@ -173,12 +175,6 @@ class ReviewController {
       const { user } = req;
       const { limit = 20, offset = 0 } = req.query;
 
-      if (user.type !== 'registered_user') {
-        return res.status(403).json(
-          formatErrorResponse('Solo usuarios registrados pueden ver sus reviews')
-        );
-      }
-
       const reviews = await RestaurantReview.getByUser(
         user.id,
         parseInt(limit),
@@ -348,12 +344,6 @@ class ReviewController {
       const { user } = req;
       const { id } = req.params;
 
-      if (user.type !== 'registered_user') {
-        return res.status(403).json(
-          formatErrorResponse('Solo usuarios registrados pueden votar')
-        );
-      }
-
       const review = await RestaurantReview.findById(id);
 
       if (!review) {
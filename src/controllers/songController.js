@@ -1,6 +1,12 @@
 // src/controllers/songController.js - FIXED FOR MYSQL2 PARAMETER TYPES
 const { executeQuery } = require('../config/database');
 const { logger } = require('../utils/logger');
+const ExplicitContentService = require('../services/explicitContentService');
+const CatalogService = require('../services/catalogService');
+const RecommendationService = require('../services/recommendationService');
+const LocalLibraryProvider = require('../services/musicProviders/localLibraryProvider');
+const { Song } = require('../models');
+const { parseCSV } = require('../utils/helpers');
 
 // Helper function to format success response
 const formatSuccessResponse = (message, data) => ({
@@ -52,7 +58,7 @@ const getSongs = async (req, res) => {
     
     // Buscar restaurante
     const restaurantResult = await executeQuery(
-      'SELECT id, name FROM restaurants WHERE slug = ? AND is_active = 1',
+      'SELECT id, name, allow_explicit, timezone FROM restaurants WHERE slug = ? AND is_active = 1',
       [restaurantSlug]
     );
     
@@ -68,36 +74,36 @@ const getSongs = async (req, res) => {
     const restaurant = restaurantRows[0];
     logger.info('Restaurant found:', restaurant);
     
-    // Construir query base
-    let query = `
-      SELECT id, title, artist, album, duration, year, image, genre, 
-             popularity, energy, is_explicit, times_requested
+    // Construir query base (sin explícitas si el restaurante no las permite ahora)
+    let whereClause = `
       FROM songs 
       WHERE restaurant_id = ? AND is_active = 1
     `;
+    whereClause += await ExplicitContentService.getSongFilter(restaurant);
     let params = [restaurant.id];
     
     // Filtros adicionales
     if (genre && genre !== 'all') {
-      query += ' AND genre = ?';
+      whereClause += ' AND genre = ?';
       params.push(genre);
     }
     
     if (search && search.trim()) {
-      query += ' AND (title LIKE ? OR artist LIKE ? OR album LIKE ?)';
+      whereClause += ' AND (title LIKE ? OR artist LIKE ? OR album LIKE ?)';
       const searchTerm = `%${search.trim()}%`;
       params.push(searchTerm, searchTerm, searchTerm);
     }
     
     // Contar total de resultados
-    const countQuery = query.replace(
-      'SELECT id, title, artist, album, duration, year, image, genre, popularity, energy, is_explicit, times_requested',
-      'SELECT COUNT(*) as total'
-    );
-    
-    const countResult = await executeQuery(countQuery, params);
+    const countResult = await executeQuery(`SELECT COUNT(*) as total ${whereClause}`, params);
     const total = countResult.rows[0].total;
     
+    let query = `
+      SELECT id, title, artist, album, duration, year, image, genre, 
+             popularity, energy, is_explicit, times_requested
+      ${whereClause}
+    `;
+    
     // CORREGIDO: Convertir números a strings para MySQL2
     query += ' ORDER BY popularity DESC, times_requested DESC LIMIT ? OFFSET ?';
     params.push(currentLimit.toString(), offset.toString());
@@ -157,7 +163,7 @@ const searchSongs = async (req, res) => {
     
     // Buscar restaurante
     const restaurantResult = await executeQuery(
-      'SELECT id FROM restaurants WHERE slug = ? AND is_active = 1',
+      'SELECT id, allow_explicit, timezone FROM restaurants WHERE slug = ? AND is_active = 1',
       [restaurantSlug]
     );
     
@@ -172,11 +178,12 @@ const searchSongs = async (req, res) => {
     // Query de búsqueda
     let searchQuery = `
       SELECT id, title, artist, album, duration, year, image, genre, 
-             popularity, energy, times_requested
+             popularity, energy, is_explicit, times_requested
       FROM songs 
       WHERE restaurant_id = ? AND is_active = 1
       AND (title LIKE ? OR artist LIKE ? OR album LIKE ?)
     `;
+    searchQuery += await ExplicitContentService.getSongFilter(restaurant);
     
     const searchTerm = `%${query.trim()}%`;
     let params = [restaurant.id, searchTerm, searchTerm, searchTerm];
@@ -215,7 +222,7 @@ const getPopularSongs = async (req, res) => {
     
     // Buscar restaurante
     const restaurantResult = await executeQuery(
-      'SELECT id FROM restaurants WHERE slug = ? AND is_active = 1',
+      'SELECT id, allow_explicit, timezone FROM restaurants WHERE slug = ? AND is_active = 1',
       [restaurantSlug]
     );
     
@@ -228,11 +235,12 @@ const getPopularSongs = async (req, res) => {
     const restaurant = restaurantResult.rows[0];
     
     // Obtener canciones populares
+    const explicitFilter = await ExplicitContentService.getSongFilter(restaurant);
     const songsResult = await executeQuery(
       `SELECT id, title, artist, album, duration, year, image, genre, 
-              popularity, energy, times_requested
+              popularity, energy, is_explicit, times_requested
        FROM songs 
-       WHERE restaurant_id = ? AND is_active = 1
+       WHERE restaurant_id = ? AND is_active = 1${explicitFilter}
        ORDER BY popularity DESC, times_requested DESC 
        LIMIT ?`,
       [restaurant.id, parseInt(limit).toString()]
@@ -250,6 +258,39 @@ const getPopularSongs = async (req, res) => {
   }
 };
 
+// Recomendaciones para el usuario actual (tendencias si la sesión es anónima)
+const getRecommendations = async (req, res) => {
+  try {
+    const { restaurantSlug } = req.params;
+    const { limit = 10 } = req.query;
+
+    const restaurantResult = await executeQuery(
+      'SELECT id, name, allow_explicit, timezone FROM restaurants WHERE slug = ? AND is_active = 1',
+      [restaurantSlug]
+    );
+
+    if (!restaurantResult.rows || restaurantResult.rows.length === 0) {
+      return res.status(404).json(
+        formatErrorResponse('Restaurant not found')
+      );
+    }
+
+    const recommendations = await RecommendationService.getRecommendations(
+      restaurantResult.rows[0],
+      req.user,
+      parseInt(limit)
+    );
+
+    res.json(formatSuccessResponse('Recommendations retrieved', recommendations));
+
+  } catch (error) {
+    logger.error('Get recommendations error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to get recommendations', error.message)
+    );
+  }
+};
+
 // Obtener canciones por género
 const getSongsByGenre = async (req, res) => {
   try {
@@ -258,7 +299,7 @@ const getSongsByGenre = async (req, res) => {
     
     // Buscar restaurante
     const restaurantResult = await executeQuery(
-      'SELECT id FROM restaurants WHERE slug = ? AND is_active = 1',
+      'SELECT id, allow_explicit, timezone FROM restaurants WHERE slug = ? AND is_active = 1',
       [restaurantSlug]
     );
     
@@ -271,11 +312,12 @@ const getSongsByGenre = async (req, res) => {
     const restaurant = restaurantResult.rows[0];
     
     // Obtener canciones del género
+    const explicitFilter = await ExplicitContentService.getSongFilter(restaurant);
     const songsResult = await executeQuery(
       `SELECT id, title, artist, album, duration, year, image, genre, 
-              popularity, energy, times_requested
+              popularity, energy, is_explicit, times_requested
        FROM songs 
-       WHERE restaurant_id = ? AND genre = ? AND is_active = 1
+       WHERE restaurant_id = ? AND genre = ? AND is_active = 1${explicitFilter}
        ORDER BY popularity DESC, times_requested DESC 
        LIMIT ?`,
       [restaurant.id, genre, parseInt(limit).toString()]
@@ -302,7 +344,7 @@ const getSongDetails = async (req, res) => {
     
     // Buscar restaurante
     const restaurantResult = await executeQuery(
-      'SELECT id FROM restaurants WHERE slug = ? AND is_active = 1',
+      'SELECT id, allow_explicit, timezone FROM restaurants WHERE slug = ? AND is_active = 1',
       [restaurantSlug]
     );
     
@@ -315,12 +357,13 @@ const getSongDetails = async (req, res) => {
     const restaurant = restaurantResult.rows[0];
     
     // Buscar canción
+    const explicitFilter = await ExplicitContentService.getSongFilter(restaurant);
     const songResult = await executeQuery(
-      `SELECT id, title, artist, album, duration, year, spotify_id, 
+      `SELECT id, title, artist, album, duration, year, provider, external_id, spotify_id, 
               preview_url, image, genre, popularity, energy, is_explicit, 
               times_requested, created_at
        FROM songs 
-       WHERE id = ? AND restaurant_id = ? AND is_active = 1`,
+       WHERE id = ? AND restaurant_id = ? AND is_active = 1${explicitFilter}`,
       [songId, restaurant.id]
     );
     
@@ -365,7 +408,7 @@ const getGenres = async (req, res) => {
     
     // Buscar restaurante
     const restaurantResult = await executeQuery(
-      'SELECT id FROM restaurants WHERE slug = ? AND is_active = 1',
+      'SELECT id, allow_explicit, timezone FROM restaurants WHERE slug = ? AND is_active = 1',
       [restaurantSlug]
     );
     
@@ -378,10 +421,11 @@ const getGenres = async (req, res) => {
     const restaurant = restaurantResult.rows[0];
     
     // Obtener géneros únicos con conteo
+    const explicitFilter = await ExplicitContentService.getSongFilter(restaurant);
     const genresResult = await executeQuery(
       `SELECT genre, COUNT(*) as count
        FROM songs 
-       WHERE restaurant_id = ? AND is_active = 1
+       WHERE restaurant_id = ? AND is_active = 1${explicitFilter}
        GROUP BY genre 
        ORDER BY count DESC, genre ASC`,
       [restaurant.id]
@@ -399,11 +443,286 @@ const getGenres = async (req, res) => {
   }
 };
 
+// =============================
+// GESTIÓN DEL CATÁLOGO (RESTAURANTE)
+// =============================
+
+// Obtener una canción del catálogo del restaurante autenticado
+const findCatalogSong = async (restaurantId, songId) => {
+  const song = await Song.findById(songId);
+  return song && song.restaurantId === restaurantId ? song : null;
+};
+
+// Listar el catálogo completo (incluye canciones desactivadas)
+const getCatalog = async (req, res) => {
+  try {
+    const { user } = req;
+    const { search, status = 'all', page = 1, limit = 50 } = req.query;
+
+    const { page: currentPage, limit: currentLimit, offset } = paginate(page, limit);
+
+    let whereClause = 'FROM songs WHERE restaurant_id = ?';
+    const params = [user.id];
+
+    if (status === 'active') {
+      whereClause += ' AND is_active = 1';
+    } else if (status === 'inactive') {
+      whereClause += ' AND is_active = 0';
+    }
+
+    if (search && search.trim()) {
+      whereClause += ' AND (title LIKE ? OR artist LIKE ? OR album LIKE ?)';
+      const searchTerm = `%${search.trim()}%`;
+      params.push(searchTerm, searchTerm, searchTerm);
+    }
+
+    const countResult = await executeQuery(`SELECT COUNT(*) as total ${whereClause}`, params);
+    const total = countResult.rows[0].total;
+
+    const songsResult = await executeQuery(
+      `SELECT * ${whereClause} ORDER BY artist ASC, title ASC LIMIT ? OFFSET ?`,
+      [...params, currentLimit.toString(), offset.toString()]
+    );
+
+    res.json(formatSuccessResponse('Catalog retrieved successfully', {
+      songs: songsResult.rows.map(row => new Song(row).toJSON()),
+      pagination: calculatePagination(total, currentPage, currentLimit)
+    }));
+
+  } catch (error) {
+    logger.error('Get catalog error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to retrieve catalog', error.message)
+    );
+  }
+};
+
+// Crear una canción
+const createSong = async (req, res) => {
+  try {
+    const { user } = req;
+    const { song, errors } = CatalogService.normalizeSong(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json(
+        formatErrorResponse('Invalid song data', errors)
+      );
+    }
+
+    const duplicate = await CatalogService.findDuplicate(user.id, song);
+    if (duplicate) {
+      return res.status(409).json(
+        formatErrorResponse('Song already exists in catalog', { existingSongId: duplicate.id, isActive: !!duplicate.is_active })
+      );
+    }
+
+    const created = await CatalogService.createSong(user.id, song);
+
+    logger.info(`Song created in catalog: ${song.title} by ${song.artist} (${user.id})`);
+
+    res.status(201).json(formatSuccessResponse('Song created successfully', {
+      song: created
+    }));
+
+  } catch (error) {
+    logger.error('Create song error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to create song', error.message)
+    );
+  }
+};
+
+// Actualizar una canción (también permite reactivarla con isActive)
+const updateSong = async (req, res) => {
+  try {
+    const { user } = req;
+    const { songId } = req.params;
+
+    const existing = await findCatalogSong(user.id, songId);
+    if (!existing) {
+      return res.status(404).json(
+        formatErrorResponse('Song not found in your catalog')
+      );
+    }
+
+    const { song, errors } = CatalogService.normalizeSong(req.body, { partial: true, provider: existing.provider });
+
+    if (errors.length > 0) {
+      return res.status(400).json(
+        formatErrorResponse('Invalid song data', errors)
+      );
+    }
+
+    if (song.title || song.artist || song.spotifyId || song.externalId) {
+      const duplicate = await CatalogService.findDuplicate(user.id, {
+        title: song.title || existing.title,
+        artist: song.artist || existing.artist,
+        spotifyId: song.spotifyId,
+        provider: song.provider || existing.provider,
+        externalId: song.externalId
+      }, existing.id);
+
+      if (duplicate) {
+        return res.status(409).json(
+          formatErrorResponse('Another song with the same title and artist or provider track exists', { existingSongId: duplicate.id })
+        );
+      }
+    }
+
+    if (req.body.isActive !== undefined) {
+      song.isActive = req.body.isActive === true || req.body.isActive === 'true';
+    }
+
+    const updated = await existing.update(song);
+
+    logger.info(`Song updated in catalog: ${songId} (${user.id})`);
+
+    res.json(formatSuccessResponse('Song updated successfully', {
+      song: updated
+    }));
+
+  } catch (error) {
+    logger.error('Update song error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to update song', error.message)
+    );
+  }
+};
+
+// Desactivar una canción (soft delete con is_active)
+const deleteSong = async (req, res) => {
+  try {
+    const { user } = req;
+    const { songId } = req.params;
+
+    const song = await findCatalogSong(user.id, songId);
+    if (!song) {
+      return res.status(404).json(
+        formatErrorResponse('Song not found in your catalog')
+      );
+    }
+
+    await song.delete();
+
+    logger.info(`Song deactivated in catalog: ${songId} (${user.id})`);
+
+    res.json(formatSuccessResponse('Song deactivated successfully', {
+      songId: song.id,
+      isActive: false
+    }));
+
+  } catch (error) {
+    logger.error('Delete song error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to delete song', error.message)
+    );
+  }
+};
+
+// Importación masiva desde CSV (archivo o texto) o JSON ({ songs: [...] })
+const importSongs = async (req, res) => {
+  try {
+    const { user } = req;
+    let rows;
+
+    try {
+      if (req.file) {
+        const content = req.file.buffer.toString('utf8');
+        const isJson = req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname);
+        rows = isJson ? JSON.parse(content) : parseCSV(content);
+        if (rows && !Array.isArray(rows)) rows = rows.songs;
+      } else if (Array.isArray(req.body.songs)) {
+        rows = req.body.songs;
+      } else if (typeof req.body.csv === 'string') {
+        rows = parseCSV(req.body.csv);
+      }
+    } catch (parseError) {
+      return res.status(400).json(
+        formatErrorResponse('Could not parse import file', parseError.message)
+      );
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json(
+        formatErrorResponse('No songs to import. Send a CSV/JSON file, a songs array or a csv string')
+      );
+    }
+
+    if (rows.length > CatalogService.MAX_IMPORT_ROWS) {
+      return res.status(400).json(
+        formatErrorResponse(`Maximum ${CatalogService.MAX_IMPORT_ROWS} songs per import`)
+      );
+    }
+
+    const { summary, report } = await CatalogService.importSongs(user.id, rows);
+
+    logger.info(`Catalog import for ${user.id}: ${summary.created} created, ${summary.duplicates} duplicates, ${summary.invalid} invalid, ${summary.failed} failed`);
+
+    res.status(summary.created > 0 ? 201 : 200).json(formatSuccessResponse('Import completed', {
+      summary,
+      report
+    }));
+
+  } catch (error) {
+    logger.error('Import songs error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to import songs', error.message)
+    );
+  }
+};
+
+// Audio de una canción de la biblioteca local (lo usa el reproductor del dashboard)
+const getSongAudio = async (req, res) => {
+  try {
+    const { user } = req;
+    const { songId } = req.params;
+
+    const song = await findCatalogSong(user.id, songId);
+    if (!song || song.provider !== 'local' || !song.externalId) {
+      return res.status(404).json(
+        formatErrorResponse('Local audio file not found for this song')
+      );
+    }
+
+    const source = LocalLibraryProvider.getStreamUrl(song);
+    if (/^https?:\/\//i.test(source)) {
+      return res.redirect(source);
+    }
+
+    const filePath = LocalLibraryProvider.resolveFile(user.id, song.externalId);
+    if (!filePath) {
+      return res.status(404).json(
+        formatErrorResponse('Local audio file not found for this song')
+      );
+    }
+
+    // sendFile admite peticiones Range para poder avanzar en la canción
+    res.sendFile(filePath, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json(formatErrorResponse('Local audio file not found for this song'));
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get song audio error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to get song audio', error.message)
+    );
+  }
+};
+
 module.exports = {
   getSongs,
   searchSongs,
   getPopularSongs,
+  getRecommendations,
   getSongsByGenre,
   getSongDetails,
-  getGenres
+  getGenres,
+  getCatalog,
+  createSong,
+  updateSong,
+  deleteSong,
+  importSongs,
+  getSongAudio
 };
\ No newline at end of file
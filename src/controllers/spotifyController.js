@@ -1,34 +1,48 @@
 // src/controllers/spotifyController.js
 const axios = require('axios');
 const SpotifyToken = require('../models/SpotifyToken');
+const SpotifyService = require('../services/spotifyService');
+const SpotifyTokenManager = require('../services/spotifyTokenManager');
+const CatalogService = require('../services/catalogService');
+const SpotifyPlaybackService = require('../services/spotifyPlaybackService');
+const OAuthStateService = require('../services/oauthStateService');
+const PlaybackService = require('../services/playbackService');
+const ActivityLogService = require('../services/activityLogService');
 const { executeQuery } = require('../config/database');
 const { logger } = require('../utils/logger');
+const { formatSuccessResponse, formatErrorResponse } = require('../utils/helpers');
 
-const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+const SPOTIFY_ACCOUNTS_URL = process.env.SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com';
+const SPOTIFY_TOKEN_URL = `${SPOTIFY_ACCOUNTS_URL}/api/token`;
 const SPOTIFY_CLIENT_ID = process.env.SPOTIFY_CLIENT_ID;
 const SPOTIFY_CLIENT_SECRET = process.env.SPOTIFY_CLIENT_SECRET;
 const SPOTIFY_REDIRECT_URI = process.env.SPOTIFY_REDIRECT_URI;
 
-// Login: Redirigir a Spotify
-const spotifyLogin = (req, res) => {
-  const { restaurantId } = req.query; // O usa req.user.restaurantId si auth
-  if (!restaurantId) {
-    return res.status(400).json({ error: 'restaurantId requerido' });
-  }
+const OAUTH_STATE_TYPE = 'spotify_oauth_state';
+
+// Login: URL de autorización de Spotify para el restaurante autenticado.
+// Se devuelve en JSON para no tener que mandar el JWT en la URL; el frontend redirige.
+const spotifyLogin = async (req, res) => {
+  try {
+    const { user } = req;
+    const { state, expiresAt } = await OAuthStateService.create(user.id, OAUTH_STATE_TYPE, req);
 
-  const state = Buffer.from(JSON.stringify({ restaurantId })).toString('base64'); // Para seguridad
-  const scopes = 'user-read-playback user-modify-playback playlist-read-private'; // Scopes mínimos
-  const authUrl = `https://accounts.spotify.com/authorize?` +
-    `client_id=${SPOTIFY_CLIENT_ID}&` +
-    `response_type=code&` +
-    `redirect_uri=${encodeURIComponent(SPOTIFY_REDIRECT_URI)}&` +
-    `scope=${encodeURIComponent(scopes)}&` +
-    `state=${state}`;
+    const scopes = 'user-read-playback-state user-modify-playback-state playlist-read-private'; // Scopes mínimos
+    const authUrl = `${SPOTIFY_ACCOUNTS_URL}/authorize?` +
+      `client_id=${SPOTIFY_CLIENT_ID}&` +
+      `response_type=code&` +
+      `redirect_uri=${encodeURIComponent(SPOTIFY_REDIRECT_URI)}&` +
+      `scope=${encodeURIComponent(scopes)}&` +
+      `state=${encodeURIComponent(state)}`;
 
-  res.redirect(authUrl);
+    res.json(formatSuccessResponse('Spotify authorization URL created', { authUrl, expiresAt }));
+  } catch (error) {
+    logger.error('Error iniciando login Spotify:', error.message);
+    res.status(500).json(formatErrorResponse('Failed to start Spotify authorization', error.message));
+  }
 };
 
-// Callback: Intercambiar code por tokens y guardar
+// Callback: Validar state, intercambiar code por tokens y guardar
 const spotifyCallback = async (req, res) => {
   const { code, state, error } = req.query;
   if (error || !code) {
@@ -36,7 +50,13 @@ const spotifyCallback = async (req, res) => {
   }
 
   try {
-    const { restaurantId } = JSON.parse(Buffer.from(state, 'base64').toString());
+    // El state debe ser uno emitido por spotifyLogin, sin usar y sin expirar
+    const restaurantId = await OAuthStateService.consume(state, OAUTH_STATE_TYPE);
+    if (!restaurantId) {
+      logger.warn('Spotify callback con state inválido o expirado', { ip: req.ip });
+      return res.status(400).json({ error: 'State de autorización inválido o expirado' });
+    }
+
     const restaurant = await executeQuery('SELECT id FROM restaurants WHERE id = ? AND is_active = 1', [restaurantId]);
     if (!restaurant.rows.length) {
       return res.status(404).json({ error: 'Restaurante no encontrado' });
@@ -67,6 +87,7 @@ const spotifyCallback = async (req, res) => {
     await SpotifyToken.upsert(tokenData);
 
     logger.info(`Tokens guardados para restaurante ${restaurantId}`);
+    await ActivityLogService.logRestaurantAction(restaurantId, 'spotify_connected', 'spotify', restaurantId, { scope }, req);
     res.redirect(`/dashboard?success=Spotify conectado`); // O tu frontend
   } catch (err) {
     logger.error('Error en callback Spotify:', err.response?.data || err.message);
@@ -74,38 +95,180 @@ const spotifyCallback = async (req, res) => {
   }
 };
 
-// Refresh: Renovar access_token si expirado
+// Refresh: Forzar la renovación del access_token (normalmente se renueva solo)
 const spotifyRefresh = async (req, res) => {
   const { restaurantId } = req.params;
+
   const token = await SpotifyToken.findByRestaurantId(restaurantId);
-  if (!token || token.isValid()) {
-    return res.status(400).json({ error: 'Token no expirado o no encontrado' });
+  if (!token) {
+    return res.status(400).json({ error: 'Token no encontrado' });
   }
 
   try {
-    const response = await axios.post(SPOTIFY_TOKEN_URL, new URLSearchParams({
-      grant_type: 'refresh_token',
-      refresh_token: token.refreshToken,
-      client_id: SPOTIFY_CLIENT_ID,
-      client_secret: SPOTIFY_CLIENT_SECRET,
-    }), {
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-    });
+    const refreshed = await SpotifyTokenManager.refresh(restaurantId, token);
 
-    const { access_token, expires_in } = response.data;
-    const expiresAt = new Date(Date.now() + (expires_in * 1000));
+    res.json({ success: true, expiresAt: refreshed.expiresAt });
+  } catch (err) {
+    logger.error('Error renovando token:', err.message);
+    if (err.message === 'Conexión de Spotify revocada') {
+      return res.status(409).json({ error: 'Conexión de Spotify revocada, vuelve a conectar la cuenta' });
+    }
+    res.status(500).json({ error: 'Error renovando token' });
+  }
+};
 
-    await SpotifyToken.upsert({
-      restaurantId,
-      accessToken: access_token,
-      expiresAt // refresh_token no cambia usualmente
+// Respuesta de error común para llamadas a la API de Spotify
+const sendSpotifyError = (res, error, fallbackMessage) => {
+  if (error.message === 'No hay tokens de Spotify configurados') {
+    return res.status(409).json(formatErrorResponse('Spotify is not connected for this restaurant', null, 'SPOTIFY_NOT_CONNECTED'));
+  }
+  if (error.message === 'Conexión de Spotify revocada') {
+    return res.status(409).json(formatErrorResponse('Spotify access was revoked, please reconnect', null, 'SPOTIFY_TOKEN_REVOKED'));
+  }
+  if (error.message === 'Token inválido') {
+    return res.status(409).json(formatErrorResponse('Spotify connection is no longer valid, please reconnect', null, 'SPOTIFY_TOKEN_INVALID'));
+  }
+  if (error.message === 'Playlist no encontrada') {
+    return res.status(404).json(formatErrorResponse('Playlist not found', null, 'SPOTIFY_PLAYLIST_NOT_FOUND'));
+  }
+  return res.status(502).json(formatErrorResponse(fallbackMessage, error.message));
+};
+
+// Listar las playlists de la cuenta de Spotify conectada
+const getSpotifyPlaylists = async (req, res) => {
+  try {
+    const { user } = req;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const playlists = await SpotifyService.getPlaylists(user.id, { limit, offset });
+
+    res.json(formatSuccessResponse('Spotify playlists retrieved', {
+      playlists: playlists.items,
+      total: playlists.total
+    }));
+  } catch (error) {
+    logger.error('Error listando playlists Spotify:', error.message);
+    sendSpotifyError(res, error, 'Failed to get Spotify playlists');
+  }
+};
+
+// Importar/sincronizar el catálogo con una playlist de Spotify
+const importSpotifyPlaylist = async (req, res) => {
+  try {
+    const { user } = req;
+    const { playlistId } = req.params;
+    const { genre } = req.body || {};
+
+    const result = await CatalogService.syncSpotifyPlaylist(user.id, playlistId, {
+      genre: genre ? genre.toLowerCase().trim() : undefined
     });
 
-    res.json({ success: true, access_token, expiresAt });
-  } catch (err) {
-    logger.error('Error renovando token:', err.response?.data || err.message);
-    res.status(500).json({ error: 'Error renovando token' });
+    res.json(formatSuccessResponse('Spotify playlist synced', result));
+  } catch (error) {
+    logger.error('Error importando playlist Spotify:', error.message);
+    sendSpotifyError(res, error, 'Failed to import Spotify playlist');
+  }
+};
+
+// Listar dispositivos Spotify Connect disponibles y el seleccionado
+const getSpotifyDevices = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const devices = await SpotifyService.getDevices(user.id);
+    const selected = await SpotifyPlaybackService.getDevice(user.id);
+
+    res.json(formatSuccessResponse('Spotify devices retrieved', {
+      devices,
+      selectedDevice: selected
+    }));
+  } catch (error) {
+    logger.error('Error listando dispositivos Spotify:', error.message);
+    sendSpotifyError(res, error, 'Failed to get Spotify devices');
+  }
+};
+
+// Elegir el dispositivo donde se reproducirán las peticiones
+const selectSpotifyDevice = async (req, res) => {
+  try {
+    const { user } = req;
+    const { deviceId } = req.body;
+
+    const devices = await SpotifyService.getDevices(user.id);
+    const device = devices.find(d => d.id === deviceId);
+
+    if (!device) {
+      return res.status(404).json(
+        formatErrorResponse('Spotify device not found or offline', null, 'SPOTIFY_DEVICE_UNAVAILABLE')
+      );
+    }
+
+    if (device.isRestricted) {
+      return res.status(400).json(
+        formatErrorResponse('This Spotify device does not accept remote playback', null, 'SPOTIFY_DEVICE_RESTRICTED')
+      );
+    }
+
+    const selected = await SpotifyPlaybackService.setDevice(user.id, device);
+
+    logger.info(`Dispositivo Spotify seleccionado para ${user.id}: ${device.name}`);
+
+    res.json(formatSuccessResponse('Spotify device selected', {
+      selectedDevice: selected
+    }));
+  } catch (error) {
+    logger.error('Error seleccionando dispositivo Spotify:', error.message);
+    sendSpotifyError(res, error, 'Failed to select Spotify device');
+  }
+};
+
+// Estado de la integración: conexión, dispositivo y último error de reproducción
+const getPlaybackStatus = async (req, res) => {
+  try {
+    const { user } = req;
+    const status = {
+      ...await SpotifyPlaybackService.getStatus(user.id),
+      lastError: await PlaybackService.getLastError(user.id)
+    };
+
+    res.json(formatSuccessResponse('Spotify playback status retrieved', status));
+  } catch (error) {
+    logger.error('Error obteniendo estado de reproducción Spotify:', error.message);
+    res.status(500).json(formatErrorResponse('Failed to get playback status', error.message));
+  }
+};
+
+// Desconectar la cuenta de Spotify: se borran los tokens y la configuración de reproducción.
+// Spotify no ofrece revocar tokens por API; el acceso también puede quitarse desde la cuenta de Spotify.
+const spotifyDisconnect = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const deleted = await SpotifyToken.deleteByRestaurantId(user.id);
+    if (!deleted) {
+      return res.status(404).json(formatErrorResponse('Spotify is not connected for this restaurant', null, 'SPOTIFY_NOT_CONNECTED'));
+    }
+
+    await SpotifyPlaybackService.clearSettings(user.id);
+    await ActivityLogService.logRestaurantAction(user.id, 'spotify_disconnected', 'spotify', user.id, {}, req);
+
+    logger.info(`Spotify desconectado para restaurante ${user.id}`);
+
+    res.json(formatSuccessResponse('Spotify disconnected'));
+  } catch (error) {
+    logger.error('Error desconectando Spotify:', error.message);
+    res.status(500).json(formatErrorResponse('Failed to disconnect Spotify', error.message));
   }
 };
 
-module.exports = { spotifyLogin, spotifyCallback, spotifyRefresh };
\ No newline at end of file
+module.exports = {
+  spotifyLogin,
+  spotifyCallback,
+  spotifyRefresh,
+  spotifyDisconnect,
+  getSpotifyPlaylists,
+  importSpotifyPlaylist,
+  getSpotifyDevices,
+  selectSpotifyDevice,
+  getPlaybackStatus
+};
\ No newline at end of file
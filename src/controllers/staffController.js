@@ -0,0 +1,205 @@
+// src/controllers/staffController.js - Gestión del personal del restaurante
+const { RestaurantStaff } = require('../models');
+const StaffService = require('../services/staffService');
+const ActivityLogService = require('../services/activityLogService');
+const SessionService = require('../services/sessionService');
+const { logger } = require('../utils/logger');
+const { formatSuccessResponse, formatErrorResponse } = require('../utils/helpers');
+
+// Buscar un miembro del restaurante autenticado y comprobar que quien actúa puede gestionarlo
+const findManageableStaff = async (req, res) => {
+  const staff = await RestaurantStaff.findById(req.params.staffId);
+
+  if (!staff || staff.restaurantId !== req.user.id) {
+    res.status(404).json(formatErrorResponse('Staff member not found'));
+    return null;
+  }
+
+  if (req.user.staff && req.user.staff.id === staff.id) {
+    res.status(403).json(formatErrorResponse('You cannot change your own staff account'));
+    return null;
+  }
+
+  if (!StaffService.canManageRole(req.user.role, staff.role)) {
+    res.status(403).json(formatErrorResponse('Your role cannot manage this staff member'));
+    return null;
+  }
+
+  return staff;
+};
+
+// Listar el personal del restaurante
+const getStaff = async (req, res) => {
+  try {
+    const staff = await RestaurantStaff.getByRestaurant(req.user.id);
+
+    res.json(formatSuccessResponse('Staff retrieved', {
+      staff: staff.map(member => ({
+        ...member.toJSON(),
+        permissions: StaffService.getPermissions(member.role)
+      })),
+      roles: StaffService.ROLES.map(role => ({
+        role,
+        label: StaffService.ROLE_LABELS[role],
+        permissions: StaffService.getPermissions(role)
+      }))
+    }));
+
+  } catch (error) {
+    logger.error('Get staff error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to get staff', error.message)
+    );
+  }
+};
+
+// Invitar a un nuevo miembro por email
+const inviteStaff = async (req, res) => {
+  try {
+    const { user } = req;
+    const { email, role, name } = req.body;
+
+    if (!StaffService.canManageRole(user.role, role)) {
+      return res.status(403).json(
+        formatErrorResponse(`Your role cannot invite staff with role ${role}`)
+      );
+    }
+
+    const { staff, emailSent } = await StaffService.invite(user.id, { email, role, name }, user, req);
+
+    await ActivityLogService.logRestaurantAction(user.id, 'staff_invited', 'restaurant_staff', staff.id, {
+      email: staff.email,
+      role
+    }, req);
+
+    res.status(201).json(formatSuccessResponse(
+      emailSent ? 'Invitation sent' : 'Staff member created, but the invitation email could not be sent',
+      { staff: staff.toJSON(), emailSent }
+    ));
+
+  } catch (error) {
+    if (error.message === 'Staff member already exists') {
+      return res.status(409).json(
+        formatErrorResponse('A staff member with this email already exists')
+      );
+    }
+
+    logger.error('Invite staff error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to invite staff member', error.message)
+    );
+  }
+};
+
+// Reenviar la invitación a un miembro que aún no la aceptó
+const resendStaffInvitation = async (req, res) => {
+  try {
+    const staff = await findManageableStaff(req, res);
+    if (!staff) return;
+
+    if (staff.status !== 'invited') {
+      return res.status(409).json(
+        formatErrorResponse('Staff member has already accepted the invitation')
+      );
+    }
+
+    const emailSent = await StaffService.sendInvitation(staff, req.user, req);
+
+    if (!emailSent) {
+      return res.status(503).json(
+        formatErrorResponse('Invitation email could not be sent, please try again later')
+      );
+    }
+
+    res.json(formatSuccessResponse('Invitation sent'));
+
+  } catch (error) {
+    logger.error('Resend staff invitation error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to resend invitation', error.message)
+    );
+  }
+};
+
+// Cambiar rol o desactivar/reactivar a un miembro
+const updateStaff = async (req, res) => {
+  try {
+    const { user } = req;
+    const { role, status } = req.body;
+
+    const staff = await findManageableStaff(req, res);
+    if (!staff) return;
+
+    if (role && !StaffService.canManageRole(user.role, role)) {
+      return res.status(403).json(
+        formatErrorResponse(`Your role cannot assign role ${role}`)
+      );
+    }
+
+    if (status && staff.status === 'invited') {
+      return res.status(409).json(
+        formatErrorResponse('Staff member has not accepted the invitation yet')
+      );
+    }
+
+    const updated = await RestaurantStaff.update(staff.id, { role, status });
+
+    // Un miembro desactivado no debe conservar sesiones abiertas
+    if (status === 'disabled') {
+      await SessionService.revokeAll(staff.id, 'staff');
+    }
+
+    await ActivityLogService.logRestaurantAction(user.id, 'staff_updated', 'restaurant_staff', staff.id, {
+      previous: { role: staff.role, status: staff.status },
+      role: updated.role,
+      status: updated.status
+    }, req);
+
+    res.json(formatSuccessResponse('Staff member updated', {
+      staff: {
+        ...updated.toJSON(),
+        permissions: StaffService.getPermissions(updated.role)
+      }
+    }));
+
+  } catch (error) {
+    logger.error('Update staff error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to update staff member', error.message)
+    );
+  }
+};
+
+// Eliminar a un miembro (o cancelar su invitación)
+const removeStaff = async (req, res) => {
+  try {
+    const { user } = req;
+
+    const staff = await findManageableStaff(req, res);
+    if (!staff) return;
+
+    await SessionService.revokeAll(staff.id, 'staff');
+    await RestaurantStaff.delete(staff.id);
+
+    await ActivityLogService.logRestaurantAction(user.id, 'staff_removed', 'restaurant_staff', staff.id, {
+      email: staff.email,
+      role: staff.role
+    }, req);
+
+    res.json(formatSuccessResponse('Staff member removed'));
+
+  } catch (error) {
+    logger.error('Remove staff error:', error.message);
+    res.status(500).json(
+      formatErrorResponse('Failed to remove staff member', error.message)
+    );
+  }
+};
+
+module.exports = {
+  getStaff,
+  inviteStaff,
+  resendStaffInvitation,
+  updateStaff,
+  removeStaff
+};
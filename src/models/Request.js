@@ -1,5 +1,5 @@
 // src/models/Request.js - Modelo para peticiones de canciones
-const { executeQuery } = require('../config/database');
+const { executeQuery, withTransaction } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const Song = require('./Song');
 const { User } = require('./User');
@@ -166,15 +166,43 @@ class Request {
     }
   }
 
-  // Actualizar posición en cola
+  // Mover la petición a otra posición de la cola y renumerar todas las pendientes (1..N)
+  // en una sola transacción. Las posiciones fuera de rango se ajustan al principio/final.
+  // La petición queda marcada como colocada a mano: las reordenaciones automáticas (reparto justo,
+  // votos, prioridad de pago) la dejan en su sitio.
   async updateQueuePosition(newPosition) {
     try {
-      await executeQuery(
-        'UPDATE requests SET queue_position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [newPosition, this.id]
-      );
+      const targetPosition = await withTransaction(async (query) => {
+        // Bloquear la cola pendiente mientras se renumera
+        const { rows } = await query(
+          `SELECT id FROM requests
+           WHERE restaurant_id = ? AND status = 'pending'
+           ORDER BY queue_position ASC, requested_at ASC
+           FOR UPDATE`,
+          [this.restaurantId]
+        );
+
+        if (!rows.some(row => row.id === this.id)) {
+          throw new Error('Request is no longer pending');
+        }
+
+        const queue = rows.map(row => row.id).filter(id => id !== this.id);
+        const position = Math.min(Math.max(1, parseInt(newPosition) || 1), queue.length + 1);
+        queue.splice(position - 1, 0, this.id);
+
+        for (const [index, id] of queue.entries()) {
+          await query(
+            `UPDATE requests
+             SET queue_position = ?, manually_placed = IF(id = ?, TRUE, manually_placed), updated_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'pending'`,
+            [index + 1, this.id, id]
+          );
+        }
+
+        return position;
+      });
 
-      this.queuePosition = newPosition;
+      this.queuePosition = targetPosition;
       return this;
     } catch (error) {
       throw new Error(`Error updating queue position: ${error.message}`);
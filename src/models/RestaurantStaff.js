@@ -0,0 +1,191 @@
+// src/models/RestaurantStaff.js - Modelo para el personal de un restaurante (encargados, DJs...)
+const { executeQuery } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+class RestaurantStaff {
+  constructor(data) {
+    this.id = data.id;
+    this.restaurantId = data.restaurant_id;
+    this.email = data.email;
+    this.name = data.name;
+    this.password = data.password;
+    this.role = data.role;
+    this.status = data.status;
+    this.invitedByStaffId = data.invited_by_staff_id;
+    this.lastLoginAt = data.last_login_at;
+    this.twoFactorEnabled = !!data.two_factor_enabled;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.restaurant = data.restaurant_name ? {
+      name: data.restaurant_name,
+      slug: data.restaurant_slug,
+      isActive: !!data.restaurant_is_active
+    } : null;
+  }
+
+  // Crear miembro del personal (queda "invited" hasta que acepte la invitación)
+  static async create(data) {
+    try {
+      const staffId = data.id || uuidv4();
+
+      await executeQuery(
+        `INSERT INTO restaurant_staff (
+          id, restaurant_id, email, name, role, status, invited_by_staff_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          staffId, data.restaurantId, data.email.toLowerCase(), data.name || null,
+          data.role, data.status || 'invited', data.invitedByStaffId || null
+        ]
+      );
+
+      return await RestaurantStaff.findById(staffId);
+    } catch (error) {
+      throw new Error(`Error creating staff member: ${error.message}`);
+    }
+  }
+
+  // Buscar por ID (con datos básicos del restaurante)
+  static async findById(id) {
+    try {
+      const { rows } = await executeQuery(
+        `SELECT s.*, r.name as restaurant_name, r.slug as restaurant_slug, r.is_active as restaurant_is_active
+         FROM restaurant_staff s
+         JOIN restaurants r ON s.restaurant_id = r.id
+         WHERE s.id = ?`,
+        [id]
+      );
+
+      return rows.length > 0 ? new RestaurantStaff(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error finding staff member by ID: ${error.message}`);
+    }
+  }
+
+  static async findByRestaurantAndEmail(restaurantId, email) {
+    try {
+      const { rows } = await executeQuery(
+        'SELECT * FROM restaurant_staff WHERE restaurant_id = ? AND email = ?',
+        [restaurantId, String(email).toLowerCase()]
+      );
+
+      return rows.length > 0 ? new RestaurantStaff(rows[0]) : null;
+    } catch (error) {
+      throw new Error(`Error finding staff member by email: ${error.message}`);
+    }
+  }
+
+  // Cuentas activas con ese email (una persona puede trabajar en varios restaurantes)
+  static async findActiveByEmail(email, restaurantSlug = null) {
+    try {
+      let query = `
+        SELECT s.*, r.name as restaurant_name, r.slug as restaurant_slug, r.is_active as restaurant_is_active
+        FROM restaurant_staff s
+        JOIN restaurants r ON s.restaurant_id = r.id
+        WHERE s.email = ? AND s.status = 'active'`;
+      const params = [String(email).toLowerCase()];
+
+      if (restaurantSlug) {
+        query += ' AND r.slug = ?';
+        params.push(restaurantSlug);
+      }
+
+      const { rows } = await executeQuery(query, params);
+      return rows.map(row => new RestaurantStaff(row));
+    } catch (error) {
+      throw new Error(`Error finding staff accounts: ${error.message}`);
+    }
+  }
+
+  static async getByRestaurant(restaurantId) {
+    try {
+      const { rows } = await executeQuery(
+        `SELECT * FROM restaurant_staff
+         WHERE restaurant_id = ?
+         ORDER BY FIELD(role, 'owner', 'manager', 'dj', 'viewer'), created_at ASC`,
+        [restaurantId]
+      );
+
+      return rows.map(row => new RestaurantStaff(row));
+    } catch (error) {
+      throw new Error(`Error getting restaurant staff: ${error.message}`);
+    }
+  }
+
+  // Actualizar campos permitidos
+  static async update(id, data) {
+    try {
+      const fieldMap = {
+        name: 'name',
+        password: 'password',
+        role: 'role',
+        status: 'status'
+      };
+
+      const updates = [];
+      const params = [];
+
+      Object.keys(fieldMap).forEach(key => {
+        if (data[key] !== undefined) {
+          updates.push(`${fieldMap[key]} = ?`);
+          params.push(data[key]);
+        }
+      });
+
+      if (updates.length === 0) {
+        return await RestaurantStaff.findById(id);
+      }
+
+      params.push(id);
+      await executeQuery(
+        `UPDATE restaurant_staff SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        params
+      );
+
+      return await RestaurantStaff.findById(id);
+    } catch (error) {
+      throw new Error(`Error updating staff member: ${error.message}`);
+    }
+  }
+
+  static async updateLastLogin(id) {
+    try {
+      await executeQuery(
+        'UPDATE restaurant_staff SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [id]
+      );
+    } catch (error) {
+      throw new Error(`Error updating staff last login: ${error.message}`);
+    }
+  }
+
+  static async delete(id) {
+    try {
+      const { rows } = await executeQuery('DELETE FROM restaurant_staff WHERE id = ?', [id]);
+      return rows.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error deleting staff member: ${error.message}`);
+    }
+  }
+
+  isActive() {
+    return this.status === 'active' && (!this.restaurant || this.restaurant.isActive);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      restaurantId: this.restaurantId,
+      email: this.email,
+      name: this.name,
+      role: this.role,
+      status: this.status,
+      invitedByStaffId: this.invitedByStaffId,
+      lastLoginAt: this.lastLoginAt,
+      twoFactorEnabled: this.twoFactorEnabled,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = RestaurantStaff;
@@ -10,6 +10,9 @@ class Song {
     this.album = data.album;
     this.duration = data.duration;
     this.year = data.year;
+    // Proveedor de la canción (spotify, local...) y su ID en él
+    this.provider = data.provider || (data.spotify_id ? 'spotify' : 'local');
+    this.externalId = data.external_id || (this.provider === 'spotify' ? data.spotify_id : null) || null;
     this.spotifyId = data.spotify_id;
     this.previewUrl = data.preview_url;
     this.image = data.image;
@@ -176,6 +179,8 @@ class Song {
   // Crear nueva canción
   static async create(data) {
     try {
+      const provider = data.provider || (data.spotifyId ? 'spotify' : 'local');
+      const externalId = data.externalId || (provider === 'spotify' ? data.spotifyId : null) || null;
       const songData = {
         id: data.id,
         restaurant_id: data.restaurantId,
@@ -184,7 +189,9 @@ class Song {
         album: data.album || null,
         duration: data.duration,
         year: data.year || null,
-        spotify_id: data.spotifyId || null,
+        provider,
+        external_id: externalId,
+        spotify_id: data.spotifyId || (provider === 'spotify' ? externalId : null),
         preview_url: data.previewUrl || null,
         image: data.image || null,
         genre: data.genre,
@@ -197,13 +204,14 @@ class Song {
 
       await executeQuery(
         `INSERT INTO songs 
-         (id, restaurant_id, title, artist, album, duration, year, 
+         (id, restaurant_id, title, artist, album, duration, year, provider, external_id,
           spotify_id, preview_url, image, genre, popularity, energy, 
           is_explicit, is_active, times_requested)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           songData.id, songData.restaurant_id, songData.title, songData.artist,
-          songData.album, songData.duration, songData.year, songData.spotify_id,
+          songData.album, songData.duration, songData.year, songData.provider,
+          songData.external_id, songData.spotify_id,
           songData.preview_url, songData.image, songData.genre, songData.popularity,
           songData.energy, songData.is_explicit, songData.is_active, songData.times_requested
         ]
@@ -228,6 +236,8 @@ class Song {
         album: 'album',
         duration: 'duration',
         year: 'year',
+        provider: 'provider',
+        externalId: 'external_id',
         spotifyId: 'spotify_id',
         previewUrl: 'preview_url',
         image: 'image',
@@ -363,6 +373,8 @@ class Song {
       album: this.album,
       duration: this.duration,
       year: this.year,
+      provider: this.provider,
+      externalId: this.externalId,
       spotifyId: this.spotifyId,
       previewUrl: this.previewUrl,
       image: this.image,
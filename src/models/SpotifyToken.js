@@ -1,14 +1,18 @@
 // src/models/SpotifyToken.js
 const { executeQuery } = require('../config/database');
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
 
 class SpotifyToken {
   constructor(data) {
     this.id = data.id;
     this.restaurantId = data.restaurant_id;
-    this.accessToken = data.access_token;
-    this.refreshToken = data.refresh_token;
+    // Los tokens se guardan cifrados en BD
+    this.accessToken = decrypt(data.access_token);
+    this.refreshToken = decrypt(data.refresh_token);
     this.expiresAt = data.expires_at;
     this.scope = data.scope;
+    this.status = data.status || 'active';
+    this.lastError = data.last_error || null;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
@@ -26,24 +30,30 @@ class SpotifyToken {
     }
   }
 
-  // Crear o actualizar token
+  // Crear o actualizar token (vuelve a marcar la conexión como activa).
+  // Si no se recibe refreshToken o scope se conservan los guardados. El refresh token guardado se
+  // vuelve a escribir cifrado, por si venía en texto plano de antes del cifrado.
   static async upsert(data) {
     try {
       const existing = await SpotifyToken.findByRestaurantId(data.restaurantId);
+      const accessToken = encrypt(data.accessToken);
+      const refreshToken = encrypt(data.refreshToken || (existing ? existing.refreshToken : null)) || null;
+
       if (existing) {
         // Actualizar
         await executeQuery(
           `UPDATE spotify_tokens 
-           SET access_token = ?, refresh_token = ?, expires_at = ?, scope = ?, updated_at = CURRENT_TIMESTAMP 
+           SET access_token = ?, refresh_token = ?, expires_at = ?,
+               scope = COALESCE(?, scope), status = 'active', last_error = NULL, updated_at = CURRENT_TIMESTAMP 
            WHERE restaurant_id = ?`,
-          [data.accessToken, data.refreshToken, data.expiresAt, data.scope, data.restaurantId]
+          [accessToken, refreshToken, data.expiresAt, data.scope, data.restaurantId]
         );
       } else {
         // Crear
         await executeQuery(
-          `INSERT INTO spotify_tokens (restaurant_id, access_token, refresh_token, expires_at, scope, created_at) 
-           VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-          [data.restaurantId, data.accessToken, data.refreshToken, data.expiresAt, data.scope]
+          `INSERT INTO spotify_tokens (restaurant_id, access_token, refresh_token, expires_at, scope, status, created_at) 
+           VALUES (?, ?, ?, ?, ?, 'active', CURRENT_TIMESTAMP)`,
+          [data.restaurantId, accessToken, refreshToken, data.expiresAt, data.scope]
         );
       }
       return await SpotifyToken.findByRestaurantId(data.restaurantId);
@@ -52,20 +62,81 @@ class SpotifyToken {
     }
   }
 
+  // Cifrar los tokens que sigan en texto plano (guardados antes de la migración 002).
+  // Devuelve cuántas conexiones se actualizaron.
+  static async encryptStoredTokens() {
+    try {
+      const { rows } = await executeQuery(
+        'SELECT restaurant_id, access_token, refresh_token FROM spotify_tokens'
+      );
+
+      const pending = rows.filter(row =>
+        !isEncrypted(row.access_token) || (row.refresh_token && !isEncrypted(row.refresh_token))
+      );
+
+      for (const row of pending) {
+        await executeQuery(
+          'UPDATE spotify_tokens SET access_token = ?, refresh_token = ? WHERE restaurant_id = ?',
+          [encrypt(row.access_token), encrypt(row.refresh_token) || null, row.restaurant_id]
+        );
+      }
+
+      return pending.length;
+    } catch (error) {
+      throw new Error(`Error encrypting Spotify tokens: ${error.message}`);
+    }
+  }
+
+  // Marcar la conexión como rota (p.ej. el usuario revocó el acceso en Spotify)
+  static async markRevoked(restaurantId, reason) {
+    try {
+      await executeQuery(
+        `UPDATE spotify_tokens 
+         SET status = 'revoked', last_error = ?, updated_at = CURRENT_TIMESTAMP 
+         WHERE restaurant_id = ?`,
+        [reason ? String(reason).substring(0, 255) : null, restaurantId]
+      );
+    } catch (error) {
+      throw new Error(`Error revoking Spotify token: ${error.message}`);
+    }
+  }
+
+  // Eliminar la conexión del restaurante
+  static async deleteByRestaurantId(restaurantId) {
+    try {
+      const { rows } = await executeQuery(
+        'DELETE FROM spotify_tokens WHERE restaurant_id = ?',
+        [restaurantId]
+      );
+      return rows.affectedRows > 0;
+    } catch (error) {
+      throw new Error(`Error deleting Spotify token: ${error.message}`);
+    }
+  }
+
   // Verificar si token es válido (no expirado)
   isValid() {
     return this.expiresAt > new Date();
   }
 
-  // Serializar para JSON
+  isRevoked() {
+    return this.status === 'revoked';
+  }
+
+  // Verificar si el token expira dentro de los próximos segundos indicados
+  expiresWithin(seconds) {
+    return new Date(this.expiresAt).getTime() - Date.now() <= seconds * 1000;
+  }
+
+  // Serializar para JSON (nunca incluye los tokens)
   toJSON() {
     return {
       id: this.id,
       restaurantId: this.restaurantId,
-      accessToken: this.accessToken, // No exponer en prod, solo para internal use
-      refreshToken: this.refreshToken, // Similar
       expiresAt: this.expiresAt,
       scope: this.scope,
+      status: this.status,
+      lastError: this.lastError,
       isValid: this.isValid(),
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
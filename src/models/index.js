@@ -14,6 +14,7 @@ const AuthToken = require('./AuthToken');
 const SpotifyToken = require('./SpotifyToken');
 const ActivityLog = require('./ActivityLog');
 const RestaurantSettings = require('./RestaurantSettings');
+const RestaurantStaff = require('./RestaurantStaff');
 
 module.exports = {
   SubscriptionPlan,
@@ -30,5 +31,6 @@ module.exports = {
   AuthToken,
   SpotifyToken,
   ActivityLog,
-  RestaurantSettings
+  RestaurantSettings,
+  RestaurantStaff
 };
\ No newline at end of file
@@ -1,9 +1,16 @@
 // src/routes/admin.js
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validation');
-const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
-const { getPendingRestaurants, approveRestaurant, rejectRestaurant, getGlobalStats } = require('../controllers/adminController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  getPendingRestaurants,
+  approveRestaurant,
+  rejectRestaurant,
+  getGlobalStats,
+  getLoginLockouts,
+  clearLoginLockout
+} = require('../controllers/adminController');
 
 const router = express.Router();
 
@@ -23,10 +30,38 @@ const approvalValidation = [
     .withMessage('Reason must not exceed 500 characters')
 ];
 
+// Validaciones para bloqueos de login
+const loginLockoutsValidation = [
+  query('scope')
+    .optional()
+    .isIn(['account', 'ip'])
+    .withMessage('Scope must be account or ip'),
+  query('includeFailures')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeFailures must be true or false'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive number')
+];
+
+const lockoutIdValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Valid lockout ID is required')
+];
+
 // Rutas protegidas por superadmin
-router.get('/pending-restaurants', authenticateToken, requireSuperAdmin, getPendingRestaurants);
-router.get('/global-stats', authenticateToken, requireSuperAdmin, getGlobalStats);
-router.patch('/approve-restaurant/:id', authenticateToken, requireSuperAdmin, approvalValidation, validate, approveRestaurant);
-router.post('/reject-restaurant/:id', authenticateToken, requireSuperAdmin, approvalValidation, validate, rejectRestaurant);
+router.get('/pending-restaurants', authenticateToken, requirePermission('admin:access'), getPendingRestaurants);
+router.get('/global-stats', authenticateToken, requirePermission('admin:access'), getGlobalStats);
+router.patch('/approve-restaurant/:id', authenticateToken, requirePermission('admin:access'), approvalValidation, validate, approveRestaurant);
+router.post('/reject-restaurant/:id', authenticateToken, requirePermission('admin:access'), approvalValidation, validate, rejectRestaurant);
+router.get('/login-lockouts', authenticateToken, requirePermission('admin:access'), loginLockoutsValidation, validate, getLoginLockouts);
+router.delete('/login-lockouts/:id', authenticateToken, requirePermission('admin:access'), lockoutIdValidation, validate, clearLoginLockout);
 
 module.exports = router;
\ No newline at end of file
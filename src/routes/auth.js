@@ -1,8 +1,9 @@
 // src/routes/auth.js - CORREGIDO
 const express = require('express');
-const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { body, param } = require('express-validator');
 const { validate } = require('../middleware/validation');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requirePermission } = require('../middleware/auth');
 const {
   registerRestaurant,
   loginRestaurant,
@@ -11,7 +12,24 @@ const {
   createUserSession,
   getProfile,
   updateProfile,
-  verifyToken
+  verifyToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshSession,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  loginStaff,
+  acceptStaffInvitation
 } = require('../controllers/authController');
 
 const router = express.Router();
@@ -87,6 +105,44 @@ const restaurantLoginValidation = [
     .withMessage('Password is required')
 ];
 
+// Validaciones para personal del restaurante
+const staffLoginValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+
+  body('restaurantSlug')
+    .optional()
+    .trim()
+    .isSlug()
+    .withMessage('Restaurant slug must be valid')
+];
+
+const acceptStaffInvitationValidation = [
+  body('token')
+    .isString()
+    .trim()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Valid invitation token is required'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .withMessage('Name must be between 2 and 255 characters'),
+
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+];
+
 // Validaciones para usuario registrado
 const userRegisterValidation = [
   body('name')
@@ -249,6 +305,133 @@ const userSessionValidation = [
     .withMessage('Registered user ID must be a valid UUID')
 ];
 
+// Recuperación de contraseña
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .trim()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Valid reset token is required'),
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+];
+
+// Límite de solicitudes de recuperación por email (se aplica tras normalizar el email)
+const forgotPasswordLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: parseInt(process.env.PASSWORD_RESET_MAX_PER_HOUR) || 3,
+  keyGenerator: (req) => `forgot-password:${(req.body.email || '').toLowerCase()}`,
+  message: {
+    error: 'Too many password reset requests for this email, please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Verificación de email
+const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .trim()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Valid verification token is required')
+];
+
+// Límite de reenvíos del email de verificación por usuario
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 3,
+  keyGenerator: (req) => `resend-verification:${req.user.id}`,
+  message: {
+    error: 'Too many verification emails requested, please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Sesiones de mesa por IP y restaurante: cada sesión es una mesa distinta para votar y pedir
+const tableSessionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: parseInt(process.env.TABLE_SESSION_MAX_PER_HOUR) || 30,
+  keyGenerator: (req) => `table-session:${req.ip}:${req.params.restaurantSlug}`,
+  message: {
+    error: 'Too many table sessions from this network, please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Sesiones
+const refreshSessionValidation = [
+  body('refreshToken')
+    .isString()
+    .trim()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Valid refresh token is required')
+];
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isUUID()
+    .withMessage('Valid session ID is required')
+];
+
+// Autenticación en dos pasos
+const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .trim()
+    .isLength({ min: 6, max: 20 })
+    .withMessage('Authentication code is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .isString()
+    .trim()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Valid two-factor challenge token is required'),
+  ...twoFactorCodeValidation
+];
+
+// Intentos de código por challenge (y por IP) para impedir fuerza bruta del código de 6 dígitos
+const twoFactorLoginLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutos (validez del challenge)
+  max: 5,
+  keyGenerator: (req) => `two-factor:${req.body.challengeToken || req.ip}`,
+  message: {
+    error: 'Too many authentication code attempts, please log in again.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Intentos de código con la sesión iniciada (desactivar 2FA, nuevos códigos de recuperación)
+const twoFactorManageLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10,
+  keyGenerator: (req) => `two-factor-manage:${req.user.type}:${req.user.id}`,
+  message: {
+    error: 'Too many authentication code attempts, please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // =============================
 // RUTAS PÚBLICAS
 // =============================
@@ -261,9 +444,26 @@ router.post('/login-restaurant', restaurantLoginValidation, validate, loginResta
 router.post('/register-user', userRegisterValidation, validate, registerUser);
 router.post('/login-user', userLoginValidation, validate, loginUser);
 
+// Staff routes (personal invitado por el restaurante)
+router.post('/login-staff', staffLoginValidation, validate, loginStaff);
+router.post('/staff/accept-invitation', acceptStaffInvitationValidation, validate, acceptStaffInvitation);
+
+// Password reset (restaurantes y usuarios registrados)
+router.post('/forgot-password', forgotPasswordValidation, validate, forgotPasswordLimiter, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, validate, resetPassword);
+
+// Email verification (usuarios registrados)
+router.post('/verify-email', verifyEmailValidation, validate, verifyEmail);
+
+// Segundo paso del login con 2FA
+router.post('/2fa/verify', twoFactorLoginValidation, validate, twoFactorLoginLimiter, verifyTwoFactorLogin);
+
+// Renovar access token (rota el refresh token)
+router.post('/refresh', refreshSessionValidation, validate, refreshSession);
+
 
 // Session routes
-router.post('/session/:restaurantSlug', userSessionValidation, validate, createUserSession);
+router.post('/session/:restaurantSlug', tableSessionLimiter, optionalAuth, userSessionValidation, validate, createUserSession);
 
 // Legacy routes (for backward compatibility)
 router.post('/register', restaurantRegisterValidation, validate, registerRestaurant);
@@ -276,10 +476,26 @@ router.post('/login', restaurantLoginValidation, validate, loginRestaurant);
 // Profile routes
 router.get('/profile', authenticateToken, getProfile);
 router.get('/profile-user', authenticateToken, getProfile); // Alias for registered users
-router.put('/profile', authenticateToken, updateProfileValidation, validate, updateProfile);
-router.put('/profile-user', authenticateToken, updateProfileValidation, validate, updateProfile);
+router.put('/profile', authenticateToken, requirePermission('profile:update'), updateProfileValidation, validate, updateProfile);
+router.put('/profile-user', authenticateToken, requirePermission('profile:update'), updateProfileValidation, validate, updateProfile);
 
 // Token verification
 router.get('/verify', authenticateToken, verifyToken);
 
+// Logout y sesiones activas
+router.post('/logout', authenticateToken, logout);
+router.post('/logout-all', authenticateToken, logoutAll);
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions/:sessionId', authenticateToken, sessionIdValidation, validate, revokeSession);
+
+// Autenticación en dos pasos (restaurantes y usuarios registrados)
+router.get('/2fa', authenticateToken, requirePermission('account:manage'), getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, requirePermission('account:manage'), setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, requirePermission('account:manage'), twoFactorCodeValidation, validate, twoFactorManageLimiter, enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, requirePermission('account:manage'), twoFactorCodeValidation, validate, twoFactorManageLimiter, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, requirePermission('account:manage'), twoFactorCodeValidation, validate, twoFactorManageLimiter, regenerateRecoveryCodes);
+
+// Reenviar email de verificación
+router.post('/resend-verification', authenticateToken, requirePermission('email:verify'), resendVerificationLimiter, resendVerification);
+
 module.exports = router;
\ No newline at end of file
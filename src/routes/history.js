@@ -0,0 +1,73 @@
+// src/routes/history.js - Historial de escucha de los usuarios registrados
+const express = require('express');
+const { param, query } = require('express-validator');
+const { validate, validateOptionalQueryParams } = require('../middleware/validation');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  getHistory,
+  getTopSongs,
+  getYearSummary
+} = require('../controllers/historyController');
+
+const router = express.Router();
+
+// Filtros comunes
+const restaurantFilterValidation = query('restaurantId')
+  .optional()
+  .isUUID()
+  .withMessage('Restaurant ID must be a valid UUID');
+
+const historyFilterValidation = [
+  restaurantFilterValidation,
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+router.use(authenticateToken, requirePermission('history:read'));
+
+// Canciones escuchadas (más recientes primero)
+router.get('/',
+  validateOptionalQueryParams(['limit', 'offset', 'restaurantId', 'from', 'to']),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer'),
+  historyFilterValidation,
+  validate,
+  getHistory
+);
+
+// Canciones más escuchadas
+router.get('/top-songs',
+  validateOptionalQueryParams(['limit', 'restaurantId', 'from', 'to']),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  historyFilterValidation,
+  validate,
+  getTopSongs
+);
+
+// Resumen "tu año en música"
+router.get('/year/:year',
+  validateOptionalQueryParams(['restaurantId']),
+  param('year')
+    .isInt({ min: 2000, max: new Date().getFullYear() + 1 })
+    .withMessage('Year must be a valid year'),
+  restaurantFilterValidation,
+  validate,
+  getYearSummary
+);
+
+module.exports = router;
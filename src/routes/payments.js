@@ -3,7 +3,7 @@ const express = require('express');
 const multer = require('multer');
 const { body, param } = require('express-validator');
 const { validate } = require('../middleware/validation');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const paymentController = require('../controllers/paymentController');
 
 const router = express.Router();
@@ -58,8 +58,9 @@ const generateQRValidation = [
     .withMessage('Subscription ID debe ser un UUID válido')
 ];
 
-// Todas las rutas requieren autenticación
+// Todas las rutas requieren autenticación y permiso de facturación
 router.use(authenticateToken);
+router.use(requirePermission('billing:manage'));
 
 // =============================
 // RUTAS DE PAGOS
@@ -2,7 +2,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validation');
-const { authenticateToken, requireRegisteredUser } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const playlistController = require('../controllers/playlistController');
 
 const router = express.Router();
@@ -48,7 +48,7 @@ router.get('/:id',
 // Crear nueva playlist
 router.post('/',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('playlists:manage'),
   body('name')
     .trim()
     .isLength({ min: 1, max: 100 })
@@ -77,7 +77,7 @@ router.post('/',
 // Obtener todas las playlists del usuario
 router.get('/',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('playlists:manage'),
   query('publicOnly')
     .optional()
     .isBoolean()
@@ -99,7 +99,7 @@ router.get('/',
 // Actualizar playlist
 router.put('/:id',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('playlists:manage'),
   param('id')
     .isUUID()
     .withMessage('Invalid playlist ID'),
@@ -132,7 +132,7 @@ router.put('/:id',
 // Eliminar playlist
 router.delete('/:id',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('playlists:manage'),
   param('id')
     .isUUID()
     .withMessage('Invalid playlist ID'),
@@ -145,7 +145,7 @@ router.delete('/:id',
 // Agregar canción a playlist
 router.post('/:id/songs',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('playlists:manage'),
   param('id')
     .isUUID()
     .withMessage('Invalid playlist ID'),
@@ -163,7 +163,7 @@ router.post('/:id/songs',
 // Remover canción de playlist
 router.delete('/:id/songs/:songId',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('playlists:manage'),
   param('id')
     .isUUID()
     .withMessage('Invalid playlist ID'),
@@ -177,7 +177,7 @@ router.delete('/:id/songs/:songId',
 // Reordenar canción en playlist
 router.patch('/:id/songs/:songId/reorder',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('playlists:manage'),
   param('id')
     .isUUID()
     .withMessage('Invalid playlist ID'),
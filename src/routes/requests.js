@@ -8,13 +8,20 @@ const {
   validateSongExistsInRestaurant,
   validateOptionalQueryParams 
 } = require('../middleware/validation');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, allowQueryToken, optionalAuth, requirePermission, requireOwnership } = require('../middleware/auth');
 const {
   createRequest,
   getUserRequests,
   getRestaurantQueue,
   cancelRequest,
   updateRequestStatus,
+  moveRequest,
+  pinRequest,
+  sendRequestToBack,
+  voteRequest,
+  removeVote,
+  streamQueueEvents,
+  getPriorityQuote,
   getRequestStats
 } = require('../controllers/requestController');
 
@@ -34,7 +41,18 @@ const createRequestValidation = [
     .optional()
     .trim()
     .isLength({ min: 1, max: 50 })
-    .withMessage('Table number must be between 1 and 50 characters')
+    .withMessage('Table number must be between 1 and 50 characters'),
+
+  body('priority')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Priority must be a boolean'),
+
+  body('paymentToken')
+    .if(body('priority').equals('true'))
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Payment token is required for priority requests')
 ];
 
 const cancelRequestValidation = [
@@ -59,6 +77,29 @@ const updateStatusValidation = [
     .withMessage('Invalid status value')
 ];
 
+const requestIdValidation = [
+  param('requestId')
+    .custom(validateRequestId)
+    .withMessage('Valid request ID is required')
+];
+
+const moveRequestValidation = [
+  ...requestIdValidation,
+
+  body('position')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Position must be a positive integer')
+];
+
+const voteValidation = [
+  ...requestIdValidation,
+
+  body('vote')
+    .isIn(['up', 'down'])
+    .withMessage('Vote must be up or down')
+];
+
 const queueValidation = [
   param('restaurantSlug')
     .isSlug()
@@ -98,6 +139,20 @@ const userRequestsValidation = [
     .withMessage('Table number must be between 1 and 50 characters')
 ];
 
+const eventsValidation = [
+  param('restaurantSlug')
+    .isSlug()
+    .withMessage('Invalid restaurant identifier'),
+
+  validateOptionalQueryParams(['token'])
+];
+
+const priorityQuoteValidation = [
+  param('restaurantSlug')
+    .isSlug()
+    .withMessage('Invalid restaurant identifier')
+];
+
 const statsValidation = [
   param('restaurantSlug')
     .isSlug()
@@ -114,6 +169,7 @@ const statsValidation = [
 // === RUTAS PÚBLICAS ===
 // Crear nueva petición musical
 router.post('/:restaurantSlug', 
+  optionalAuth,
   createRequestValidation, 
   validate, 
   createRequest
@@ -126,6 +182,13 @@ router.get('/:restaurantSlug/user',
   getUserRequests
 );
 
+// Precio de la prioridad de pago y posición estimada
+router.get('/:restaurantSlug/priority',
+  priorityQuoteValidation,
+  validate,
+  getPriorityQuote
+);
+
 // Obtener estadísticas de peticiones
 router.get('/:restaurantSlug/stats', 
   statsValidation, 
@@ -142,6 +205,25 @@ router.delete('/:requestId',
   cancelRequest
 );
 
+// === VOTOS (SESIONES DE MESA) ===
+// Votar a favor o en contra de una petición pendiente (un voto por mesa y petición)
+router.post('/:requestId/vote', 
+  authenticateToken, 
+  requirePermission('queue:vote'),
+  voteValidation, 
+  validate, 
+  voteRequest
+);
+
+// Quitar el voto
+router.delete('/:requestId/vote', 
+  authenticateToken, 
+  requirePermission('queue:vote'),
+  requestIdValidation, 
+  validate, 
+  removeVote
+);
+
 // === RUTAS PROTEGIDAS (SOLO ADMINS) ===
 // Obtener cola completa del restaurante
 router.get('/:restaurantSlug/queue', 
@@ -151,12 +233,54 @@ router.get('/:restaurantSlug/queue',
   getRestaurantQueue
 );
 
+// Suscripción en tiempo real a la cola (SSE). Acepta ?token= porque EventSource no envía headers
+router.get('/:restaurantSlug/events', 
+  allowQueryToken,
+  authenticateToken, 
+  requirePermission('queue:follow'),
+  eventsValidation, 
+  validate, 
+  streamQueueEvents
+);
+
 // Actualizar estado de petición
 router.patch('/:requestId/status', 
   authenticateToken, 
+  requirePermission('queue:manage'),
   updateStatusValidation, 
   validate, 
+  requireOwnership('request'),
   updateRequestStatus
 );
 
+// Mover una petición pendiente a una posición concreta de la cola
+router.patch('/:requestId/position', 
+  authenticateToken, 
+  requirePermission('queue:manage'),
+  moveRequestValidation, 
+  validate, 
+  requireOwnership('request'),
+  moveRequest
+);
+
+// Fijar una petición como la siguiente en sonar
+router.post('/:requestId/pin', 
+  authenticateToken, 
+  requirePermission('queue:manage'),
+  requestIdValidation, 
+  validate, 
+  requireOwnership('request'),
+  pinRequest
+);
+
+// Mandar una petición al final de la cola
+router.post('/:requestId/send-to-back', 
+  authenticateToken, 
+  requirePermission('queue:manage'),
+  requestIdValidation, 
+  validate, 
+  requireOwnership('request'),
+  sendRequestToBack
+);
+
 module.exports = router;
\ No newline at end of file
@@ -3,9 +3,10 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const { 
   validate, 
+  validateSongId,
   validateOptionalQueryParams 
 } = require('../middleware/validation');
-const { authenticateToken, requireRestaurant } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const {
   getRestaurantBySlug,
   getRestaurantStats,
@@ -14,6 +15,22 @@ const {
   getPublicRestaurants,  // NOW IMPORTED
   regenerateQR
 } = require('../controllers/restaurantController');
+const {
+  getStaff,
+  inviteStaff,
+  resendStaffInvitation,
+  updateStaff,
+  removeStaff
+} = require('../controllers/staffController');
+const {
+  getSuggestions,
+  addHousePick
+} = require('../controllers/djAssistController');
+const StaffService = require('../services/staffService');
+const DjAssistService = require('../services/djAssistService');
+const PaidPriorityService = require('../services/paidPriorityService');
+const QueueOrderingService = require('../services/queueOrderingService');
+const RequestVoteService = require('../services/requestVoteService');
 
 const router = express.Router();
 
@@ -78,14 +95,14 @@ router.get('/:slug/stats',
 // Get restaurant settings
 router.get('/admin/settings', 
   authenticateToken,
-  requireRestaurant,
+  requirePermission('restaurant:read'),
   getRestaurantSettings
 );
 
 // Update restaurant settings
 router.put('/admin/settings', 
   authenticateToken,
-  requireRestaurant,
+  requirePermission('restaurant:settings'),
   body('name')
     .optional()
     .trim()
@@ -127,6 +144,105 @@ router.put('/admin/settings',
     .optional()
     .isBoolean()
     .withMessage('Allow explicit must be a boolean'),
+  body('queue_ordering')
+    .optional()
+    .isIn(QueueOrderingService.QUEUE_ORDERING_MODES)
+    .withMessage(`Queue ordering must be one of: ${QueueOrderingService.QUEUE_ORDERING_MODES.join(', ')}`),
+  body('repeat_rules')
+    .optional()
+    .isObject()
+    .withMessage('Repeat rules must be an object'),
+  body([
+    'repeat_rules.songCooldownMinutes',
+    'repeat_rules.artistMaxRequests',
+    'repeat_rules.artistWindowMinutes',
+    'repeat_rules.songMaxPerNight'
+  ])
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('Repeat rule values must be integers between 0 and 10080'),
+  body('explicit_schedule')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Explicit schedule must be an object with from and until'),
+  body(['explicit_schedule.from', 'explicit_schedule.until'])
+    .if(body('explicit_schedule').exists({ checkNull: true }))
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Explicit schedule times must use HH:MM format'),
+  body('vote_rules')
+    .optional()
+    .isObject()
+    .withMessage('Vote rules must be an object'),
+  body('vote_rules.positionsPerVote')
+    .optional()
+    .isInt({ min: 0, max: RequestVoteService.VOTE_RULE_LIMITS.positionsPerVote })
+    .withMessage(`Positions per vote must be between 0 and ${RequestVoteService.VOTE_RULE_LIMITS.positionsPerVote}`),
+  body('vote_rules.dropThreshold')
+    .optional()
+    .isInt({ min: 0, max: RequestVoteService.VOTE_RULE_LIMITS.dropThreshold })
+    .withMessage(`Drop threshold must be between 0 and ${RequestVoteService.VOTE_RULE_LIMITS.dropThreshold}`),
+  body('dj_assist')
+    .optional()
+    .isObject()
+    .withMessage('DJ assist settings must be an object'),
+  body('dj_assist.mode')
+    .optional()
+    .isIn(DjAssistService.DJ_ASSIST_MODES)
+    .withMessage(`DJ assist mode must be one of: ${DjAssistService.DJ_ASSIST_MODES.join(', ')}`),
+  body('dj_assist.minQueue')
+    .optional()
+    .isInt({ min: 1, max: DjAssistService.MAX_MIN_QUEUE })
+    .toInt()
+    .withMessage(`DJ assist minimum queue must be between 1 and ${DjAssistService.MAX_MIN_QUEUE}`),
+  body('dj_assist.repeatWindowMinutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .toInt()
+    .withMessage('DJ assist repeat window must be between 0 and 10080 minutes'),
+  body('dj_assist.energyCurve')
+    .optional()
+    .isArray({ min: 1, max: DjAssistService.MAX_DAYPARTS })
+    .withMessage(`Energy curve must have between 1 and ${DjAssistService.MAX_DAYPARTS} dayparts`),
+  body('dj_assist.energyCurve.*.from')
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Daypart start times must use HH:MM format'),
+  body('dj_assist.energyCurve.*.energy')
+    .isInt({ min: 0, max: 100 })
+    .toInt()
+    .withMessage('Daypart energy must be an integer between 0 and 100'),
+  body('paid_priority')
+    .optional()
+    .isObject()
+    .withMessage('Paid priority settings must be an object'),
+  body('paid_priority.enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Paid priority enabled must be a boolean'),
+  body('paid_priority.price')
+    .optional()
+    .isFloat({ gt: 0, max: PaidPriorityService.MAX_PRICE })
+    .toFloat()
+    .withMessage(`Paid priority price must be greater than 0 and at most ${PaidPriorityService.MAX_PRICE}`),
+  body('paid_priority.currency')
+    .optional()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Paid priority currency must be a 3-letter ISO code'),
+  body('paid_priority.maxInRow')
+    .optional()
+    .isInt({ min: 1, max: PaidPriorityService.MAX_IN_ROW })
+    .toInt()
+    .withMessage(`Paid priority max in a row must be between 1 and ${PaidPriorityService.MAX_IN_ROW}`),
+  body('repeat_rules.nightStartHour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Night start hour must be between 0 and 23'),
+  body('verified_email_required_for')
+    .optional()
+    .isArray()
+    .withMessage('verified_email_required_for must be an array'),
+  body('verified_email_required_for.*')
+    .isIn(['reviews', 'requests'])
+    .withMessage('verified_email_required_for values must be reviews or requests'),
   validate,
   updateRestaurantSettings
 );
@@ -134,7 +250,7 @@ router.put('/admin/settings',
 // Regenerate QR code
 router.post('/:slug/regenerate-qr', 
   authenticateToken,
-  requireRestaurant,
+  requirePermission('restaurant:settings'),
   param('slug')
     .isSlug()
     .withMessage('Invalid restaurant slug'),
@@ -142,4 +258,99 @@ router.post('/:slug/regenerate-qr',
   regenerateQR
 );
 
+// ===== STAFF (PERSONAL DEL RESTAURANTE) =====
+
+const staffIdValidation = param('staffId')
+  .isUUID()
+  .withMessage('Valid staff ID is required');
+
+// List staff members and available roles
+router.get('/admin/staff',
+  authenticateToken,
+  requirePermission('restaurant:read'),
+  getStaff
+);
+
+// Invite a staff member by email
+router.post('/admin/staff',
+  authenticateToken,
+  requirePermission('staff:manage'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .isIn(StaffService.ROLES)
+    .withMessage(`Role must be one of: ${StaffService.ROLES.join(', ')}`),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 255 })
+    .withMessage('Name must be between 2 and 255 characters'),
+  validate,
+  inviteStaff
+);
+
+// Resend a pending invitation
+router.post('/admin/staff/:staffId/resend-invitation',
+  authenticateToken,
+  requirePermission('staff:manage'),
+  staffIdValidation,
+  validate,
+  resendStaffInvitation
+);
+
+// Change role or disable/enable a staff member
+router.patch('/admin/staff/:staffId',
+  authenticateToken,
+  requirePermission('staff:manage'),
+  staffIdValidation,
+  body('role')
+    .optional()
+    .isIn(StaffService.ROLES)
+    .withMessage(`Role must be one of: ${StaffService.ROLES.join(', ')}`),
+  body('status')
+    .optional()
+    .isIn(['active', 'disabled'])
+    .withMessage('Status must be active or disabled'),
+  validate,
+  updateStaff
+);
+
+// Remove a staff member or cancel the invitation
+router.delete('/admin/staff/:staffId',
+  authenticateToken,
+  requirePermission('staff:manage'),
+  staffIdValidation,
+  validate,
+  removeStaff
+);
+
+// ===== DJ ASSIST (CANCIONES DE LA CASA) =====
+
+// Songs that fit the current daypart to continue the queue
+router.get('/admin/dj-assist/suggestions',
+  authenticateToken,
+  requirePermission('restaurant:read'),
+  validateOptionalQueryParams(['limit']),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .toInt()
+    .withMessage('Limit must be between 1 and 20'),
+  validate,
+  getSuggestions
+);
+
+// Add a house pick to the end of the queue
+router.post('/admin/dj-assist/house-picks',
+  authenticateToken,
+  requirePermission('queue:manage'),
+  body('songId')
+    .custom(validateSongId)
+    .withMessage('Valid song ID is required'),
+  validate,
+  addHousePick
+);
+
 module.exports = router;
\ No newline at end of file
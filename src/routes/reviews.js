@@ -2,7 +2,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validation');
-const { authenticateToken, requireRegisteredUser } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const reviewController = require('../controllers/reviewController');
 
 const router = express.Router();
@@ -51,7 +51,7 @@ router.get('/stats/:restaurantId?',
 // Crear nueva review
 router.post('/',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('reviews:manage'),
   body('restaurantId')
     .isUUID()
     .withMessage('Invalid restaurant ID'),
@@ -91,7 +91,7 @@ router.post('/',
 // Obtener reviews del usuario autenticado
 router.get('/user',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('reviews:manage'),
   query('limit')
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -111,7 +111,7 @@ router.get('/user',
 // Obtener review específica
 router.get('/:id',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('reviews:manage'),
   param('id')
     .isUUID()
     .withMessage('Invalid review ID'),
@@ -122,7 +122,7 @@ router.get('/:id',
 // Actualizar review
 router.put('/:id',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('reviews:manage'),
   param('id')
     .isUUID()
     .withMessage('Invalid review ID'),
@@ -159,7 +159,7 @@ router.put('/:id',
 // Eliminar review
 router.delete('/:id',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('reviews:manage'),
   param('id')
     .isUUID()
     .withMessage('Invalid review ID'),
@@ -170,7 +170,7 @@ router.delete('/:id',
 // Marcar review como útil
 router.post('/:id/helpful',
   authenticateToken,
-  requireRegisteredUser,
+  requirePermission('reviews:manage'),
   param('id')
     .isUUID()
     .withMessage('Invalid review ID'),
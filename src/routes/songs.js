@@ -1,19 +1,30 @@
 // src/routes/songs.js - FIXED GENRE VALIDATION
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
+const { authenticateToken, optionalAuth, allowQueryToken, requirePermission, requireOwnership } = require('../middleware/auth');
 
 const {
   getSongs,
   searchSongs,
   getPopularSongs,
+  getRecommendations,
   getSongsByGenre,
   getSongDetails,
-  getGenres
+  getGenres,
+  getCatalog,
+  createSong,
+  updateSong,
+  deleteSong,
+  importSongs,
+  getSongAudio
 } = require('../controllers/songController');
+const MusicProviders = require('../services/musicProviders');
 
 const {
   validate,
+  validateSongId,
   validateOptionalQueryParams
 } = require('../middleware/validation');
 
@@ -80,6 +91,126 @@ const paginationValidation = [
     .toInt()
 ];
 
+// Archivo de importación en memoria (CSV o JSON)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB
+  },
+  fileFilter: function (req, file, cb) {
+    const allowedTypes = ['text/csv', 'application/json', 'application/vnd.ms-excel', 'text/plain'];
+    if (allowedTypes.includes(file.mimetype) || /\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or JSON files are allowed'), false);
+    }
+  }
+});
+
+const catalogSongIdValidation = [
+  param('songId')
+    .custom(validateSongId)
+    .withMessage('Valid song ID is required')
+];
+
+// === GESTIÓN DEL CATÁLOGO (SOLO RESTAURANTES) ===
+
+// GET /songs/admin/catalog - Catálogo completo del restaurante (incluye desactivadas)
+router.get('/admin/catalog', [
+  authenticateToken,
+  requirePermission('restaurant:read'),
+  ...paginationValidation,
+  query('status')
+    .optional()
+    .isIn(['all', 'active', 'inactive'])
+    .withMessage('Status must be one of: all, active, inactive'),
+  query('search')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search term must be between 1 and 100 characters')
+    .trim(),
+  validateOptionalQueryParams(['page', 'limit', 'status', 'search']),
+  validate
+], getCatalog);
+
+// POST /songs/admin/catalog - Crear canción
+router.post('/admin/catalog', [
+  authenticateToken,
+  requirePermission('catalog:manage'),
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Title is required (max 255 characters)'),
+  body('artist')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Artist is required (max 255 characters)'),
+  body('duration')
+    .notEmpty()
+    .withMessage('Duration is required (mm:ss or seconds)'),
+  body('genre')
+    .notEmpty()
+    .withMessage('Genre is required'),
+  body('provider')
+    .optional()
+    .isIn(MusicProviders.PROVIDER_NAMES)
+    .withMessage(`Provider must be one of: ${MusicProviders.PROVIDER_NAMES.join(', ')}`),
+  validate
+], createSong);
+
+// POST /songs/admin/catalog/import - Importación masiva (CSV/JSON)
+router.post('/admin/catalog/import', [
+  authenticateToken,
+  requirePermission('catalog:manage'),
+  importUpload.single('file'),
+  body('songs')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Songs must be a non-empty array'),
+  body('csv')
+    .optional()
+    .isString()
+    .withMessage('CSV must be a string'),
+  validate
+], importSongs);
+
+// PUT /songs/admin/catalog/:songId - Actualizar canción
+router.put('/admin/catalog/:songId', [
+  authenticateToken,
+  requirePermission('catalog:manage'),
+  ...catalogSongIdValidation,
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  body('provider')
+    .optional()
+    .isIn(MusicProviders.PROVIDER_NAMES)
+    .withMessage(`Provider must be one of: ${MusicProviders.PROVIDER_NAMES.join(', ')}`),
+  validate,
+  requireOwnership('song')
+], updateSong);
+
+// GET /songs/admin/catalog/:songId/audio - Audio de la biblioteca local
+// (token por query string para poder usarlo directamente en un <audio>)
+router.get('/admin/catalog/:songId/audio', [
+  allowQueryToken,
+  authenticateToken,
+  requirePermission('restaurant:read'),
+  ...catalogSongIdValidation,
+  validate,
+  requireOwnership('song')
+], getSongAudio);
+
+// DELETE /songs/admin/catalog/:songId - Desactivar canción (is_active = false)
+router.delete('/admin/catalog/:songId', [
+  authenticateToken,
+  requirePermission('catalog:manage'),
+  ...catalogSongIdValidation,
+  validate,
+  requireOwnership('song')
+], deleteSong);
+
 // Rutas principales
 
 // GET /songs/:restaurantSlug - Obtener canciones con filtros opcionales
@@ -120,6 +251,18 @@ router.get('/:restaurantSlug/popular', [
   validate
 ], getPopularSongs);
 
+// GET /songs/:restaurantSlug/recommendations - Recomendaciones personalizadas (tendencias si es anónimo)
+router.get('/:restaurantSlug/recommendations', [
+  optionalAuth,
+  ...restaurantSlugValidation,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+  validate
+], getRecommendations);
+
 // GET /songs/:restaurantSlug/genres - Obtener géneros disponibles
 router.get('/:restaurantSlug/genres', [
   ...restaurantSlugValidation,
@@ -173,6 +316,13 @@ router.use((error, req, res, next) => {
     });
   }
   
+  if (error.message === 'Only CSV or JSON files are allowed') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
   if (error.code === 'LIMIT_FILE_SIZE') {
     return res.status(413).json({
       success: false,
@@ -1,11 +1,69 @@
 // src/routes/spotify.js
 const express = require('express');
 const router = express.Router();
-const { spotifyLogin, spotifyCallback, spotifyRefresh } = require('../controllers/spotifyController');
-const { authenticateToken } = require('../middleware/auth'); // Usar authenticateToken para refresh
+const { body, param, query } = require('express-validator');
+const {
+  spotifyLogin,
+  spotifyCallback,
+  spotifyRefresh,
+  spotifyDisconnect,
+  getSpotifyPlaylists,
+  importSpotifyPlaylist,
+  getSpotifyDevices,
+  selectSpotifyDevice,
+  getPlaybackStatus
+} = require('../controllers/spotifyController');
+const { authenticateToken, requirePermission, requireOwnership } = require('../middleware/auth'); // Usar authenticateToken para refresh
+const { validate, validateGenre, validateOptionalQueryParams } = require('../middleware/validation');
 
-router.get('/login', spotifyLogin);
-router.get('/callback', spotifyCallback);
-router.post('/:restaurantId/refresh', authenticateToken, spotifyRefresh); // Protegido
+router.get('/login', authenticateToken, requirePermission('restaurant:settings'), spotifyLogin);
+router.get('/callback', spotifyCallback); // Protegido por el state firmado de un solo uso
+router.post('/:restaurantId/refresh', authenticateToken, requirePermission('restaurant:settings'), requireOwnership('restaurant'), spotifyRefresh); // Protegido
+
+// Desconectar la cuenta de Spotify del restaurante
+router.delete('/connection', authenticateToken, requirePermission('restaurant:settings'), spotifyDisconnect);
+
+// Playlists de la cuenta conectada
+router.get('/playlists',
+  authenticateToken,
+  requirePermission('restaurant:read'),
+  validateOptionalQueryParams(['limit', 'offset']),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt().withMessage('Limit must be between 1 and 50'),
+  query('offset').optional().isInt({ min: 0 }).toInt().withMessage('Offset must be a positive integer'),
+  validate,
+  getSpotifyPlaylists
+);
+
+// Importar o re-sincronizar el catálogo desde una playlist
+router.post('/playlists/:playlistId/import',
+  authenticateToken,
+  requirePermission('catalog:manage'),
+  param('playlistId').matches(/^[A-Za-z0-9]{1,64}$/).withMessage('Invalid playlist ID'),
+  body('genre').optional().custom(validateGenre),
+  validate,
+  importSpotifyPlaylist
+);
+
+// Dispositivos Spotify Connect para reproducir las peticiones
+router.get('/devices',
+  authenticateToken,
+  requirePermission('restaurant:read'),
+  getSpotifyDevices
+);
+
+router.put('/devices',
+  authenticateToken,
+  requirePermission('queue:manage'),
+  body('deviceId').isString().trim().notEmpty().withMessage('deviceId is required'),
+  validate,
+  selectSpotifyDevice
+);
+
+// Estado de la reproducción (dispositivo y último error)
+router.get('/playback',
+  authenticateToken,
+  requirePermission('restaurant:read'),
+  getPlaybackStatus
+);
 
 module.exports = router;
\ No newline at end of file
@@ -2,7 +2,7 @@
 const express = require('express');
 const { param, query } = require('express-validator');
 const { validate } = require('../middleware/validation');
-const { authenticateToken, requireSuperAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireOwnership } = require('../middleware/auth');
 const statsController = require('../controllers/statsController');
 
 const router = express.Router();
@@ -37,21 +37,25 @@ router.use(authenticateToken);
 
 // Dashboard general (solo superadmin)
 router.get('/dashboard',
-  requireSuperAdmin,
+  requirePermission('stats:global'),
   statsController.getDashboardStats
 );
 
-// Estadísticas de usuario específico
+// Estadísticas de usuario específico (el propio usuario o superadmin)
 router.get('/user/:userId',
+  requirePermission('stats:read'),
   userStatsValidation,
   validate,
+  requireOwnership('registered_user', { unlessPermission: 'stats:global' }),
   statsController.getUserStats
 );
 
-// Estadísticas de restaurante específico
+// Estadísticas de restaurante específico (el propio restaurante o superadmin)
 router.get('/restaurant/:restaurantId',
+  requirePermission('stats:read'),
   restaurantStatsValidation,
   validate,
+  requireOwnership('restaurant', { unlessPermission: 'stats:global' }),
   statsController.getRestaurantStats
 );
 
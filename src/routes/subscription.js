@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const subscriptionController = require('../controllers/subscriptionController');
-const { authenticateToken, requireRestaurant, requireSuperAdmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireOwnership } = require('../middleware/auth');
 const { uploadPaymentProof } = require('../middleware/upload');
 
 // =============================
@@ -26,38 +26,38 @@ router.get('/plans/:id', subscriptionController.getPlan);
 router.use(authenticateToken);
 
 // Obtener suscripción de un restaurante específico
-router.get('/restaurants/:id/subscription', subscriptionController.getRestaurantSubscription);
+router.get('/restaurants/:id/subscription', requireOwnership('restaurant', { param: 'id', unlessPermission: 'admin:access' }), subscriptionController.getRestaurantSubscription);
 
 // =============================
 // RUTAS DE RESTAURANTE
 // =============================
 
 // Actualizar plan de restaurante (requiere ser el propietario)
-router.put('/restaurants/:id/plan', requireRestaurant, subscriptionController.updateRestaurantPlan);
+router.put('/restaurants/:id/plan', requirePermission('billing:manage'), requireOwnership('restaurant', { param: 'id' }), subscriptionController.updateRestaurantPlan);
 
 // Cancelar suscripción de restaurante
-router.delete('/restaurants/:id/subscription', requireRestaurant, subscriptionController.cancelRestaurantSubscription);
+router.delete('/restaurants/:id/subscription', requirePermission('billing:manage'), requireOwnership('restaurant', { param: 'id' }), subscriptionController.cancelRestaurantSubscription);
 
 // =============================
 // RUTAS DE ADMIN
 // =============================
 
 // Aprobar suscripción de restaurante (solo superadmin)
-router.put('/restaurants/:id/subscription/approve', requireSuperAdmin, subscriptionController.approveRestaurantSubscription);
+router.put('/restaurants/:id/subscription/approve', requirePermission('admin:access'), subscriptionController.approveRestaurantSubscription);
 
 // Obtener suscripciones pendientes (admin)
-router.get('/admin/pending', requireSuperAdmin, subscriptionController.getPendingSubscriptions);
+router.get('/admin/pending', requirePermission('admin:access'), subscriptionController.getPendingSubscriptions);
 
 // Obtener suscripción por ID (admin)
-router.get('/admin/:id', requireSuperAdmin, subscriptionController.getSubscriptionById);
+router.get('/admin/:id', requirePermission('admin:access'), subscriptionController.getSubscriptionById);
 
 // Aprobar suscripción (admin)
-router.put('/admin/:id/approve', requireSuperAdmin, subscriptionController.approveSubscription);
+router.put('/admin/:id/approve', requirePermission('admin:access'), subscriptionController.approveSubscription);
 
 // Rechazar suscripción (admin)
-router.put('/admin/:id/reject', requireSuperAdmin, subscriptionController.rejectSubscription);
+router.put('/admin/:id/reject', requirePermission('admin:access'), subscriptionController.rejectSubscription);
 
 // Obtener estadísticas de suscripciones (admin)
-router.get('/admin/stats/overview', requireSuperAdmin, subscriptionController.getSubscriptionStats);
+router.get('/admin/stats/overview', requirePermission('admin:access'), subscriptionController.getSubscriptionStats);
 
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,7 @@ require('dotenv').config();
 const app = require('./app');
 const { checkConnection } = require('./config/database');
 const { logger } = require('./utils/logger');
+const PlaybackScheduler = require('./services/playbackScheduler');
 
 const PORT = process.env.PORT || 5000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -39,12 +40,17 @@ const startServer = async () => {
         logger.info(`   - PATCH /api/v1/admin/approve-restaurant/:id`);
         logger.info(`   - POST /api/v1/admin/reject-restaurant/:id`);
       }
+
+      // Reanudar el auto_play de las colas a partir de started_playing_at
+      PlaybackScheduler.start();
     });
 
     // Graceful shutdown
     const gracefulShutdown = (signal) => {
       logger.info(`\n🔄 Received ${signal}. Starting graceful shutdown...`);
       
+      PlaybackScheduler.stop();
+
       server.close(() => {
         logger.info('✅ HTTP server closed.');
         
@@ -8,6 +8,7 @@ class ActivityLogService {
     try {
       const logData = {
         userId,
+        staffId: req?.user?.staff?.id || null,
         action,
         entityType,
         entityId,
@@ -36,6 +37,8 @@ class ActivityLogService {
     try {
       const logData = {
         restaurantId,
+        // Miembro del personal que hizo la acción (null si fue el login del restaurante)
+        staffId: req?.user?.staff?.id || null,
         action,
         entityType,
         entityId,
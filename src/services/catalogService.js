@@ -0,0 +1,376 @@
+// src/services/catalogService.js - Gestión del catálogo de canciones de un restaurante
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { Song } = require('../models');
+const { validateDuration, validateGenre } = require('../middleware/validation');
+const { formatDuration, sanitizeText } = require('../utils/helpers');
+const { logger } = require('../utils/logger');
+const SpotifyService = require('./spotifyService');
+const MusicProviders = require('./musicProviders');
+
+// Máximo de filas aceptadas en una importación
+const MAX_IMPORT_ROWS = 1000;
+// Tamaño de lote para desactivar canciones en una sola consulta
+const DEACTIVATE_BATCH_SIZE = 500;
+
+// Alias aceptados en CSV/JSON -> campo del modelo (camelCase)
+const FIELD_ALIASES = {
+  title: 'title',
+  name: 'title',
+  artist: 'artist',
+  album: 'album',
+  duration: 'duration',
+  year: 'year',
+  genre: 'genre',
+  image: 'image',
+  popularity: 'popularity',
+  energy: 'energy',
+  spotifyid: 'spotifyId',
+  spotify_id: 'spotifyId',
+  previewurl: 'previewUrl',
+  preview_url: 'previewUrl',
+  isexplicit: 'isExplicit',
+  is_explicit: 'isExplicit',
+  explicit: 'isExplicit',
+  provider: 'provider',
+  source: 'provider',
+  externalid: 'externalId',
+  external_id: 'externalId',
+  file: 'externalId'
+};
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  return ['1', 'true', 'yes', 'si', 'sí'].includes(String(value).toLowerCase().trim());
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+class CatalogService {
+  // Normalizar y validar los datos de una canción.
+  // partial = true para actualizaciones (solo se validan los campos recibidos);
+  // provider es el proveedor actual de la canción al actualizar.
+  static normalizeSong(raw, { partial = false, provider: currentProvider = null } = {}) {
+    const input = {};
+    const errors = [];
+
+    Object.keys(raw || {}).forEach(key => {
+      const field = FIELD_ALIASES[key.toString().toLowerCase().trim()];
+      if (field && !isBlank(raw[key])) input[field] = raw[key];
+    });
+
+    const song = {};
+
+    ['title', 'artist'].forEach(field => {
+      if (input[field] !== undefined) {
+        song[field] = sanitizeText(input[field], 255);
+        if (!song[field]) errors.push({ field, message: `${field} cannot be empty` });
+      } else if (!partial) {
+        errors.push({ field, message: `${field} is required` });
+      }
+    });
+
+    if (input.album !== undefined) song.album = sanitizeText(input.album, 255);
+    if (input.image !== undefined) song.image = input.image.toString().trim();
+    if (input.previewUrl !== undefined) song.previewUrl = input.previewUrl.toString().trim();
+    if (input.spotifyId !== undefined) song.spotifyId = input.spotifyId.toString().trim();
+
+    // Duración: 'mm:ss' o segundos
+    if (input.duration !== undefined) {
+      const value = input.duration.toString().trim();
+      const duration = /^\d+$/.test(value) ? formatDuration(parseInt(value)) : value;
+      try {
+        validateDuration(duration);
+        song.duration = duration;
+      } catch (error) {
+        errors.push({ field: 'duration', message: error.message });
+      }
+    } else if (!partial) {
+      errors.push({ field: 'duration', message: 'duration is required' });
+    }
+
+    if (input.genre !== undefined) {
+      try {
+        validateGenre(input.genre);
+        song.genre = input.genre.toString().toLowerCase().trim();
+      } catch (error) {
+        errors.push({ field: 'genre', message: error.message });
+      }
+    } else if (!partial) {
+      errors.push({ field: 'genre', message: 'genre is required' });
+    }
+
+    if (input.year !== undefined) {
+      const year = parseInt(input.year);
+      if (isNaN(year) || year < 1900 || year > new Date().getFullYear() + 1) {
+        errors.push({ field: 'year', message: 'year must be a valid year' });
+      } else {
+        song.year = year;
+      }
+    }
+
+    ['popularity', 'energy'].forEach(field => {
+      if (input[field] === undefined) return;
+      const value = parseInt(input[field]);
+      if (isNaN(value) || value < 0 || value > 100) {
+        errors.push({ field, message: `${field} must be between 0 and 100` });
+      } else {
+        song[field] = value;
+      }
+    });
+
+    if (input.isExplicit !== undefined) song.isExplicit = toBoolean(input.isExplicit);
+
+    this.normalizeSource(input, song, errors, { partial, currentProvider });
+
+    return { song, errors };
+  }
+
+  // Proveedor e ID externo: cada proveedor valida su propio formato de ID.
+  // En canciones de Spotify spotify_id se mantiene igual que external_id.
+  static normalizeSource(input, song, errors, { partial, currentProvider }) {
+    let providerName = input.provider !== undefined ? input.provider.toString().toLowerCase().trim() : null;
+
+    if (providerName && !MusicProviders.isValidProvider(providerName)) {
+      errors.push({ field: 'provider', message: `provider must be one of: ${MusicProviders.PROVIDER_NAMES.join(', ')}` });
+      return;
+    }
+
+    if (!providerName) {
+      if (partial && currentProvider) {
+        providerName = currentProvider;
+      } else if (!partial || input.externalId !== undefined) {
+        providerName = MusicProviders.resolveProviderName({ spotifyId: song.spotifyId });
+      } else {
+        return;
+      }
+    }
+
+    if (input.provider !== undefined || !partial) song.provider = providerName;
+
+    let externalId = input.externalId;
+    if (externalId === undefined && providerName === 'spotify' && song.spotifyId) {
+      externalId = song.spotifyId;
+    }
+    if (externalId === undefined) return;
+
+    try {
+      song.externalId = MusicProviders.getProvider(providerName).normalizeExternalId(externalId);
+      if (providerName === 'spotify') song.spotifyId = song.externalId;
+    } catch (error) {
+      errors.push({ field: 'externalId', message: error.message });
+    }
+  }
+
+  // Buscar una canción duplicada en el catálogo (mismo título+artista o mismo spotify_id)
+  static async findDuplicate(restaurantId, song, excludeId = null) {
+    let query = `SELECT id, title, artist, provider, external_id, spotify_id, is_active
+                 FROM songs
+                 WHERE restaurant_id = ? AND ((LOWER(title) = LOWER(?) AND LOWER(artist) = LOWER(?))`;
+    const params = [restaurantId, song.title, song.artist];
+
+    if (song.spotifyId) {
+      query += ' OR spotify_id = ?';
+      params.push(song.spotifyId);
+    }
+
+    if (song.provider && song.externalId) {
+      query += ' OR (provider = ? AND external_id = ?)';
+      params.push(song.provider, song.externalId);
+    }
+
+    query += ')';
+
+    if (excludeId) {
+      query += ' AND id != ?';
+      params.push(excludeId);
+    }
+
+    const { rows } = await executeQuery(`${query} LIMIT 1`, params);
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  static async createSong(restaurantId, song) {
+    return Song.create({
+      ...song,
+      id: uuidv4(),
+      restaurantId
+    });
+  }
+
+  // Convertir una canción de la API de Spotify al formato del catálogo
+  static mapSpotifyTrack(track, genre) {
+    const releaseYear = parseInt((track.album?.release_date || '').substring(0, 4));
+
+    return {
+      title: sanitizeText(track.name, 255),
+      artist: sanitizeText((track.artists || []).map(artist => artist.name).join(', '), 255),
+      album: track.album?.name ? sanitizeText(track.album.name, 255) : null,
+      duration: formatDuration(Math.round((track.duration_ms || 0) / 1000)),
+      year: isNaN(releaseYear) ? null : releaseYear,
+      provider: 'spotify',
+      externalId: track.id,
+      spotifyId: track.id,
+      previewUrl: track.preview_url || null,
+      image: track.album?.images?.[0]?.url || null,
+      popularity: track.popularity || 0,
+      isExplicit: !!track.explicit,
+      genre
+    };
+  }
+
+  // Importar o sincronizar el catálogo con una playlist de Spotify:
+  // añade las canciones nuevas, actualiza/reactiva las existentes y desactiva
+  // las que se importaron de esta playlist y ya no están en ella.
+  static async syncSpotifyPlaylist(restaurantId, playlistId, { genre = 'pop' } = {}) {
+    const playlist = await SpotifyService.getPlaylistTracks(playlistId, restaurantId);
+    const summary = { total: playlist.tracks.length, added: 0, updated: 0, reactivated: 0, deactivated: 0, failed: 0 };
+    const report = [];
+    const seen = new Set();
+
+    for (const track of playlist.tracks) {
+      // La misma canción puede aparecer varias veces en la playlist
+      if (seen.has(track.id)) continue;
+      seen.add(track.id);
+
+      const song = this.mapSpotifyTrack(track, genre);
+
+      try {
+        const { rows } = await executeQuery(
+          'SELECT id, is_active FROM songs WHERE restaurant_id = ? AND spotify_id = ? LIMIT 1',
+          [restaurantId, song.spotifyId]
+        );
+        const existing = rows[0] || await this.findDuplicate(restaurantId, { title: song.title, artist: song.artist });
+
+        if (existing) {
+          // Se conserva el género que haya puesto el restaurante
+          await executeQuery(
+            `UPDATE songs
+             SET title = ?, artist = ?, album = ?, duration = ?, year = ?, provider = 'spotify', external_id = ?,
+                 spotify_id = ?, preview_url = ?,
+                 image = ?, popularity = ?, is_explicit = ?, source_playlist_id = ?, is_active = true,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [
+              song.title, song.artist, song.album, song.duration, song.year, song.externalId, song.spotifyId, song.previewUrl,
+              song.image, song.popularity, song.isExplicit, playlist.id, existing.id
+            ]
+          );
+
+          const status = existing.is_active ? 'updated' : 'reactivated';
+          summary[status]++;
+          report.push({ spotifyId: song.spotifyId, status, songId: existing.id, title: song.title, artist: song.artist });
+        } else {
+          const created = await this.createSong(restaurantId, song);
+          await executeQuery(
+            'UPDATE songs SET source_playlist_id = ? WHERE id = ?',
+            [playlist.id, created.id]
+          );
+
+          summary.added++;
+          report.push({ spotifyId: song.spotifyId, status: 'added', songId: created.id, title: song.title, artist: song.artist });
+        }
+      } catch (error) {
+        logger.error('Spotify playlist sync row failed:', { restaurantId, playlistId, spotifyId: track.id, error: error.message });
+        summary.failed++;
+        report.push({ spotifyId: song.spotifyId, status: 'failed', title: song.title, artist: song.artist, errors: [{ message: error.message }] });
+      }
+    }
+
+    // Desactivar las canciones que salieron de la playlist
+    const { rows: importedRows } = await executeQuery(
+      'SELECT id, spotify_id, title, artist FROM songs WHERE restaurant_id = ? AND source_playlist_id = ? AND is_active = true',
+      [restaurantId, playlist.id]
+    );
+    const removed = importedRows.filter(row => !seen.has(row.spotify_id));
+
+    for (let i = 0; i < removed.length; i += DEACTIVATE_BATCH_SIZE) {
+      const batch = removed.slice(i, i + DEACTIVATE_BATCH_SIZE);
+      await executeQuery(
+        `UPDATE songs SET is_active = false, updated_at = CURRENT_TIMESTAMP
+         WHERE restaurant_id = ? AND id IN (${batch.map(() => '?').join(', ')})`,
+        [restaurantId, ...batch.map(row => row.id)]
+      );
+    }
+
+    removed.forEach(row => {
+      summary.deactivated++;
+      report.push({ spotifyId: row.spotify_id, status: 'deactivated', songId: row.id, title: row.title, artist: row.artist });
+    });
+
+    logger.info(`Spotify playlist synced for ${restaurantId}: ${playlist.name} (${summary.added} added, ${summary.updated} updated, ${summary.reactivated} reactivated, ${summary.deactivated} deactivated)`);
+
+    return {
+      playlist: { id: playlist.id, name: playlist.name },
+      summary,
+      report
+    };
+  }
+
+  // Importar canciones fila por fila y devolver un informe por fila
+  static async importSongs(restaurantId, rows) {
+    const report = [];
+    const summary = { total: rows.length, created: 0, duplicates: 0, invalid: 0, failed: 0 };
+    const seenKeys = new Set();
+    const seenSources = new Set();
+
+    for (let index = 0; index < rows.length; index++) {
+      const rowNumber = index + 1;
+      const { song, errors } = this.normalizeSong(rows[index]);
+
+      if (errors.length > 0) {
+        summary.invalid++;
+        report.push({ row: rowNumber, status: 'invalid', errors });
+        continue;
+      }
+
+      const key = `${song.title.toLowerCase()}|${song.artist.toLowerCase()}`;
+      const source = song.externalId ? `${song.provider}:${song.externalId}` : null;
+
+      // Duplicado dentro del mismo archivo
+      if (seenKeys.has(key) || (source && seenSources.has(source))) {
+        summary.duplicates++;
+        report.push({ row: rowNumber, status: 'duplicate', title: song.title, artist: song.artist, reason: 'Duplicated in import file' });
+        continue;
+      }
+
+      seenKeys.add(key);
+      if (source) seenSources.add(source);
+
+      try {
+        // Duplicado en el catálogo existente
+        const duplicate = await this.findDuplicate(restaurantId, song);
+        if (duplicate) {
+          summary.duplicates++;
+          report.push({
+            row: rowNumber,
+            status: 'duplicate',
+            title: song.title,
+            artist: song.artist,
+            existingSongId: duplicate.id,
+            reason: song.externalId && duplicate.provider === song.provider && duplicate.external_id === song.externalId
+              ? 'Provider track already in catalog'
+              : song.spotifyId && duplicate.spotify_id === song.spotifyId
+                ? 'Spotify ID already in catalog'
+                : 'Title and artist already in catalog'
+          });
+          continue;
+        }
+
+        const created = await this.createSong(restaurantId, song);
+        summary.created++;
+        report.push({ row: rowNumber, status: 'created', songId: created ? created.id : null, title: song.title, artist: song.artist });
+      } catch (error) {
+        logger.error('Catalog import row failed:', { restaurantId, row: rowNumber, error: error.message });
+        summary.failed++;
+        report.push({ row: rowNumber, status: 'failed', title: song.title, artist: song.artist, errors: [{ message: error.message }] });
+      }
+    }
+
+    return { summary, report };
+  }
+}
+
+CatalogService.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+
+module.exports = CatalogService;
@@ -1,6 +1,7 @@
 // src/services/databaseViewsService.js - Servicio para consultas complejas y vistas
 const { executeQuery } = require('../config/database');
 const { logger } = require('../utils/logger');
+const LoginThrottleService = require('./loginThrottleService');
 
 class DatabaseViewsService {
   // Vista de restaurantes con información completa
@@ -419,6 +420,9 @@ class DatabaseViewsService {
         []
       );
 
+      // Limpiar contadores de login fallidos sin bloqueo activo
+      const loginThrottlesDeleted = await LoginThrottleService.cleanup();
+
       // Limpiar usuarios temporales inactivos (más de 24 horas)
       const { affectedRows: oldUsersDeleted } = await executeQuery(
         'DELETE FROM users WHERE created_at < DATE_SUB(NOW(), INTERVAL 1 DAY) AND user_type = "guest"',
@@ -428,12 +432,14 @@ class DatabaseViewsService {
       logger.info('Data cleanup completed', {
         activityLogsDeleted,
         expiredTokensDeleted,
+        loginThrottlesDeleted,
         oldUsersDeleted
       });
 
       return {
         activityLogsDeleted,
         expiredTokensDeleted,
+        loginThrottlesDeleted,
         oldUsersDeleted
       };
     } catch (error) {
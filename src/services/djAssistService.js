@@ -0,0 +1,362 @@
+// src/services/djAssistService.js - "DJ asistente": sugiere o añade canciones de la casa cuando la cola se queda corta
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { RestaurantSettings } = require('../models');
+const { getTimeZoneParts } = require('../utils/helpers');
+const { logger } = require('../utils/logger');
+const ExplicitContentService = require('./explicitContentService');
+const QueueEventsService = require('./queueEventsService');
+const WaitTimeService = require('./waitTimeService');
+
+// Configuración guardada en restaurant_settings
+const DJ_ASSIST_KEYS = {
+  mode: 'dj_assist_mode',
+  minQueue: 'dj_assist_min_queue',
+  repeatWindowMinutes: 'dj_assist_repeat_window_minutes',
+  energyCurve: 'dj_assist_energy_curve'
+};
+
+// off: desactivado; suggest: avisa al dashboard con sugerencias; auto_fill: las añade a la cola
+const DJ_ASSIST_MODES = ['off', 'suggest', 'auto_fill'];
+
+// Cada franja empieza a su hora (local del restaurante) y dura hasta la siguiente; la última enlaza con la primera
+const DEFAULT_ENERGY_CURVE = [
+  { name: 'morning', from: '06:00', energy: 40 },
+  { name: 'lunch', from: '12:00', energy: 30 },
+  { name: 'afternoon', from: '16:00', energy: 50 },
+  { name: 'dinner', from: '19:00', energy: 60 },
+  { name: 'late_night', from: '22:00', energy: 80 }
+];
+
+const DEFAULT_DJ_ASSIST = {
+  mode: 'off',
+  minQueue: 2,
+  repeatWindowMinutes: 180,
+  energyCurve: DEFAULT_ENERGY_CURVE
+};
+
+const MAX_MIN_QUEUE = 10;
+const MAX_REPEAT_WINDOW_MINUTES = 10080;
+const MAX_DAYPARTS = 12;
+// No repetir artista con ninguna de las últimas canciones de la cola
+const RECENT_ARTISTS_COUNT = 3;
+const CANDIDATE_LIMIT = 500;
+
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// 'HH:MM' -> minutos desde medianoche (solo para horas ya validadas)
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+const normalizeArtist = (artist) => (artist ? String(artist).trim().toLowerCase() : null);
+
+// Sincronizaciones en curso por restaurante, para no rellenar la cola dos veces a la vez
+const running = new Map();
+// Últimas sugerencias enviadas al dashboard, para no repetir el mismo aviso
+const lastSuggestions = new Map();
+
+class DjAssistService {
+  // Devuelve un mensaje de error o null si la curva es válida
+  static validateEnergyCurve(curve) {
+    if (!Array.isArray(curve) || curve.length === 0 || curve.length > MAX_DAYPARTS) {
+      return `Energy curve must have between 1 and ${MAX_DAYPARTS} dayparts`;
+    }
+
+    for (const daypart of curve) {
+      if (!daypart || typeof daypart.name !== 'string' || !daypart.name.trim() || daypart.name.length > 50) {
+        return 'Each daypart needs a name (max 50 characters)';
+      }
+      if (!TIME_REGEX.test(daypart.from || '')) {
+        return 'Daypart start times must use HH:MM format';
+      }
+      if (!Number.isInteger(daypart.energy) || daypart.energy < 0 || daypart.energy > 100) {
+        return 'Daypart energy must be an integer between 0 and 100';
+      }
+    }
+
+    if (new Set(curve.map(daypart => daypart.from)).size !== curve.length) {
+      return 'Dayparts must start at different times';
+    }
+
+    return null;
+  }
+
+  // Devuelve un mensaje de error o null si la configuración recibida (camelCase) es válida
+  static validateSettings(settings) {
+    if (settings.mode !== undefined && !DJ_ASSIST_MODES.includes(settings.mode)) {
+      return `DJ assist mode must be one of: ${DJ_ASSIST_MODES.join(', ')}`;
+    }
+    if (settings.minQueue !== undefined && !(Number.isInteger(settings.minQueue) && settings.minQueue >= 1 && settings.minQueue <= MAX_MIN_QUEUE)) {
+      return `DJ assist minimum queue must be between 1 and ${MAX_MIN_QUEUE}`;
+    }
+    if (settings.repeatWindowMinutes !== undefined && !(Number.isInteger(settings.repeatWindowMinutes) &&
+      settings.repeatWindowMinutes >= 0 && settings.repeatWindowMinutes <= MAX_REPEAT_WINDOW_MINUTES)) {
+      return `DJ assist repeat window must be between 0 and ${MAX_REPEAT_WINDOW_MINUTES} minutes`;
+    }
+    if (settings.energyCurve !== undefined) {
+      return this.validateEnergyCurve(settings.energyCurve);
+    }
+
+    return null;
+  }
+
+  static async getSettings(restaurantId) {
+    const settings = await RestaurantSettings.getByRestaurant(restaurantId);
+    const config = { ...DEFAULT_DJ_ASSIST };
+
+    if (DJ_ASSIST_MODES.includes(settings[DJ_ASSIST_KEYS.mode])) {
+      config.mode = settings[DJ_ASSIST_KEYS.mode];
+    }
+
+    const minQueue = parseInt(settings[DJ_ASSIST_KEYS.minQueue]);
+    if (minQueue >= 1 && minQueue <= MAX_MIN_QUEUE) {
+      config.minQueue = minQueue;
+    }
+
+    const repeatWindowMinutes = parseInt(settings[DJ_ASSIST_KEYS.repeatWindowMinutes]);
+    if (repeatWindowMinutes >= 0 && repeatWindowMinutes <= MAX_REPEAT_WINDOW_MINUTES) {
+      config.repeatWindowMinutes = repeatWindowMinutes;
+    }
+
+    if (settings[DJ_ASSIST_KEYS.energyCurve]) {
+      try {
+        const curve = JSON.parse(settings[DJ_ASSIST_KEYS.energyCurve]);
+        if (!this.validateEnergyCurve(curve)) {
+          config.energyCurve = curve;
+        }
+      } catch (error) {
+        logger.warn('Invalid DJ assist energy curve, using default:', { restaurantId, error: error.message });
+      }
+    }
+
+    config.energyCurve = [...config.energyCurve].sort((a, b) => toMinutes(a.from) - toMinutes(b.from));
+    return config;
+  }
+
+  // Guardar solo los campos recibidos (en camelCase)
+  static async setSettings(restaurantId, settings) {
+    const error = this.validateSettings(settings);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const values = {};
+    if (settings.mode !== undefined) values[DJ_ASSIST_KEYS.mode] = settings.mode;
+    if (settings.minQueue !== undefined) values[DJ_ASSIST_KEYS.minQueue] = String(settings.minQueue);
+    if (settings.repeatWindowMinutes !== undefined) {
+      values[DJ_ASSIST_KEYS.repeatWindowMinutes] = String(settings.repeatWindowMinutes);
+    }
+    if (settings.energyCurve !== undefined) {
+      values[DJ_ASSIST_KEYS.energyCurve] = JSON.stringify(settings.energyCurve.map(({ name, from, energy }) => ({
+        name: name.trim(),
+        from,
+        energy
+      })));
+    }
+
+    if (Object.keys(values).length > 0) {
+      await RestaurantSettings.setMultiple(restaurantId, values);
+    }
+
+    lastSuggestions.delete(restaurantId);
+    return this.getSettings(restaurantId);
+  }
+
+  // Franja de la curva (ordenada por hora) que corresponde a una fecha en la zona horaria del restaurante
+  static getDaypart(energyCurve, timezone, date = new Date()) {
+    const local = getTimeZoneParts(date, timezone);
+    const current = local.hour * 60 + local.minute;
+
+    const started = energyCurve.filter(daypart => toMinutes(daypart.from) <= current);
+    return started.length > 0 ? started[started.length - 1] : energyCurve[energyCurve.length - 1];
+  }
+
+  // Encaje de una canción con la energía objetivo; la popularidad solo desempata
+  static scoreSong(song, targetEnergy) {
+    const distance = song.energy === null || song.energy === undefined
+      ? 50
+      : Math.abs(Number(song.energy) - targetEnergy);
+
+    return 100 - distance + (Number(song.popularity) || 0) * 0.1;
+  }
+
+  // Sugerencias para continuar la cola: cada canción se elige según la franja en la que empezará a sonar.
+  // restaurant debe incluir id, allow_explicit y timezone
+  static async getSuggestions(restaurant, { limit = 5, config = null } = {}) {
+    const settings = config || await this.getSettings(restaurant.id);
+    const explicitFilter = await ExplicitContentService.getSongFilter(restaurant, 's.is_explicit');
+
+    // Fuera: lo que suena, lo que está en cola y lo que se pidió o sonó dentro de la ventana anti-repetición
+    const [{ rows: candidates }, { rows: recentRows }, timeline] = await Promise.all([
+      executeQuery(
+        `SELECT s.id, s.title, s.artist, s.album, s.duration, s.image, s.genre, s.energy, s.popularity, s.is_explicit
+         FROM songs s
+         WHERE s.restaurant_id = ? AND s.is_active = 1${explicitFilter}
+           AND s.id NOT IN (
+             SELECT r.song_id FROM requests r
+             WHERE r.restaurant_id = ? AND r.status != 'cancelled'
+               AND (r.status IN ('pending', 'playing')
+                 OR r.requested_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+                 OR r.completed_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE))
+           )
+         ORDER BY s.popularity DESC
+         LIMIT ?`,
+        [restaurant.id, restaurant.id, settings.repeatWindowMinutes, settings.repeatWindowMinutes, CANDIDATE_LIMIT]
+      ),
+      // Artistas de las canciones que sonarán justo antes (última de la cola primero)
+      executeQuery(
+        `SELECT s.artist
+         FROM requests r
+         JOIN songs s ON r.song_id = s.id
+         WHERE r.restaurant_id = ? AND r.status IN ('pending', 'playing', 'completed')
+         ORDER BY FIELD(r.status, 'pending', 'playing', 'completed'),
+                  CASE WHEN r.status = 'pending' THEN r.queue_position ELSE 0 END DESC,
+                  COALESCE(r.completed_at, r.started_playing_at) DESC
+         LIMIT ?`,
+        [restaurant.id, RECENT_ARTISTS_COUNT]
+      ),
+      WaitTimeService.getQueueTimeline(restaurant.id)
+    ]);
+
+    const recentArtists = recentRows.map(row => normalizeArtist(row.artist)).filter(Boolean);
+    const remaining = [...candidates];
+    const suggestions = [];
+    let startAt = Date.now() + timeline.totalSeconds * 1000;
+
+    while (suggestions.length < limit && remaining.length > 0) {
+      const daypart = this.getDaypart(settings.energyCurve, restaurant.timezone, new Date(startAt));
+
+      // Si todas repiten artista, mejor repetir que dejar la cola vacía
+      const fresh = remaining.filter(song => !recentArtists.includes(normalizeArtist(song.artist)));
+      const pool = fresh.length > 0 ? fresh : remaining;
+      const song = pool.reduce((best, candidate) =>
+        (!best || this.scoreSong(candidate, daypart.energy) > this.scoreSong(best, daypart.energy) ? candidate : best), null);
+
+      remaining.splice(remaining.indexOf(song), 1);
+      recentArtists.unshift(normalizeArtist(song.artist));
+      recentArtists.length = Math.min(recentArtists.length, RECENT_ARTISTS_COUNT);
+
+      suggestions.push({
+        song,
+        daypart: daypart.name,
+        targetEnergy: daypart.energy,
+        expectedStartAt: new Date(startAt).toISOString()
+      });
+
+      startAt += WaitTimeService.getSongDurationSeconds(song.duration) * 1000;
+    }
+
+    return {
+      mode: settings.mode,
+      daypart: this.getDaypart(settings.energyCurve, restaurant.timezone),
+      suggestions
+    };
+  }
+
+  // Añadir una canción de la casa al final de la cola, detrás de todas las peticiones de los clientes
+  static async addHousePick(restaurantId, song, { automatic = false } = {}) {
+    const { rows: countRows } = await executeQuery(
+      'SELECT COUNT(*) as count FROM requests WHERE restaurant_id = ? AND status = \'pending\'',
+      [restaurantId]
+    );
+
+    const requestId = uuidv4();
+    const queuePosition = parseInt(countRows[0].count) + 1;
+
+    await executeQuery(
+      `INSERT INTO requests (id, restaurant_id, user_id, song_id, user_table, queue_position, status, is_house_pick)
+       VALUES (?, ?, NULL, ?, NULL, ?, 'pending', 1)`,
+      [requestId, restaurantId, song.id, queuePosition]
+    );
+
+    QueueEventsService.publish(restaurantId, 'request.created', {
+      requestId,
+      userId: null,
+      tableNumber: null,
+      status: 'pending',
+      queuePosition,
+      housePick: true,
+      automatic,
+      song: {
+        id: song.id,
+        title: song.title,
+        artist: song.artist,
+        image: song.image
+      }
+    });
+
+    return { requestId, queuePosition };
+  }
+
+  // Comprobar la cola tras un cambio y sugerir o rellenar si se queda corta.
+  // Se encadena por restaurante y nunca lanza: no debe interrumpir la reproducción.
+  static checkQueue(restaurantId) {
+    const previous = running.get(restaurantId) || Promise.resolve();
+    const next = previous
+      .then(() => this.fillIfLow(restaurantId))
+      .catch((error) => {
+        logger.error('DJ assist error:', { restaurantId, error: error.message });
+        return null;
+      });
+
+    running.set(restaurantId, next);
+    next.then(() => {
+      if (running.get(restaurantId) === next) running.delete(restaurantId);
+    });
+
+    return next;
+  }
+
+  static async fillIfLow(restaurantId) {
+    const config = await this.getSettings(restaurantId);
+    if (config.mode === 'off') return null;
+
+    const { rows: countRows } = await executeQuery(
+      'SELECT COUNT(*) as count FROM requests WHERE restaurant_id = ? AND status = \'pending\'',
+      [restaurantId]
+    );
+
+    const missing = config.minQueue - parseInt(countRows[0].count);
+    if (missing <= 0) {
+      lastSuggestions.delete(restaurantId);
+      return null;
+    }
+
+    const { rows: restaurantRows } = await executeQuery(
+      'SELECT id, allow_explicit, timezone, is_active FROM restaurants WHERE id = ?',
+      [restaurantId]
+    );
+
+    if (restaurantRows.length === 0 || !restaurantRows[0].is_active) {
+      return null;
+    }
+
+    const { daypart, suggestions } = await this.getSuggestions(restaurantRows[0], { limit: missing, config });
+    if (suggestions.length === 0) return null;
+
+    if (config.mode === 'suggest') {
+      const key = suggestions.map(suggestion => suggestion.song.id).join(',');
+      if (lastSuggestions.get(restaurantId) === key) return null;
+      lastSuggestions.set(restaurantId, key);
+
+      QueueEventsService.publish(restaurantId, 'dj_assist.suggestions', { daypart, suggestions });
+      return { mode: config.mode, suggestions };
+    }
+
+    const picks = [];
+    for (const suggestion of suggestions) {
+      picks.push(await this.addHousePick(restaurantId, suggestion.song, { automatic: true }));
+    }
+
+    logger.info(`DJ assist added ${picks.length} house picks (${daypart.name}) for restaurant ${restaurantId}`);
+    return { mode: config.mode, picks };
+  }
+}
+
+DjAssistService.DJ_ASSIST_MODES = DJ_ASSIST_MODES;
+DjAssistService.MAX_MIN_QUEUE = MAX_MIN_QUEUE;
+DjAssistService.MAX_DAYPARTS = MAX_DAYPARTS;
+
+module.exports = DjAssistService;
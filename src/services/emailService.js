@@ -405,6 +405,51 @@ const sendVerificationEmail = async (userEmail, userName, verificationToken) =>
   }
 };
 
+
+// Invitación para unirse al personal de un restaurante
+const sendStaffInvitationEmail = async (email, restaurantName, roleLabel, invitationToken, invitedByName) => {
+  const transporter = createTransporter();
+  if (!transporter) return false;
+
+  try {
+    const invitationUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/staff/accept-invitation?token=${invitationToken}&email=${encodeURIComponent(email)}`;
+
+    const content = `
+      <h2>Te invitaron a ${restaurantName}</h2>
+      <p>Hola,</p>
+      <p><strong>${invitedByName}</strong> te invitó a unirte al equipo de <strong>${restaurantName}</strong> en MusicMenu.</p>
+
+      <div class="highlight">
+        <p><strong>Tu rol:</strong> ${roleLabel}</p>
+      </div>
+
+      <p>Para aceptar la invitación crea tu contraseña haciendo clic en el botón de abajo. El enlace es válido durante 7 días.</p>
+
+      <a href="${invitationUrl}" class="button">Aceptar Invitación</a>
+
+      <p>O copia y pega esta URL en tu navegador:</p>
+      <p style="word-break: break-all; color: #666; background: #f8f9fa; padding: 10px; border-radius: 5px;">${invitationUrl}</p>
+
+      <p>Si no esperabas esta invitación, puedes ignorar este email.</p>
+    `;
+
+    const mailOptions = {
+      from: `"MusicMenu" <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `Invitación al equipo de ${restaurantName} - MusicMenu`,
+      html: createEmailTemplate('Invitación al Equipo', content)
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    logger.info(`Staff invitation email sent to ${email}: ${info.messageId}`);
+    return true;
+
+  } catch (error) {
+    logger.error('Error sending staff invitation email:', error.message);
+    return false;
+  }
+};
+
 module.exports = {
   sendWelcomeEmail,
   sendPasswordResetEmail,
@@ -412,5 +457,6 @@ module.exports = {
   sendWeeklyReport,
   verifyEmailConfig,
   sendTestEmail,
-  sendVerificationEmail
+  sendVerificationEmail,
+  sendStaffInvitationEmail
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+// src/services/emailVerificationService.js - Verificación de email de usuarios registrados
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const { AuthToken, RestaurantSettings } = require('../models');
+const { sendVerificationEmail } = require('./emailService');
+const { logger } = require('../utils/logger');
+
+// Validez del enlace (el email indica 24 horas)
+const VERIFICATION_TTL_HOURS = 24;
+
+// Acciones para las que un restaurante puede exigir email verificado (restaurant_settings)
+const REQUIRED_FOR_KEY = 'verified_email_required_for';
+const VERIFIABLE_ACTIONS = ['reviews', 'requests'];
+
+class EmailVerificationService {
+  // Crear un token nuevo (invalida los anteriores) y enviar el enlace por email
+  static async sendVerification(user, req = null) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await AuthToken.deleteByUser(user.id, 'registered_user', 'email_verification');
+    await AuthToken.create({
+      userId: user.id,
+      userType: 'registered_user',
+      token,
+      tokenType: 'email_verification',
+      expiresAt: new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000),
+      ipAddress: req?.ip || null,
+      userAgent: req?.get('User-Agent') || null
+    });
+
+    return sendVerificationEmail(user.email, user.name, token);
+  }
+
+  // Consumir el token del enlace. Devuelve el id del usuario verificado o null si no es válido.
+  static async verify(token) {
+    const authToken = await AuthToken.findByToken(token, 'email_verification');
+
+    if (!authToken || authToken.userType !== 'registered_user' || !authToken.isValid()) {
+      return null;
+    }
+
+    await executeQuery(
+      `UPDATE registered_users
+       SET email_verified = 1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [authToken.userId]
+    );
+
+    await authToken.markAsUsed();
+
+    logger.info(`Email verified for registered user ${authToken.userId}`);
+    return authToken.userId;
+  }
+
+  static async isUserVerified(registeredUserId) {
+    if (!registeredUserId) return false;
+
+    const { rows } = await executeQuery(
+      'SELECT email_verified FROM registered_users WHERE id = ? AND is_active = 1',
+      [registeredUserId]
+    );
+
+    return rows.length > 0 && !!rows[0].email_verified;
+  }
+
+  static async getRequiredActions(restaurantId) {
+    const setting = await RestaurantSettings.getByRestaurantAndKey(restaurantId, REQUIRED_FOR_KEY);
+    if (!setting || !setting.settingValue) return [];
+
+    return setting.settingValue
+      .split(',')
+      .map(action => action.trim())
+      .filter(action => VERIFIABLE_ACTIONS.includes(action));
+  }
+
+  static async setRequiredActions(restaurantId, actions) {
+    const valid = [...new Set((actions || []).filter(action => VERIFIABLE_ACTIONS.includes(action)))];
+
+    if (valid.length === 0) {
+      await RestaurantSettings.delete(restaurantId, REQUIRED_FOR_KEY);
+    } else {
+      await RestaurantSettings.set(restaurantId, REQUIRED_FOR_KEY, valid.join(','));
+    }
+
+    return valid;
+  }
+
+  // Comprobar si el restaurante exige email verificado para la acción y el usuario no lo tiene
+  static async isBlocked(restaurantId, action, registeredUserId) {
+    const required = await this.getRequiredActions(restaurantId);
+    if (!required.includes(action)) return false;
+
+    return !(await this.isUserVerified(registeredUserId));
+  }
+}
+
+EmailVerificationService.VERIFIABLE_ACTIONS = VERIFIABLE_ACTIONS;
+
+module.exports = EmailVerificationService;
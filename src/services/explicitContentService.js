@@ -0,0 +1,83 @@
+// src/services/explicitContentService.js - Control de contenido explícito por restaurante
+const { RestaurantSettings } = require('../models');
+const { getTimeZoneParts } = require('../utils/helpers');
+
+// Horario opcional (hora local del restaurante, formato HH:MM) en restaurant_settings
+const EXPLICIT_FROM_KEY = 'explicit_allowed_from';
+const EXPLICIT_UNTIL_KEY = 'explicit_allowed_until';
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// 'HH:MM' -> minutos desde medianoche
+const toMinutes = (time) => {
+  const match = TIME_REGEX.exec(time || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+};
+
+class ExplicitContentService {
+  static isValidTime(time) {
+    return TIME_REGEX.test(time || '');
+  }
+
+  // Horario configurado, o null si el explícito se permite todo el día
+  static async getSchedule(restaurantId) {
+    const settings = await RestaurantSettings.getByRestaurant(restaurantId);
+    const from = settings[EXPLICIT_FROM_KEY];
+    const until = settings[EXPLICIT_UNTIL_KEY];
+
+    if (!this.isValidTime(from) || !this.isValidTime(until)) {
+      return null;
+    }
+
+    return { from, until };
+  }
+
+  // Guardar el horario; con null se elimina y el explícito vuelve a permitirse todo el día
+  static async setSchedule(restaurantId, schedule) {
+    if (!schedule) {
+      await RestaurantSettings.delete(restaurantId, EXPLICIT_FROM_KEY);
+      await RestaurantSettings.delete(restaurantId, EXPLICIT_UNTIL_KEY);
+      return null;
+    }
+
+    if (!this.isValidTime(schedule.from) || !this.isValidTime(schedule.until)) {
+      throw new Error('Explicit schedule times must use HH:MM format');
+    }
+
+    await RestaurantSettings.setMultiple(restaurantId, {
+      [EXPLICIT_FROM_KEY]: schedule.from,
+      [EXPLICIT_UNTIL_KEY]: schedule.until
+    });
+
+    return { from: schedule.from, until: schedule.until };
+  }
+
+  // Comprobar si la hora local está dentro del horario (admite horarios que cruzan medianoche, p.ej. 22:00-04:00)
+  static isWithinSchedule(schedule, timezone, now = new Date()) {
+    const local = getTimeZoneParts(now, timezone);
+    const current = local.hour * 60 + local.minute;
+    const from = toMinutes(schedule.from);
+    const until = toMinutes(schedule.until);
+
+    if (from === until) return true;
+    if (from < until) return current >= from && current < until;
+    return current >= from || current < until;
+  }
+
+  // restaurant debe incluir id, allow_explicit y timezone
+  static async isExplicitAllowed(restaurant, now = new Date()) {
+    if (!restaurant.allow_explicit) return false;
+
+    const schedule = await this.getSchedule(restaurant.id);
+    if (!schedule) return true;
+
+    return this.isWithinSchedule(schedule, restaurant.timezone, now);
+  }
+
+  // Filtro SQL para excluir canciones explícitas cuando no están permitidas
+  static async getSongFilter(restaurant, column = 'is_explicit') {
+    const allowed = await this.isExplicitAllowed(restaurant);
+    return allowed ? '' : ` AND (${column} = 0 OR ${column} IS NULL)`;
+  }
+}
+
+module.exports = ExplicitContentService;
@@ -0,0 +1,100 @@
+// src/services/listeningHistoryService.js - Historial de escucha de los usuarios registrados
+const { executeQuery } = require('../config/database');
+const { ListeningHistory } = require('../models');
+const { logger } = require('../utils/logger');
+
+class ListeningHistoryService {
+  // Guardar en el historial una petición completada. Solo cuenta si la pidió un usuario registrado,
+  // directamente o desde una sesión de mesa vinculada con su propio token (users.registered_link_verified).
+  // Nunca lanza: el historial no debe impedir completar la petición.
+  static async recordCompletedRequest(requestId) {
+    try {
+      const { rows } = await executeQuery(
+        `SELECT r.id, r.restaurant_id, r.song_id, r.user_table, r.started_playing_at, r.completed_at,
+                COALESCE(
+                  r.registered_user_id,
+                  CASE WHEN u.registered_link_verified THEN u.registered_user_id END
+                ) as registered_user_id,
+                TIMESTAMPDIFF(SECOND, r.started_playing_at, r.completed_at) as play_duration
+         FROM requests r
+         LEFT JOIN users u ON r.user_id = u.id
+         LEFT JOIN listening_history lh ON lh.request_id = r.id
+         WHERE r.id = ? AND r.status = 'completed' AND lh.id IS NULL`,
+        [requestId]
+      );
+
+      const request = rows[0];
+      if (!request || !request.registered_user_id) {
+        return null;
+      }
+
+      return await ListeningHistory.create({
+        registeredUserId: request.registered_user_id,
+        songId: request.song_id,
+        restaurantId: request.restaurant_id,
+        requestId: request.id,
+        playedAt: request.started_playing_at || request.completed_at,
+        playDuration: request.play_duration,
+        wasCompleted: true,
+        deviceInfo: {
+          source: 'request',
+          tableNumber: request.user_table || null
+        }
+      });
+    } catch (error) {
+      logger.error(`Listening history error for request ${requestId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Resumen tipo "tu año en música": totales, top canciones/artistas/géneros, meses y restaurantes
+  static async getYearSummary(registeredUserId, year, restaurantId = null) {
+    const filters = {
+      restaurantId,
+      startDate: new Date(year, 0, 1),
+      endDate: new Date(year + 1, 0, 1)
+    };
+
+    const [restaurants, topSongs, topArtists, topGenres, monthly] = await Promise.all([
+      ListeningHistory.getTotalsByRestaurant(registeredUserId, filters),
+      ListeningHistory.getTopSongs(registeredUserId, { ...filters, limit: 5 }),
+      ListeningHistory.getTopValues(registeredUserId, 'artist', filters),
+      ListeningHistory.getTopValues(registeredUserId, 'genre', filters),
+      ListeningHistory.getMonthlyCounts(registeredUserId, filters)
+    ]);
+
+    const totals = restaurants.reduce((sum, item) => ({
+      playCount: sum.playCount + item.playCount,
+      totalSeconds: sum.totalSeconds + item.totalSeconds,
+      visitDays: sum.visitDays + item.visitDays
+    }), { playCount: 0, totalSeconds: 0, visitDays: 0 });
+
+    // Los 12 meses, aunque alguno no tenga reproducciones
+    const byMonth = new Map(monthly.map(item => [item.month, item.playCount]));
+    const months = Array.from({ length: 12 }, (_, index) => ({
+      month: index + 1,
+      playCount: byMonth.get(index + 1) || 0
+    }));
+    const topMonth = totals.playCount > 0
+      ? months.reduce((best, item) => (item.playCount > best.playCount ? item : best))
+      : null;
+
+    return {
+      year,
+      totals: {
+        playCount: totals.playCount,
+        totalMinutes: Math.round(totals.totalSeconds / 60),
+        restaurants: restaurants.length,
+        visitDays: totals.visitDays
+      },
+      topSongs,
+      topArtists,
+      topGenres,
+      topMonth,
+      months,
+      restaurants
+    };
+  }
+}
+
+module.exports = ListeningHistoryService;
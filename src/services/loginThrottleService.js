@@ -0,0 +1,196 @@
+// src/services/loginThrottleService.js - Protección contra fuerza bruta en el login
+//
+// Cuenta los intentos fallidos por cuenta (email) y por IP en la tabla login_throttles:
+//  - a partir del 2º fallo cada intento debe esperar un retraso creciente (1s, 2s, 4s... máx. 60s)
+//  - al llegar al máximo de fallos se bloquea temporalmente y se avisa al dueño de la cuenta por email
+// Las fechas se calculan en Node y se pasan como parámetros para no depender de la zona horaria de MySQL.
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { sendSecurityAlert } = require('./emailService');
+const ActivityLogService = require('./activityLogService');
+const { logger } = require('../utils/logger');
+
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Los fallos más antiguos que esta ventana no cuentan
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 60;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Retraso exigido tras n fallos seguidos
+const getDelaySeconds = (failedCount) =>
+  failedCount < 2 ? 0 : Math.min(2 ** (failedCount - 2), MAX_DELAY_SECONDS);
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+
+const formatThrottle = (row) => ({
+  id: row.id,
+  scope: row.scope,
+  identifier: row.identifier,
+  failedCount: row.failed_count,
+  firstFailedAt: row.first_failed_at,
+  lastFailedAt: row.last_failed_at,
+  lockedUntil: row.locked_until,
+  isLocked: !!row.locked_until && new Date(row.locked_until) > new Date()
+});
+
+class LoginThrottleService {
+  static getKeys(email, ip) {
+    const keys = [];
+    const account = normalizeEmail(email);
+    if (account) keys.push({ scope: 'account', identifier: account });
+    if (ip) keys.push({ scope: 'ip', identifier: ip });
+    return keys;
+  }
+
+  // Comprobar si se permite un intento de login. Devuelve { allowed: true } o
+  // { allowed: false, code: 'ACCOUNT_LOCKED' | 'LOGIN_THROTTLED', scope, retryAfter }
+  static async check(email, ip) {
+    const keys = this.getKeys(email, ip);
+    if (keys.length === 0) return { allowed: true };
+
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+    const { rows } = await executeQuery(
+      `SELECT * FROM login_throttles WHERE ${keys.map(() => '(scope = ? AND identifier = ?)').join(' OR ')}`,
+      keys.flatMap(key => [key.scope, key.identifier])
+    );
+
+    for (const row of rows) {
+      if (row.locked_until && new Date(row.locked_until) > now) {
+        return { allowed: false, code: 'ACCOUNT_LOCKED', scope: row.scope, retryAfter: secondsUntil(row.locked_until, now) };
+      }
+
+      // El retraso progresivo solo aplica a la cuenta (en una IP compartida fallan usuarios distintos)
+      // y no tras cumplir un bloqueo: el siguiente fallo reinicia la cuenta
+      if (row.scope === 'account' && !row.locked_until && row.last_failed_at && new Date(row.last_failed_at) > windowStart) {
+        const delay = getDelaySeconds(row.failed_count);
+        const nextAttemptAt = new Date(new Date(row.last_failed_at).getTime() + delay * 1000);
+        if (delay > 0 && nextAttemptAt > now) {
+          return { allowed: false, code: 'LOGIN_THROTTLED', scope: row.scope, retryAfter: secondsUntil(nextAttemptAt, now) };
+        }
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Registrar un intento fallido. account ({ email, name }) es la cuenta encontrada, si existe,
+  // para avisar a su dueño cuando se bloquea.
+  static async recordFailure(email, ip, account = null, req = null) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+
+    for (const { scope, identifier } of this.getKeys(email, ip)) {
+      // Reiniciar la cuenta si el último fallo quedó fuera de la ventana o el bloqueo anterior ya expiró
+      await executeQuery(
+        `INSERT INTO login_throttles (id, scope, identifier, failed_count, first_failed_at, last_failed_at)
+         VALUES (?, ?, ?, 1, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           failed_count = IF(last_failed_at < ? OR (locked_until IS NOT NULL AND locked_until <= ?), 1, failed_count + 1),
+           first_failed_at = IF(last_failed_at < ? OR (locked_until IS NOT NULL AND locked_until <= ?), VALUES(first_failed_at), first_failed_at),
+           locked_until = IF(locked_until IS NOT NULL AND locked_until <= ?, NULL, locked_until),
+           last_failed_at = VALUES(last_failed_at)`,
+        [uuidv4(), scope, identifier, now, now, windowStart, now, windowStart, now, now]
+      );
+
+      const maxFailures = scope === 'account' ? MAX_ACCOUNT_FAILURES : MAX_IP_FAILURES;
+
+      // Bloquear solo una vez por racha (la condición evita alertas duplicadas con peticiones simultáneas)
+      const { rows } = await executeQuery(
+        `UPDATE login_throttles SET locked_until = ?
+         WHERE scope = ? AND identifier = ? AND failed_count >= ? AND locked_until IS NULL`,
+        [lockedUntil, scope, identifier, maxFailures]
+      );
+
+      if (rows.affectedRows > 0) {
+        await this.onLocked(scope, identifier, account, req);
+      }
+    }
+  }
+
+  static async onLocked(scope, identifier, account, req) {
+    logger.warn(`Login locked for ${scope} ${identifier} (${LOCKOUT_MINUTES} min)`, { ip: req?.ip });
+
+    await ActivityLogService.logSystemAction('login_locked', 'auth_attempt', null, {
+      scope,
+      identifier,
+      lockoutMinutes: LOCKOUT_MINUTES,
+      ip: req?.ip
+    });
+
+    if (scope === 'account' && account) {
+      // Sin await: el email no debe retrasar la respuesta del login
+      sendSecurityAlert(
+        account.email,
+        account.name,
+        `Cuenta bloqueada ${LOCKOUT_MINUTES} minutos tras ${MAX_ACCOUNT_FAILURES} intentos fallidos de inicio de sesión`,
+        req?.ip || 'desconocida'
+      ).catch(error => logger.error('Security alert email error:', error.message));
+    }
+  }
+
+  // Login correcto: olvidar los fallos de la cuenta (los de la IP se mantienen)
+  static async recordSuccess(email) {
+    await executeQuery(
+      "DELETE FROM login_throttles WHERE scope = 'account' AND identifier = ?",
+      [normalizeEmail(email)]
+    );
+  }
+
+  // Listado para administradores: bloqueos activos o, con includeFailures, también contadores en curso
+  static async list({ scope = null, includeFailures = false, limit = 50, offset = 0 } = {}) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+    const conditions = [];
+    const params = [];
+
+    if (includeFailures) {
+      conditions.push('(locked_until > ? OR last_failed_at >= ?)');
+      params.push(now, windowStart);
+    } else {
+      conditions.push('locked_until > ?');
+      params.push(now);
+    }
+
+    if (scope) {
+      conditions.push('scope = ?');
+      params.push(scope);
+    }
+
+    const { rows } = await executeQuery(
+      `SELECT * FROM login_throttles WHERE ${conditions.join(' AND ')}
+       ORDER BY COALESCE(locked_until, last_failed_at) DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return rows.map(formatThrottle);
+  }
+
+  static async clear(id) {
+    const { rows } = await executeQuery('DELETE FROM login_throttles WHERE id = ?', [id]);
+    return rows.affectedRows > 0;
+  }
+
+  // Borrar contadores viejos sin bloqueo activo
+  static async cleanup() {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+
+    const { rows } = await executeQuery(
+      'DELETE FROM login_throttles WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)',
+      [windowStart, now]
+    );
+    return rows.affectedRows;
+  }
+}
+
+LoginThrottleService.MAX_ACCOUNT_FAILURES = MAX_ACCOUNT_FAILURES;
+LoginThrottleService.LOCKOUT_MINUTES = LOCKOUT_MINUTES;
+
+module.exports = LoginThrottleService;
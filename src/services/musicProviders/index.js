@@ -0,0 +1,37 @@
+// src/services/musicProviders/index.js - Registro de proveedores de música (Spotify, biblioteca local...)
+//
+// Cada proveedor es una clase con métodos estáticos:
+//   normalizeExternalId(value)  -> id normalizado o lanza Error si no es válido
+//   play(restaurantId, song)    -> { device?, stream? } si empezó a sonar, { skipped } si el proveedor
+//                                  no está configurado o { failure: { code, message } } si no pudo reproducir
+//   describeError(error)        -> { code, message } para errores lanzados por play()
+const SpotifyProvider = require('./spotifyProvider');
+const LocalLibraryProvider = require('./localLibraryProvider');
+
+const PROVIDERS = {
+  spotify: SpotifyProvider,
+  local: LocalLibraryProvider
+};
+
+const DEFAULT_PROVIDER = 'local';
+
+class MusicProviders {
+  static getProvider(name) {
+    return PROVIDERS[name] || null;
+  }
+
+  static isValidProvider(name) {
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+  }
+
+  // Proveedor por defecto para canciones sin proveedor explícito
+  static resolveProviderName(song) {
+    if (song.provider) return song.provider;
+    return song.spotifyId ? 'spotify' : DEFAULT_PROVIDER;
+  }
+}
+
+MusicProviders.PROVIDER_NAMES = Object.keys(PROVIDERS);
+MusicProviders.DEFAULT_PROVIDER = DEFAULT_PROVIDER;
+
+module.exports = MusicProviders;
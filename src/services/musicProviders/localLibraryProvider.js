@@ -0,0 +1,79 @@
+// src/services/musicProviders/localLibraryProvider.js - Archivos de audio propios del restaurante
+//
+// external_id es una ruta relativa dentro de LOCAL_MUSIC_DIR/<restaurantId>/ (p.ej. "rock/cancion.mp3")
+// o una URL http(s) de un archivo alojado fuera. El reproductor del dashboard recibe la URL del
+// audio en el evento playback.started y lo reproduce él mismo.
+const fs = require('fs');
+const path = require('path');
+
+const LOCAL_MUSIC_DIR = path.resolve(process.env.LOCAL_MUSIC_DIR || './media/music');
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.aac', '.ogg', '.oga', '.opus', '.wav', '.flac', '.webm'];
+
+const isUrl = (value) => /^https?:\/\//i.test(value);
+
+class LocalLibraryProvider {
+  static normalizeExternalId(value) {
+    const text = String(value || '').trim();
+
+    if (isUrl(text)) {
+      try {
+        return new URL(text).toString();
+      } catch (error) {
+        throw new Error('Invalid audio file URL');
+      }
+    }
+
+    // Rutas relativas sin salir de la carpeta del restaurante
+    const normalized = path.posix.normalize(text.replace(/\\/g, '/'));
+    if (!normalized || normalized.startsWith('/') || normalized.startsWith('..') || normalized.includes('\0')) {
+      throw new Error('Audio file must be a relative path inside the music library');
+    }
+    if (!AUDIO_EXTENSIONS.includes(path.extname(normalized).toLowerCase())) {
+      throw new Error(`Audio file must be one of: ${AUDIO_EXTENSIONS.join(', ')}`);
+    }
+
+    return normalized;
+  }
+
+  // Ruta absoluta del archivo, o null si external_id es una URL o sale de la biblioteca
+  static resolveFile(restaurantId, externalId) {
+    if (!externalId || isUrl(externalId)) return null;
+
+    const baseDir = path.join(LOCAL_MUSIC_DIR, String(restaurantId));
+    const filePath = path.resolve(baseDir, externalId);
+
+    return filePath.startsWith(baseDir + path.sep) ? filePath : null;
+  }
+
+  // URL desde la que el dashboard puede reproducir la canción
+  static getStreamUrl(song) {
+    if (isUrl(song.externalId)) return song.externalId;
+    return `/api/v1/songs/admin/catalog/${song.id}/audio`;
+  }
+
+  static async play(restaurantId, song) {
+    if (!song.externalId) {
+      return { failure: { code: 'LOCAL_FILE_MISSING', message: `"${song.title}" has no audio file linked` } };
+    }
+
+    if (!isUrl(song.externalId)) {
+      const filePath = this.resolveFile(restaurantId, song.externalId);
+
+      try {
+        await fs.promises.access(filePath || '', fs.constants.R_OK);
+      } catch (error) {
+        return { failure: { code: 'LOCAL_FILE_NOT_FOUND', message: `Audio file for "${song.title}" was not found in the music library` } };
+      }
+    }
+
+    return { stream: { url: this.getStreamUrl(song) } };
+  }
+
+  static describeError(error) {
+    return { code: 'LOCAL_PLAYBACK_FAILED', message: error.message };
+  }
+}
+
+LocalLibraryProvider.LOCAL_MUSIC_DIR = LOCAL_MUSIC_DIR;
+
+module.exports = LocalLibraryProvider;
@@ -0,0 +1,72 @@
+// src/services/musicProviders/spotifyProvider.js - Reproducción en un dispositivo Spotify Connect
+const SpotifyToken = require('../../models/SpotifyToken');
+const SpotifyService = require('../spotifyService');
+const SpotifyPlaybackService = require('../spotifyPlaybackService');
+
+// ID de canción de Spotify (base62, 22 caracteres)
+const TRACK_ID_REGEX = /^[A-Za-z0-9]{22}$/;
+
+class SpotifyProvider {
+  // Acepta el ID, la URI (spotify:track:...) o el enlace (open.spotify.com/track/...)
+  static normalizeExternalId(value) {
+    const text = String(value || '').trim();
+    const match = /^spotify:track:([A-Za-z0-9]+)$/.exec(text) ||
+      /^https?:\/\/open\.spotify\.com\/(?:intl-[a-z-]+\/)?track\/([A-Za-z0-9]+)/.exec(text);
+    const id = match ? match[1] : text;
+
+    if (!TRACK_ID_REGEX.test(id)) {
+      throw new Error('Invalid Spotify track ID');
+    }
+    return id;
+  }
+
+  static getTrackUri(song) {
+    return song.externalId ? `spotify:track:${song.externalId}` : null;
+  }
+
+  static async play(restaurantId, song) {
+    // Restaurantes sin Spotify conectado no usan esta integración
+    const token = await SpotifyToken.findByRestaurantId(restaurantId);
+    if (!token) {
+      return { skipped: 'SPOTIFY_NOT_CONNECTED' };
+    }
+
+    if (!song.externalId) {
+      return { failure: { code: 'SPOTIFY_TRACK_MISSING', message: `"${song.title}" has no Spotify track linked` } };
+    }
+
+    const device = await SpotifyPlaybackService.getDevice(restaurantId);
+    if (!device) {
+      return { failure: { code: 'SPOTIFY_DEVICE_NOT_SELECTED', message: 'No Spotify device selected for playback' } };
+    }
+
+    await SpotifyService.playSong(device.id, this.getTrackUri(song), restaurantId);
+
+    return { device };
+  }
+
+  // Traducir errores de la API de Spotify a un código y mensaje para el dashboard
+  static describeError(error) {
+    const status = error.response?.status;
+    const reason = error.response?.data?.error?.reason;
+
+    if (error.message === 'Conexión de Spotify revocada') {
+      return { code: 'SPOTIFY_TOKEN_REVOKED', message: 'Spotify access was revoked, please reconnect' };
+    }
+    if (error.message === 'Token inválido' || status === 401) {
+      return { code: 'SPOTIFY_TOKEN_INVALID', message: 'Spotify connection is no longer valid, please reconnect' };
+    }
+    if (reason === 'NO_ACTIVE_DEVICE' || status === 404) {
+      return { code: 'SPOTIFY_DEVICE_UNAVAILABLE', message: 'The selected Spotify device is not available' };
+    }
+    if (reason === 'PREMIUM_REQUIRED' || status === 403) {
+      return { code: 'SPOTIFY_PLAYBACK_FORBIDDEN', message: 'Spotify rejected playback (Premium account required)' };
+    }
+    if (status === 429) {
+      return { code: 'SPOTIFY_RATE_LIMITED', message: 'Spotify rate limit reached' };
+    }
+    return { code: 'SPOTIFY_PLAYBACK_FAILED', message: error.response?.data?.error?.message || error.message };
+  }
+}
+
+module.exports = SpotifyProvider;
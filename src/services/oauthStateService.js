@@ -0,0 +1,55 @@
+// src/services/oauthStateService.js - Parámetro "state" firmado y de un solo uso para flujos OAuth
+const crypto = require('crypto');
+const { AuthToken } = require('../models');
+
+// Tiempo máximo para completar la autorización en el proveedor
+const STATE_TTL_MINUTES = 10;
+
+const getSecret = () => process.env.TOKEN_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+const sign = (nonce) => crypto.createHmac('sha256', getSecret()).update(nonce).digest('hex');
+
+class OAuthStateService {
+  // Crear un state para el restaurante y guardarlo (hasheado) en auth_tokens
+  static async create(restaurantId, tokenType, req = null) {
+    const nonce = crypto.randomBytes(24).toString('hex');
+    const expiresAt = new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000);
+
+    await AuthToken.create({
+      userId: restaurantId,
+      userType: 'restaurant',
+      token: nonce,
+      tokenType,
+      expiresAt,
+      ipAddress: req?.ip || null,
+      userAgent: req?.get('User-Agent') || null
+    });
+
+    return { state: `${nonce}.${sign(nonce)}`, expiresAt };
+  }
+
+  // Validar y consumir el state recibido en el callback.
+  // Devuelve el restaurantId que lo generó o null si es falso, ha expirado o ya se usó.
+  static async consume(state, tokenType) {
+    const [nonce, signature] = String(state || '').split('.');
+    if (!nonce || !signature) return null;
+
+    const expected = Buffer.from(sign(nonce));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    const token = await AuthToken.findByToken(nonce, tokenType);
+    if (!token || token.userType !== 'restaurant' || !token.isValid()) {
+      return null;
+    }
+
+    const consumed = await token.consume();
+    return consumed ? token.userId : null;
+  }
+}
+
+OAuthStateService.STATE_TTL_MINUTES = STATE_TTL_MINUTES;
+
+module.exports = OAuthStateService;
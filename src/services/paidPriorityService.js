@@ -0,0 +1,302 @@
+// src/services/paidPriorityService.js - Peticiones prioritarias de pago ("saltar la cola")
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { RestaurantSettings } = require('../models');
+const { logger } = require('../utils/logger');
+const PaymentProviders = require('./paymentProviders');
+const QueueEventsService = require('./queueEventsService');
+
+// Configuración guardada en restaurant_settings
+const PAID_PRIORITY_KEYS = {
+  enabled: 'paid_priority_enabled',
+  price: 'paid_priority_price',
+  currency: 'paid_priority_currency',
+  maxInRow: 'paid_priority_max_in_row'
+};
+
+const DEFAULT_PAID_PRIORITY = {
+  enabled: false,
+  price: 0,
+  currency: 'COP',
+  maxInRow: 3 // prioritarias seguidas antes de dejar pasar una petición normal
+};
+
+const MAX_PRICE = 10000000;
+const MAX_IN_ROW = 20;
+const CURRENCY_REGEX = /^[A-Z]{3}$/;
+
+const roundAmount = (value) => Math.round(parseFloat(value) * 100) / 100;
+
+// El token de pago hace de clave de idempotencia; se guarda solo su hash
+const hashPaymentToken = (paymentToken) =>
+  crypto.createHash('sha256').update(String(paymentToken)).digest('hex');
+
+const formatPayment = (row) => ({
+  id: row.id,
+  requestId: row.request_id || null,
+  status: row.status,
+  amount: roundAmount(row.amount),
+  currency: row.currency,
+  failureReason: row.failure_reason || null
+});
+
+class PaidPriorityService {
+  // Devuelve un mensaje de error o null si la configuración recibida (camelCase) es válida
+  static validateSettings(settings) {
+    if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+      return 'Paid priority enabled must be a boolean';
+    }
+    if (settings.price !== undefined && !(typeof settings.price === 'number' && settings.price > 0 && settings.price <= MAX_PRICE)) {
+      return `Paid priority price must be greater than 0 and at most ${MAX_PRICE}`;
+    }
+    if (settings.currency !== undefined && !CURRENCY_REGEX.test(settings.currency)) {
+      return 'Paid priority currency must be a 3-letter ISO code';
+    }
+    if (settings.maxInRow !== undefined && !(Number.isInteger(settings.maxInRow) && settings.maxInRow >= 1 && settings.maxInRow <= MAX_IN_ROW)) {
+      return `Paid priority max in a row must be between 1 and ${MAX_IN_ROW}`;
+    }
+
+    return null;
+  }
+
+  static async getSettings(restaurantId) {
+    const settings = await RestaurantSettings.getByRestaurant(restaurantId);
+    const config = { ...DEFAULT_PAID_PRIORITY };
+
+    const price = parseFloat(settings[PAID_PRIORITY_KEYS.price]);
+    if (price > 0 && price <= MAX_PRICE) {
+      config.price = roundAmount(price);
+    }
+
+    if (CURRENCY_REGEX.test(settings[PAID_PRIORITY_KEYS.currency] || '')) {
+      config.currency = settings[PAID_PRIORITY_KEYS.currency];
+    }
+
+    const maxInRow = parseInt(settings[PAID_PRIORITY_KEYS.maxInRow]);
+    if (maxInRow >= 1 && maxInRow <= MAX_IN_ROW) {
+      config.maxInRow = maxInRow;
+    }
+
+    // Sin precio no se puede activar
+    config.enabled = settings[PAID_PRIORITY_KEYS.enabled] === 'true' && config.price > 0;
+
+    return config;
+  }
+
+  // Guardar solo los campos recibidos (en camelCase)
+  static async setSettings(restaurantId, settings) {
+    const error = this.validateSettings(settings);
+    if (error) {
+      throw new Error(error);
+    }
+
+    if (settings.enabled === true && settings.price === undefined) {
+      const current = await this.getSettings(restaurantId);
+      if (current.price <= 0) {
+        throw new Error('Set a price before enabling paid priority');
+      }
+    }
+
+    const values = {};
+    if (settings.enabled !== undefined) values[PAID_PRIORITY_KEYS.enabled] = String(settings.enabled);
+    if (settings.price !== undefined) values[PAID_PRIORITY_KEYS.price] = String(roundAmount(settings.price));
+    if (settings.currency !== undefined) values[PAID_PRIORITY_KEYS.currency] = settings.currency;
+    if (settings.maxInRow !== undefined) values[PAID_PRIORITY_KEYS.maxInRow] = String(settings.maxInRow);
+
+    if (Object.keys(values).length > 0) {
+      await RestaurantSettings.setMultiple(restaurantId, values);
+    }
+
+    return this.getSettings(restaurantId);
+  }
+
+  static isProviderAvailable() {
+    const provider = PaymentProviders.getActiveProvider();
+    return !!provider && provider.isAvailable();
+  }
+
+  // Las prioritarias van delante de las normales, pero nunca más de maxInRow seguidas mientras
+  // queden normales esperando. Entre ellas, y entre las normales, se respeta el orden recibido.
+  static priorityOrder(requests, maxInRow) {
+    const priority = requests.filter(request => request.is_priority);
+    if (priority.length === 0) return requests;
+
+    const normal = requests.filter(request => !request.is_priority);
+    const ordered = [];
+
+    while (priority.length > 0) {
+      ordered.push(...priority.splice(0, maxInRow));
+      if (normal.length > 0) ordered.push(normal.shift());
+    }
+
+    return [...ordered, ...normal];
+  }
+
+  // Cobro ya hecho (o en curso) con este token de pago, si lo hay
+  static async findByPaymentToken(restaurantId, paymentToken) {
+    const { rows } = await executeQuery(
+      `SELECT id, request_id, status, amount, currency, failure_reason
+       FROM request_payments WHERE restaurant_id = ? AND idempotency_key = ?`,
+      [restaurantId, hashPaymentToken(paymentToken)]
+    );
+
+    return rows.length > 0 ? formatPayment(rows[0]) : null;
+  }
+
+  // Cobrar la prioridad con el proveedor activo. Se guarda también si falla, para tener el rastro.
+  // El token de pago solo se cobra una vez: si ya se usó devuelve ese cobro con duplicate: true.
+  // Devuelve { id, requestId, status, amount, currency, failureReason, duplicate }
+  static async charge(restaurantId, settings, { userId, paymentToken, song }) {
+    const providerName = PaymentProviders.getActiveProviderName();
+    const provider = PaymentProviders.getProvider(providerName);
+
+    if (!provider || !provider.isAvailable()) {
+      throw new Error('Payment provider not available');
+    }
+
+    // Reservar el token antes de llamar al proveedor: dos reintentos a la vez no cobran dos veces
+    const paymentId = uuidv4();
+    try {
+      await executeQuery(
+        `INSERT INTO request_payments (
+          id, restaurant_id, user_id, provider, idempotency_key, amount, currency, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        [paymentId, restaurantId, userId, providerName, hashPaymentToken(paymentToken), settings.price, settings.currency]
+      );
+    } catch (error) {
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+
+      const existing = await this.findByPaymentToken(restaurantId, paymentToken);
+      return { ...existing, duplicate: true };
+    }
+
+    let result;
+    try {
+      result = await provider.charge({
+        amount: settings.price,
+        currency: settings.currency,
+        paymentToken,
+        description: `Priority request: ${song.title} - ${song.artist}`,
+        metadata: { restaurantId, userId, songId: song.id }
+      });
+    } catch (error) {
+      logger.error('Priority payment error:', { restaurantId, provider: providerName, error: error.message });
+      result = { status: 'failed', failureReason: 'Payment provider error' };
+    }
+
+    const status = result.status === 'succeeded' ? 'succeeded' : 'failed';
+
+    await executeQuery(
+      `UPDATE request_payments SET status = ?, provider_payment_id = ?, failure_reason = ?
+       WHERE id = ?`,
+      [status, result.providerPaymentId || null, result.failureReason || null, paymentId]
+    );
+
+    if (status === 'succeeded') {
+      logger.info(`Priority payment ${paymentId}: ${settings.price} ${settings.currency} for restaurant ${restaurantId}`);
+    }
+
+    return {
+      id: paymentId,
+      requestId: null,
+      status,
+      amount: settings.price,
+      currency: settings.currency,
+      failureReason: result.failureReason || null,
+      duplicate: false
+    };
+  }
+
+  // Reembolsar un cobro. Nunca lanza: la cancelación no debe fallar por el reembolso.
+  // Devuelve { status: 'refunded' | 'refund_failed', amount, currency } o null si no había nada que reembolsar.
+  static async refundPayment(paymentId, reason) {
+    try {
+      const { rows } = await executeQuery(
+        `SELECT id, restaurant_id, request_id, user_id, provider, provider_payment_id, amount, currency
+         FROM request_payments WHERE id = ? AND status = 'succeeded'`,
+        [paymentId]
+      );
+
+      const payment = rows[0];
+      if (!payment) return null;
+
+      // Reservar el reembolso antes de llamar al proveedor para no reembolsar dos veces
+      const { rows: claim } = await executeQuery(
+        `UPDATE request_payments SET status = 'refunded', refund_reason = ?, refunded_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'succeeded'`,
+        [reason, payment.id]
+      );
+      if (!claim || claim.affectedRows === 0) return null;
+
+      const provider = PaymentProviders.getProvider(payment.provider);
+      let result;
+      try {
+        result = provider
+          ? await provider.refund({
+            providerPaymentId: payment.provider_payment_id,
+            amount: parseFloat(payment.amount),
+            currency: payment.currency
+          })
+          : { status: 'failed', failureReason: `Unknown payment provider ${payment.provider}` };
+      } catch (error) {
+        result = { status: 'failed', failureReason: error.message };
+      }
+
+      const refunded = result.status === 'succeeded';
+
+      if (refunded) {
+        await executeQuery(
+          'UPDATE request_payments SET provider_refund_id = ? WHERE id = ?',
+          [result.providerRefundId || null, payment.id]
+        );
+        logger.info(`Priority payment ${payment.id} refunded (${reason})`);
+      } else {
+        await executeQuery(
+          `UPDATE request_payments SET status = 'refund_failed', failure_reason = ?, refunded_at = NULL
+           WHERE id = ?`,
+          [result.failureReason || 'Refund failed', payment.id]
+        );
+        logger.error(`Priority payment ${payment.id} refund failed:`, result.failureReason);
+      }
+
+      const refund = {
+        status: refunded ? 'refunded' : 'refund_failed',
+        amount: roundAmount(payment.amount),
+        currency: payment.currency
+      };
+
+      QueueEventsService.publish(payment.restaurant_id, 'request.refunded', {
+        requestId: payment.request_id,
+        userId: payment.user_id,
+        reason,
+        ...refund
+      });
+
+      return refund;
+    } catch (error) {
+      logger.error('Priority refund error:', { paymentId, error: error.message });
+      return null;
+    }
+  }
+
+  // Reembolsar la prioridad pagada de una petición, si la tiene
+  static async refundForRequest(requestId, reason) {
+    try {
+      const { rows } = await executeQuery(
+        'SELECT id FROM request_payments WHERE request_id = ? AND status = \'succeeded\'',
+        [requestId]
+      );
+
+      return rows.length > 0 ? await this.refundPayment(rows[0].id, reason) : null;
+    } catch (error) {
+      logger.error('Priority refund error:', { requestId, error: error.message });
+      return null;
+    }
+  }
+}
+
+PaidPriorityService.MAX_PRICE = MAX_PRICE;
+PaidPriorityService.MAX_IN_ROW = MAX_IN_ROW;
+
+module.exports = PaidPriorityService;
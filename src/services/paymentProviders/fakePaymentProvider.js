@@ -0,0 +1,44 @@
+// src/services/paymentProviders/fakePaymentProvider.js - Proveedor de pagos simulado (desarrollo y pruebas)
+//
+// No mueve dinero: aprueba cualquier cobro salvo los tokens de prueba de abajo. En producción solo
+// está disponible con ALLOW_FAKE_PAYMENTS=true, para que nadie salte la cola gratis por error.
+const { v4: uuidv4 } = require('uuid');
+
+// Tokens de prueba para simular fallos
+const DECLINED_TOKEN = 'fake_declined';
+const REFUND_FAILS_TOKEN = 'fake_refund_fails';
+
+// El comportamiento del reembolso va en el propio ID para no guardar estado entre reinicios
+const PAYMENT_PREFIX = 'fake_pay_';
+const NO_REFUND_PREFIX = 'fake_pay_norefund_';
+
+class FakePaymentProvider {
+  static isAvailable() {
+    return process.env.NODE_ENV !== 'production' || process.env.ALLOW_FAKE_PAYMENTS === 'true';
+  }
+
+  static async charge({ paymentToken }) {
+    if (paymentToken === DECLINED_TOKEN) {
+      return { status: 'failed', failureReason: 'Card declined' };
+    }
+
+    const prefix = paymentToken === REFUND_FAILS_TOKEN ? NO_REFUND_PREFIX : PAYMENT_PREFIX;
+    return { status: 'succeeded', providerPaymentId: `${prefix}${uuidv4()}` };
+  }
+
+  static async refund({ providerPaymentId }) {
+    if (!providerPaymentId || !providerPaymentId.startsWith(PAYMENT_PREFIX)) {
+      return { status: 'failed', failureReason: 'Unknown payment' };
+    }
+    if (providerPaymentId.startsWith(NO_REFUND_PREFIX)) {
+      return { status: 'failed', failureReason: 'Refund rejected by provider' };
+    }
+
+    return { status: 'succeeded', providerRefundId: `fake_refund_${uuidv4()}` };
+  }
+}
+
+FakePaymentProvider.DECLINED_TOKEN = DECLINED_TOKEN;
+FakePaymentProvider.REFUND_FAILS_TOKEN = REFUND_FAILS_TOKEN;
+
+module.exports = FakePaymentProvider;
@@ -0,0 +1,37 @@
+// src/services/paymentProviders/index.js - Registro de proveedores de pago para las peticiones prioritarias
+//
+// Cada proveedor es una clase con métodos estáticos:
+//   isAvailable()                                   -> false si no está configurado en este entorno
+//   charge({ amount, currency, paymentToken, description, metadata })
+//                                                   -> { status: 'succeeded', providerPaymentId }
+//                                                      o { status: 'failed', failureReason }
+//   refund({ providerPaymentId, amount, currency }) -> { status: 'succeeded', providerRefundId }
+//                                                      o { status: 'failed', failureReason }
+// Los errores de red o del proveedor pueden lanzarse; quien llama los trata como un fallo.
+const FakePaymentProvider = require('./fakePaymentProvider');
+
+const PROVIDERS = {
+  fake: FakePaymentProvider
+};
+
+const DEFAULT_PROVIDER = 'fake';
+
+class PaymentProviders {
+  static getProvider(name) {
+    return PROVIDERS[name] || null;
+  }
+
+  // Proveedor configurado con PAYMENT_PROVIDER
+  static getActiveProviderName() {
+    return process.env.PAYMENT_PROVIDER || DEFAULT_PROVIDER;
+  }
+
+  static getActiveProvider() {
+    return this.getProvider(this.getActiveProviderName());
+  }
+}
+
+PaymentProviders.PROVIDER_NAMES = Object.keys(PROVIDERS);
+PaymentProviders.DEFAULT_PROVIDER = DEFAULT_PROVIDER;
+
+module.exports = PaymentProviders;
@@ -0,0 +1,220 @@
+// src/services/playbackScheduler.js - Avance automático de la cola para restaurantes con auto_play
+const { executeQuery, executeTransaction } = require('../config/database');
+const { logger } = require('../utils/logger');
+const QueueEventsService = require('./queueEventsService');
+const WaitTimeService = require('./waitTimeService');
+const PlaybackService = require('./playbackService');
+const ListeningHistoryService = require('./listeningHistoryService');
+const DjAssistService = require('./djAssistService');
+
+// Timers activos por restaurante: restaurantId -> Timeout
+const timers = new Map();
+// Sincronizaciones en curso por restaurante, para no avanzar la cola dos veces a la vez
+const running = new Map();
+
+// Duración de una canción en milisegundos
+const getDurationMs = (duration) => WaitTimeService.getSongDurationSeconds(duration) * 1000;
+
+class PlaybackScheduler {
+  // Reconstruir el estado al iniciar el servidor a partir de started_playing_at
+  static async start() {
+    try {
+      const { rows } = await executeQuery(
+        'SELECT id FROM restaurants WHERE auto_play = true AND is_active = true'
+      );
+
+      await Promise.all(rows.map(row => this.sync(row.id)));
+
+      logger.info(`Playback scheduler started for ${rows.length} restaurants with auto_play`);
+    } catch (error) {
+      logger.error('Error starting playback scheduler:', error.message);
+    }
+  }
+
+  // Cancelar todos los timers (apagado del servidor)
+  static stop() {
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  }
+
+  // Revisar la cola de un restaurante y programar el siguiente avance.
+  // Se encadena por restaurante para que llamadas simultáneas no se pisen.
+  static sync(restaurantId) {
+    const previous = running.get(restaurantId) || Promise.resolve();
+    const next = previous
+      .then(() => this.advance(restaurantId))
+      .catch((error) => {
+        logger.error('Playback scheduler sync error:', { restaurantId, error: error.message });
+        return null;
+      });
+
+    running.set(restaurantId, next);
+    next.then(() => {
+      if (running.get(restaurantId) === next) running.delete(restaurantId);
+    });
+
+    return next;
+  }
+
+  static async advance(restaurantId) {
+    this.clearTimer(restaurantId);
+
+    const { rows: restaurantRows } = await executeQuery(
+      'SELECT id, auto_play, is_active FROM restaurants WHERE id = ?',
+      [restaurantId]
+    );
+
+    if (restaurantRows.length === 0 || !restaurantRows[0].auto_play || !restaurantRows[0].is_active) {
+      return null;
+    }
+
+    // Canción que está sonando (si la hay)
+    const { rows: playingRows } = await executeQuery(
+      `SELECT r.id, r.restaurant_id, r.user_id, r.user_table, r.queue_position, r.started_playing_at, r.is_house_pick,
+              s.id as song_id, s.title, s.artist, s.duration
+       FROM requests r
+       JOIN songs s ON r.song_id = s.id
+       WHERE r.restaurant_id = ? AND r.status = 'playing'
+       ORDER BY r.started_playing_at ASC
+       LIMIT 1`,
+      [restaurantId]
+    );
+
+    if (playingRows.length > 0) {
+      const current = playingRows[0];
+      const startedAt = current.started_playing_at ? new Date(current.started_playing_at).getTime() : Date.now();
+      const remainingMs = startedAt + getDurationMs(current.duration) - Date.now();
+
+      if (remainingMs > 0) {
+        this.schedule(restaurantId, remainingMs);
+        return current;
+      }
+
+      await this.complete(current);
+    }
+
+    // Si la cola se queda corta, el DJ asistente sugiere o añade canciones de la casa
+    await DjAssistService.checkQueue(restaurantId);
+
+    const next = await this.promoteNext(restaurantId);
+    if (next) {
+      this.schedule(restaurantId, getDurationMs(next.duration));
+    }
+
+    return next;
+  }
+
+  // Marcar como completada la canción actual y recalcular posiciones
+  static async complete(request) {
+    await executeTransaction([
+      {
+        query: `UPDATE requests SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status = 'playing'`,
+        params: [request.id]
+      },
+      {
+        query: `UPDATE requests
+                SET queue_position = queue_position - 1
+                WHERE restaurant_id = ? AND status = 'pending' AND queue_position > ?`,
+        params: [request.restaurant_id, request.queue_position]
+      }
+    ]);
+
+    logger.info(`Auto play completed: ${request.title} by ${request.artist}`);
+
+    await ListeningHistoryService.recordCompletedRequest(request.id);
+
+    QueueEventsService.publish(request.restaurant_id, 'request.status_changed', {
+      requestId: request.id,
+      userId: request.user_id,
+      tableNumber: request.user_table,
+      previousStatus: 'playing',
+      status: 'completed',
+      automatic: true,
+      housePick: !!request.is_house_pick,
+      song: {
+        title: request.title,
+        artist: request.artist
+      }
+    });
+  }
+
+  // Pasar a "playing" la siguiente petición pendiente
+  static async promoteNext(restaurantId) {
+    const { rows: pendingRows } = await executeQuery(
+      `SELECT r.id, r.restaurant_id, r.user_id, r.user_table, r.queue_position, r.is_house_pick,
+              s.id as song_id, s.title, s.artist, s.duration
+       FROM requests r
+       JOIN songs s ON r.song_id = s.id
+       WHERE r.restaurant_id = ? AND r.status = 'pending'
+       ORDER BY r.queue_position ASC, r.requested_at ASC
+       LIMIT 1`,
+      [restaurantId]
+    );
+
+    if (pendingRows.length === 0) {
+      return null;
+    }
+
+    const next = pendingRows[0];
+
+    const { rows: result } = await executeQuery(
+      `UPDATE requests SET status = 'playing', started_playing_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [next.id]
+    );
+
+    // Otra operación la movió antes que nosotros
+    if (!result || result.affectedRows === 0) {
+      return null;
+    }
+
+    next.started_playing_at = new Date();
+
+    logger.info(`Auto play started: ${next.title} by ${next.artist}`);
+
+    QueueEventsService.publish(restaurantId, 'request.status_changed', {
+      requestId: next.id,
+      userId: next.user_id,
+      tableNumber: next.user_table,
+      previousStatus: 'pending',
+      status: 'playing',
+      automatic: true,
+      housePick: !!next.is_house_pick,
+      song: {
+        id: next.song_id,
+        title: next.title,
+        artist: next.artist
+      }
+    });
+
+    // Reproducir la canción con su proveedor (los fallos se notifican al dashboard)
+    await PlaybackService.playRequest(restaurantId, next.id);
+
+    return next;
+  }
+
+  static schedule(restaurantId, delayMs) {
+    this.clearTimer(restaurantId);
+
+    const timer = setTimeout(() => {
+      timers.delete(restaurantId);
+      this.sync(restaurantId);
+    }, Math.max(delayMs, 1000));
+
+    // No mantener vivo el proceso solo por el scheduler
+    if (timer.unref) timer.unref();
+
+    timers.set(restaurantId, timer);
+  }
+
+  static clearTimer(restaurantId) {
+    const timer = timers.get(restaurantId);
+    if (timer) {
+      clearTimeout(timer);
+      timers.delete(restaurantId);
+    }
+  }
+}
+
+module.exports = PlaybackScheduler;
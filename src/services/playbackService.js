@@ -0,0 +1,104 @@
+// src/services/playbackService.js - Reproducir la canción que pasa a "playing" con su proveedor
+const { RestaurantSettings, Song } = require('../models');
+const { executeQuery } = require('../config/database');
+const { logger } = require('../utils/logger');
+const MusicProviders = require('./musicProviders');
+const QueueEventsService = require('./queueEventsService');
+
+// Último fallo de reproducción en restaurant_settings
+const LAST_ERROR_KEY = 'playback_last_error';
+
+class PlaybackService {
+  static async getLastError(restaurantId) {
+    const setting = await RestaurantSettings.getByRestaurantAndKey(restaurantId, LAST_ERROR_KEY);
+    if (!setting || !setting.settingValue) return null;
+
+    try {
+      return JSON.parse(setting.settingValue);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Registrar el fallo y avisar al dashboard por la cola en tiempo real
+  static async reportFailure(restaurantId, requestId, failure) {
+    const error = { ...failure, requestId, at: new Date().toISOString() };
+
+    logger.warn('Playback failed:', { restaurantId, ...error });
+
+    try {
+      await RestaurantSettings.set(restaurantId, LAST_ERROR_KEY, JSON.stringify(error));
+    } catch (settingError) {
+      logger.error('Error saving playback error:', settingError.message);
+    }
+
+    QueueEventsService.publish(restaurantId, 'playback.failed', error);
+    return { pushed: false, error };
+  }
+
+  // Reproducir la canción de una petición que pasó a "playing" con el proveedor de la canción.
+  // Nunca lanza: devuelve { pushed, provider, skipped?, error? } para que el llamador lo informe.
+  static async playRequest(restaurantId, requestId) {
+    let provider = null;
+
+    try {
+      const { rows } = await executeQuery(
+        `SELECT r.id as request_id, s.*
+         FROM requests r
+         JOIN songs s ON r.song_id = s.id
+         WHERE r.id = ? AND r.restaurant_id = ?`,
+        [requestId, restaurantId]
+      );
+
+      if (rows.length === 0) {
+        return { pushed: false, skipped: 'REQUEST_NOT_FOUND' };
+      }
+
+      const song = new Song(rows[0]);
+      provider = MusicProviders.getProvider(song.provider);
+
+      if (!provider) {
+        return this.reportFailure(restaurantId, requestId, {
+          code: 'PROVIDER_NOT_SUPPORTED',
+          message: `Music provider "${song.provider}" is not supported`
+        });
+      }
+
+      const result = await provider.play(restaurantId, song);
+
+      if (result.skipped) {
+        return { pushed: false, provider: song.provider, skipped: result.skipped };
+      }
+      if (result.failure) {
+        return this.reportFailure(restaurantId, requestId, { ...result.failure, provider: song.provider });
+      }
+
+      // Limpiar el último error tras una reproducción correcta
+      await RestaurantSettings.delete(restaurantId, LAST_ERROR_KEY);
+
+      logger.info(`Playback started (${song.provider}): ${song.title} by ${song.artist}`);
+
+      QueueEventsService.publish(restaurantId, 'playback.started', {
+        requestId,
+        provider: song.provider,
+        device: result.device,
+        stream: result.stream,
+        song: {
+          id: song.id,
+          title: song.title,
+          artist: song.artist,
+          externalId: song.externalId
+        }
+      });
+
+      return { pushed: true, provider: song.provider, device: result.device, stream: result.stream };
+    } catch (error) {
+      const failure = provider
+        ? provider.describeError(error)
+        : { code: 'PLAYBACK_FAILED', message: error.message };
+      return this.reportFailure(restaurantId, requestId, failure);
+    }
+  }
+}
+
+module.exports = PlaybackService;
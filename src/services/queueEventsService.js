@@ -0,0 +1,87 @@
+// src/services/queueEventsService.js - Canal en tiempo real (SSE) para la cola de peticiones
+const { logger } = require('../utils/logger');
+
+// Intervalo de heartbeat para mantener vivas las conexiones detrás de proxies
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 25000;
+
+// Suscriptores por restaurante: restaurantId -> Set<{ res, filter }>
+// Nota: el estado vive en memoria del proceso; con varias instancias haría falta un broker compartido
+const subscribers = new Map();
+
+class QueueEventsService {
+  // Registrar una conexión SSE para un restaurante
+  // filter: función opcional (event, payload) => boolean para limitar lo que recibe el cliente
+  static subscribe(restaurantId, req, res, filter = null) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const subscriber = { res, filter };
+
+    if (!subscribers.has(restaurantId)) {
+      subscribers.set(restaurantId, new Set());
+    }
+    subscribers.get(restaurantId).add(subscriber);
+
+    // Evento inicial para que el cliente sepa que la suscripción está activa
+    this.send(res, 'connected', { restaurantId, timestamp: new Date().toISOString() });
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      const set = subscribers.get(restaurantId);
+      if (set) {
+        set.delete(subscriber);
+        if (set.size === 0) subscribers.delete(restaurantId);
+      }
+      logger.debug(`Queue events subscriber disconnected from restaurant ${restaurantId}`);
+    });
+
+    logger.debug(`Queue events subscriber connected to restaurant ${restaurantId}`);
+  }
+
+  // Publicar un evento a todos los suscriptores del restaurante
+  static publish(restaurantId, event, payload = {}) {
+    const set = subscribers.get(restaurantId);
+    if (!set || set.size === 0) return 0;
+
+    let delivered = 0;
+    for (const subscriber of set) {
+      try {
+        if (subscriber.filter && !subscriber.filter(event, payload)) continue;
+        this.send(subscriber.res, event, payload);
+        delivered++;
+      } catch (error) {
+        // No interrumpir el flujo principal por un cliente caído
+        logger.warn('Error sending queue event:', { restaurantId, event, error: error.message });
+      }
+    }
+
+    return delivered;
+  }
+
+  // Escribir un evento en formato SSE
+  static send(res, event, payload) {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify({ ...payload, timestamp: payload.timestamp || new Date().toISOString() })}\n\n`);
+  }
+
+  // Número de conexiones abiertas (para debugging/monitoreo)
+  static getSubscriberCount(restaurantId = null) {
+    if (restaurantId) {
+      return subscribers.has(restaurantId) ? subscribers.get(restaurantId).size : 0;
+    }
+    let total = 0;
+    for (const set of subscribers.values()) total += set.size;
+    return total;
+  }
+}
+
+module.exports = QueueEventsService;
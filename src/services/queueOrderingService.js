@@ -0,0 +1,156 @@
+// src/services/queueOrderingService.js - Orden de la cola: FIFO, reparto justo entre mesas o por votos,
+// con las prioritarias de pago por delante y las canciones de la casa detrás en cualquier modo
+const { executeQuery, executeTransaction } = require('../config/database');
+const { RestaurantSettings } = require('../models');
+const { logger } = require('../utils/logger');
+const QueueEventsService = require('./queueEventsService');
+const RequestVoteService = require('./requestVoteService');
+const PaidPriorityService = require('./paidPriorityService');
+
+// Clave en restaurant_settings y modos disponibles
+const QUEUE_ORDERING_KEY = 'queue_ordering';
+const QUEUE_ORDERING_MODES = ['fifo', 'fair_share', 'votes'];
+const DEFAULT_QUEUE_ORDERING = 'fifo';
+
+class QueueOrderingService {
+  // Modo de ordenación configurado para el restaurante
+  static async getMode(restaurantId) {
+    const setting = await RestaurantSettings.getByRestaurantAndKey(restaurantId, QUEUE_ORDERING_KEY);
+    const mode = setting ? setting.settingValue : null;
+    return QUEUE_ORDERING_MODES.includes(mode) ? mode : DEFAULT_QUEUE_ORDERING;
+  }
+
+  static async setMode(restaurantId, mode) {
+    if (!QUEUE_ORDERING_MODES.includes(mode)) {
+      throw new Error(`Invalid queue ordering mode: ${mode}`);
+    }
+
+    await RestaurantSettings.set(restaurantId, QUEUE_ORDERING_KEY, mode);
+    return mode;
+  }
+
+  // Ordenar peticiones pendientes por rondas: primero la 1ª petición de cada mesa,
+  // luego la 2ª, etc. Dentro de cada ronda se respeta el orden actual de la cola.
+  static fairShareOrder(pendingRequests) {
+    const perTable = new Map();
+
+    const ranked = pendingRequests.map((request, index) => {
+      const key = request.user_table || request.user_id;
+      const round = perTable.get(key) || 0;
+      perTable.set(key, round + 1);
+      return { request, round, index };
+    });
+
+    return ranked
+      .sort((a, b) => a.round - b.round || a.index - b.index)
+      .map(item => item.request);
+  }
+
+  // Las peticiones colocadas a mano por el personal se quedan en su posición actual; el resto ocupa
+  // los huecos en el orden recibido. Las posiciones fuera de rango se ajustan al final.
+  static applyManualPlacements(requests) {
+    const manual = requests
+      .filter(request => request.manually_placed)
+      .sort((a, b) => a.queue_position - b.queue_position);
+    if (manual.length === 0) return requests;
+
+    const slots = new Array(requests.length).fill(null);
+    let lastIndex = -1;
+
+    manual.forEach((request, i) => {
+      // Dejar sitio a las manuales que quedan por colocar
+      const maxIndex = requests.length - manual.length + i;
+      const index = Math.max(Math.min((request.queue_position || 1) - 1, maxIndex), lastIndex + 1);
+      slots[index] = request;
+      lastIndex = index;
+    });
+
+    const automatic = requests.filter(request => !request.manually_placed);
+    return slots.map(request => request || automatic.shift());
+  }
+
+  // Recalcular queue_position de las peticiones pendientes según el modo del restaurante.
+  // Las canciones de la casa van siempre detrás de las de los clientes.
+  // Las colocadas a mano por el personal (mover, fijar, mandar al final) no se mueven.
+  // Devuelve un Map requestId -> nueva posición.
+  static async rebalance(restaurantId, mode = null) {
+    const orderingMode = mode || await this.getMode(restaurantId);
+
+    const { rows: pendingRows } = await executeQuery(
+      `SELECT id, user_id, user_table, queue_position, manually_placed, requested_at, upvotes, downvotes, is_priority,
+              is_house_pick
+       FROM requests
+       WHERE restaurant_id = ? AND status = 'pending'
+       ORDER BY queue_position ASC, requested_at ASC`,
+      [restaurantId]
+    );
+
+    const housePicks = pendingRows.filter(request => request.is_house_pick);
+    let ordered = pendingRows.filter(request => !request.is_house_pick);
+    if (orderingMode === 'fair_share') {
+      ordered = this.fairShareOrder(ordered);
+    } else if (orderingMode === 'votes') {
+      const { positionsPerVote } = await RequestVoteService.getRules(restaurantId);
+      ordered = RequestVoteService.votesOrder(ordered, positionsPerVote);
+    }
+
+    if (ordered.some(request => request.is_priority)) {
+      const { maxInRow } = await PaidPriorityService.getSettings(restaurantId);
+      ordered = PaidPriorityService.priorityOrder(ordered, maxInRow);
+    }
+
+    ordered = this.applyManualPlacements([...ordered, ...housePicks]);
+
+    const positions = new Map();
+    const updates = [];
+
+    ordered.forEach((request, index) => {
+      const position = index + 1;
+      positions.set(request.id, position);
+
+      if (request.queue_position !== position) {
+        updates.push({
+          query: 'UPDATE requests SET queue_position = ? WHERE id = ? AND status = \'pending\'',
+          params: [position, request.id]
+        });
+      }
+    });
+
+    if (updates.length > 0) {
+      await executeTransaction(updates);
+      logger.info(`Queue rebalanced (${orderingMode}) for restaurant ${restaurantId}: ${updates.length} positions changed`);
+
+      QueueEventsService.publish(restaurantId, 'queue.reordered', {
+        mode: orderingMode,
+        positions: Array.from(positions, ([requestId, queuePosition]) => ({ requestId, queuePosition }))
+      });
+    }
+
+    return positions;
+  }
+
+  // Reordenar solo si el restaurante usa reparto justo o votos, o si hay prioritarias de pago o
+  // canciones de la casa pendientes (FIFO sin ninguna de las dos no necesita cambios).
+  // No lanza error para no interrumpir el flujo principal de la petición.
+  static async rebalanceIfNeeded(restaurantId) {
+    try {
+      const mode = await this.getMode(restaurantId);
+      if (mode === 'fifo') {
+        const { rows } = await executeQuery(
+          `SELECT COUNT(*) as count FROM requests
+           WHERE restaurant_id = ? AND status = 'pending' AND (is_priority = 1 OR is_house_pick = 1)`,
+          [restaurantId]
+        );
+        if (parseInt(rows[0]?.count) === 0) return null;
+      }
+      return await this.rebalance(restaurantId, mode);
+    } catch (error) {
+      logger.error('Error rebalancing queue:', { restaurantId, error: error.message });
+      return null;
+    }
+  }
+}
+
+QueueOrderingService.QUEUE_ORDERING_MODES = QUEUE_ORDERING_MODES;
+
+module.exports = QueueOrderingService;
@@ -0,0 +1,304 @@
+// src/services/recommendationService.js - Recomendaciones de canciones del catálogo para cada usuario
+//
+// Puntúa el catálogo del restaurante con lo que sabemos del usuario: favoritos, peticiones anteriores
+// (en cualquier restaurante, por eso se compara por artista y género y no por ID de canción) y los
+// géneros preferidos del perfil. Sin datos (sesión anónima) se recomienda lo más pedido de la semana.
+const { executeQuery } = require('../config/database');
+const ExplicitContentService = require('./explicitContentService');
+
+// Peso de cada señal en la puntuación
+const WEIGHTS = {
+  favoriteArtist: 5,
+  requestedArtist: 3,
+  favoriteGenre: 2,
+  preferredGenre: 2,
+  requestedGenre: 1.5,
+  energy: 1,
+  popularity: 0.5
+};
+
+const TRENDING_DAYS = 7;
+const CANDIDATE_LIMIT = 1000;
+const PROFILE_FAVORITES_LIMIT = 50;
+const PROFILE_REQUESTS_LIMIT = 100;
+
+const SONG_COLUMNS = `s.id, s.title, s.artist, s.album, s.duration, s.year, s.image, s.genre,
+  s.popularity, s.energy, s.is_explicit, s.times_requested`;
+
+// preferred_genres es una columna JSON: según el driver llega como array o como texto
+const parseGenres = (value) => {
+  if (Array.isArray(value)) return value;
+  if (!value || typeof value !== 'string') return [];
+  try {
+    const genres = JSON.parse(value);
+    return Array.isArray(genres) ? genres : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const normalizeKey = (value) => (value ? String(value).trim().toLowerCase() : null);
+
+// Contar apariciones por clave recordando la canción más reciente (las filas vienen de más nueva a más vieja)
+const groupBy = (songs, key) => {
+  const groups = new Map();
+  for (const song of songs) {
+    const value = normalizeKey(song[key]);
+    if (!value) continue;
+    const group = groups.get(value) || { count: 0, song };
+    group.count += 1;
+    groups.set(value, group);
+  }
+  return groups;
+};
+
+class RecommendationService {
+  // Identidad del usuario para buscar su historial: usuario registrado y/o sesión de mesa
+  static getIdentity(user) {
+    if (!user) return null;
+
+    const registeredUserId = user.type === 'registered_user' ? user.id : (user.registeredUserId || null);
+    const tableUserId = user.type === 'user' ? user.id : null;
+
+    return registeredUserId || tableUserId ? { registeredUserId, tableUserId } : null;
+  }
+
+  // Gustos del usuario a partir de favoritos, peticiones y géneros preferidos. null si no hay datos
+  static async getProfile(user) {
+    const identity = this.getIdentity(user);
+    if (!identity) return null;
+
+    const { registeredUserId, tableUserId } = identity;
+
+    const [favoritesResult, requestsResult, preferencesResult] = await Promise.all([
+      executeQuery(
+        `SELECT ${SONG_COLUMNS}
+         FROM favorites f
+         JOIN songs s ON f.song_id = s.id
+         WHERE f.registered_user_id = ? OR f.user_id = ?
+         ORDER BY f.created_at DESC
+         LIMIT ?`,
+        [registeredUserId, tableUserId, PROFILE_FAVORITES_LIMIT]
+      ),
+      // Peticiones de sesiones de mesa solo si se vincularon con el token del propio usuario registrado
+      executeQuery(
+        `SELECT ${SONG_COLUMNS}, r.status as request_status
+         FROM requests r
+         JOIN songs s ON r.song_id = s.id
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.status != 'cancelled'
+           AND (r.registered_user_id = ? OR (u.registered_link_verified AND u.registered_user_id = ?) OR r.user_id = ?)
+         ORDER BY r.requested_at DESC
+         LIMIT ?`,
+        [registeredUserId, registeredUserId, tableUserId, PROFILE_REQUESTS_LIMIT]
+      ),
+      registeredUserId
+        ? executeQuery('SELECT preferred_genres FROM registered_users WHERE id = ?', [registeredUserId])
+        : Promise.resolve({ rows: [] })
+    ]);
+
+    const favorites = favoritesResult.rows;
+    const requests = requestsResult.rows;
+    const preferredGenres = parseGenres(preferencesResult.rows[0]?.preferred_genres);
+
+    if (favorites.length === 0 && requests.length === 0 && preferredGenres.length === 0) {
+      return null;
+    }
+
+    const energies = [...favorites, ...requests]
+      .map(song => song.energy)
+      .filter(energy => energy !== null && energy !== undefined);
+
+    return {
+      favoriteSongIds: new Set(favorites.map(song => song.id)),
+      favoriteArtists: groupBy(favorites, 'artist'),
+      favoriteGenres: groupBy(favorites, 'genre'),
+      favoriteCount: favorites.length,
+      requestedSongIds: new Set(requests.map(song => song.id)),
+      requestedArtists: groupBy(requests, 'artist'),
+      requestedGenres: groupBy(requests, 'genre'),
+      requestCount: requests.length,
+      // Las que ya tiene en cola no se pueden volver a pedir
+      queuedSongIds: new Set(
+        requests.filter(song => ['pending', 'playing'].includes(song.request_status)).map(song => song.id)
+      ),
+      preferredGenres: new Set(preferredGenres.map(normalizeKey).filter(Boolean)),
+      preferredGenreNames: preferredGenres,
+      targetEnergy: energies.length > 0
+        ? energies.reduce((sum, energy) => sum + Number(energy), 0) / energies.length
+        : null
+    };
+  }
+
+  // Puntuación de una canción y el motivo que más pesa
+  static scoreSong(song, profile) {
+    const artist = normalizeKey(song.artist);
+    const genre = normalizeKey(song.genre);
+    const reasons = [];
+
+    const favoriteArtist = artist && profile.favoriteArtists.get(artist);
+    if (profile.favoriteSongIds.has(song.id)) {
+      reasons.push({ type: 'favorite', score: WEIGHTS.favoriteArtist, explanation: 'One of your favorites' });
+    } else if (favoriteArtist) {
+      reasons.push({
+        type: 'favorite_artist',
+        score: WEIGHTS.favoriteArtist,
+        explanation: `Because you liked "${favoriteArtist.song.title}" by ${favoriteArtist.song.artist}`
+      });
+    }
+
+    const requestedArtist = artist && profile.requestedArtists.get(artist);
+    if (requestedArtist) {
+      reasons.push({
+        type: 'requested_artist',
+        score: WEIGHTS.requestedArtist,
+        explanation: profile.requestedSongIds.has(song.id)
+          ? 'You requested it before'
+          : `Because you requested "${requestedArtist.song.title}" by ${requestedArtist.song.artist}`
+      });
+    }
+
+    const favoriteGenre = genre && profile.favoriteGenres.get(genre);
+    if (favoriteGenre) {
+      reasons.push({
+        type: 'favorite_genre',
+        score: WEIGHTS.favoriteGenre * (favoriteGenre.count / profile.favoriteCount),
+        explanation: `Because you liked "${favoriteGenre.song.title}" (${song.genre})`
+      });
+    }
+
+    if (genre && profile.preferredGenres.has(genre)) {
+      reasons.push({
+        type: 'preferred_genre',
+        score: WEIGHTS.preferredGenre,
+        explanation: `Because you like ${song.genre}`
+      });
+    }
+
+    const requestedGenre = genre && profile.requestedGenres.get(genre);
+    if (requestedGenre) {
+      reasons.push({
+        type: 'requested_genre',
+        score: WEIGHTS.requestedGenre * (requestedGenre.count / profile.requestCount),
+        explanation: `Because you often request ${song.genre}`
+      });
+    }
+
+    // La energía solo afina el orden entre canciones que ya encajan por otro motivo
+    if (reasons.length > 0 && profile.targetEnergy !== null && song.energy !== null && song.energy !== undefined) {
+      reasons.push({
+        type: 'energy',
+        score: WEIGHTS.energy * (1 - Math.abs(Number(song.energy) - profile.targetEnergy) / 100),
+        explanation: 'Matches the energy of the songs you like'
+      });
+    }
+
+    const personalScore = reasons.reduce((sum, reason) => sum + reason.score, 0);
+    const best = reasons.reduce((top, reason) => (!top || reason.score > top.score ? reason : top), null);
+
+    return {
+      personalScore,
+      score: personalScore + WEIGHTS.popularity * ((Number(song.popularity) || 0) / 100),
+      reason: best ? best.type : null,
+      explanation: best ? best.explanation : null
+    };
+  }
+
+  // Lo más pedido en el restaurante en los últimos días (o lo más popular si no hay peticiones)
+  static async getTrending(restaurant, limit, excludeIds = new Set()) {
+    const explicitFilter = await ExplicitContentService.getSongFilter(restaurant, 's.is_explicit');
+    const since = new Date(Date.now() - TRENDING_DAYS * 24 * 60 * 60 * 1000);
+
+    const { rows } = await executeQuery(
+      `SELECT ${SONG_COLUMNS}, COUNT(r.id) as recent_requests
+       FROM songs s
+       LEFT JOIN requests r ON r.song_id = s.id AND r.status != 'cancelled' AND r.is_house_pick = 0
+         AND r.requested_at >= ?
+       WHERE s.restaurant_id = ? AND s.is_active = 1${explicitFilter}
+       GROUP BY s.id
+       ORDER BY recent_requests DESC, s.popularity DESC, s.times_requested DESC
+       LIMIT ?`,
+      [since, restaurant.id, limit + excludeIds.size]
+    );
+
+    return rows
+      .filter(song => !excludeIds.has(song.id))
+      .slice(0, limit)
+      .map(({ recent_requests: recentRequests, ...song }) => {
+        const count = parseInt(recentRequests) || 0;
+        return {
+          ...song,
+          score: null,
+          reason: 'trending',
+          explanation: count > 0
+            ? `Trending here: requested ${count} ${count === 1 ? 'time' : 'times'} this week`
+            : `Popular at ${restaurant.name}`
+        };
+      });
+  }
+
+  // Recomendaciones para el usuario (o anónimas). Devuelve { songs, personalized, basedOn }
+  static async getRecommendations(restaurant, user, limit = 10) {
+    const profile = await this.getProfile(user);
+
+    if (!profile) {
+      return {
+        songs: await this.getTrending(restaurant, limit),
+        personalized: false,
+        basedOn: null
+      };
+    }
+
+    const explicitFilter = await ExplicitContentService.getSongFilter(restaurant, 's.is_explicit');
+    const { rows: candidates } = await executeQuery(
+      `SELECT ${SONG_COLUMNS}
+       FROM songs s
+       WHERE s.restaurant_id = ? AND s.is_active = 1${explicitFilter}
+       ORDER BY s.popularity DESC
+       LIMIT ?`,
+      [restaurant.id, CANDIDATE_LIMIT]
+    );
+
+    const ranked = candidates
+      .filter(song => !profile.queuedSongIds.has(song.id))
+      .map(song => {
+        const { personalScore, ...result } = this.scoreSong(song, profile);
+        return { song, personalScore, ...result };
+      })
+      .filter(item => item.personalScore > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ song, score, reason, explanation }) => ({
+        ...song,
+        score: Math.round(score * 100) / 100,
+        reason,
+        explanation
+      }));
+
+    // Completar con tendencias si el perfil no da para toda la lista
+    const songs = ranked.length < limit
+      ? [
+        ...ranked,
+        ...await this.getTrending(
+          restaurant,
+          limit - ranked.length,
+          new Set([...ranked.map(song => song.id), ...profile.queuedSongIds])
+        )
+      ]
+      : ranked;
+
+    return {
+      songs,
+      personalized: ranked.length > 0,
+      basedOn: {
+        favorites: profile.favoriteCount,
+        requests: profile.requestCount,
+        preferredGenres: profile.preferredGenreNames
+      }
+    };
+  }
+}
+
+RecommendationService.WEIGHTS = WEIGHTS;
+
+module.exports = RecommendationService;
@@ -0,0 +1,163 @@
+// src/services/repeatRulesService.js - Reglas anti-repetición de canciones por restaurante
+const { executeQuery } = require('../config/database');
+const { RestaurantSettings } = require('../models');
+const { getTimeZoneParts } = require('../utils/helpers');
+const WaitTimeService = require('./waitTimeService');
+
+// Reglas guardadas en restaurant_settings (0 o vacío = regla desactivada)
+const REPEAT_RULE_KEYS = {
+  songCooldownMinutes: 'song_cooldown_minutes',
+  artistMaxRequests: 'artist_max_requests',
+  artistWindowMinutes: 'artist_window_minutes',
+  songMaxPerNight: 'song_max_per_night',
+  nightStartHour: 'night_start_hour'
+};
+
+const DEFAULT_REPEAT_RULES = {
+  songCooldownMinutes: 0,
+  artistMaxRequests: 0,
+  artistWindowMinutes: 60,
+  songMaxPerNight: 0,
+  nightStartHour: 6 // la "noche" va de las 6:00 a las 6:00 del día siguiente (hora local)
+};
+
+class RepeatRulesService {
+  static async getRules(restaurantId) {
+    const settings = await RestaurantSettings.getByRestaurant(restaurantId);
+    const rules = { ...DEFAULT_REPEAT_RULES };
+
+    for (const [name, key] of Object.entries(REPEAT_RULE_KEYS)) {
+      const value = parseInt(settings[key]);
+      if (!isNaN(value) && value >= 0) {
+        rules[name] = value;
+      }
+    }
+
+    return rules;
+  }
+
+  // Guardar solo las reglas recibidas (en camelCase)
+  static async setRules(restaurantId, rules) {
+    const settings = {};
+
+    for (const [name, key] of Object.entries(REPEAT_RULE_KEYS)) {
+      if (rules[name] !== undefined && rules[name] !== null) {
+        settings[key] = String(parseInt(rules[name]) || 0);
+      }
+    }
+
+    if (Object.keys(settings).length > 0) {
+      await RestaurantSettings.setMultiple(restaurantId, settings);
+    }
+
+    return this.getRules(restaurantId);
+  }
+
+  // Inicio de la noche actual en la zona horaria del restaurante
+  static getNightStart(now, timezone, nightStartHour) {
+    const local = getTimeZoneParts(now, timezone);
+    const secondsIntoDay = local.hour * 3600 + local.minute * 60 + local.second;
+    let secondsSinceStart = secondsIntoDay - nightStartHour * 3600;
+    if (secondsSinceStart < 0) secondsSinceStart += 24 * 3600;
+
+    return new Date(Math.floor(now.getTime() / 1000) * 1000 - secondsSinceStart * 1000);
+  }
+
+  // Comprobar si una canción puede pedirse ahora.
+  // Devuelve null si está permitida o { code, message, availableAt } con la regla que la bloquea.
+  static async check(restaurant, song, now = new Date()) {
+    const rules = await this.getRules(restaurant.id);
+
+    // Tiempo mínimo desde la última vez que sonó
+    if (rules.songCooldownMinutes > 0) {
+      // Si ya está en cola o sonando no se puede volver a pedir: queda libre cuando termine más el cooldown
+      const { rows: activeRows } = await executeQuery(
+        `SELECT r.id, s.duration
+         FROM requests r
+         JOIN songs s ON r.song_id = s.id
+         WHERE r.restaurant_id = ? AND r.song_id = ? AND r.status IN ('pending', 'playing')`,
+        [restaurant.id, song.id]
+      );
+
+      if (activeRows.length > 0) {
+        const { waits } = await WaitTimeService.getQueueTimeline(restaurant.id);
+        const secondsUntilDone = Math.max(...activeRows.map(row =>
+          (waits.get(row.id) || 0) + WaitTimeService.getSongDurationSeconds(row.duration)
+        ));
+
+        return {
+          code: 'SONG_COOLDOWN',
+          message: 'This song is already in the queue',
+          availableAt: new Date(now.getTime() + secondsUntilDone * 1000 + rules.songCooldownMinutes * 60000)
+        };
+      }
+
+      const { rows } = await executeQuery(
+        `SELECT MAX(COALESCE(completed_at, started_playing_at)) as last_played_at
+         FROM requests
+         WHERE restaurant_id = ? AND song_id = ? AND status IN ('playing', 'completed')`,
+        [restaurant.id, song.id]
+      );
+
+      const lastPlayedAt = rows[0] && rows[0].last_played_at;
+      if (lastPlayedAt) {
+        const availableAt = new Date(new Date(lastPlayedAt).getTime() + rules.songCooldownMinutes * 60000);
+        if (availableAt > now) {
+          return {
+            code: 'SONG_COOLDOWN',
+            message: `This song was played less than ${rules.songCooldownMinutes} minutes ago`,
+            availableAt
+          };
+        }
+      }
+    }
+
+    // Máximo de peticiones del mismo artista en una ventana móvil
+    if (rules.artistMaxRequests > 0 && rules.artistWindowMinutes > 0 && song.artist) {
+      const { rows } = await executeQuery(
+        `SELECT r.requested_at
+         FROM requests r
+         JOIN songs s ON r.song_id = s.id
+         WHERE r.restaurant_id = ? AND s.artist = ? AND r.status != 'cancelled'
+           AND r.requested_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+         ORDER BY r.requested_at ASC`,
+        [restaurant.id, song.artist, rules.artistWindowMinutes]
+      );
+
+      if (rows.length >= rules.artistMaxRequests) {
+        // Se libera un hueco cuando la petición más antigua sobrante sale de la ventana
+        const oldest = rows[rows.length - rules.artistMaxRequests].requested_at;
+        return {
+          code: 'ARTIST_LIMIT_REACHED',
+          message: `Maximum ${rules.artistMaxRequests} requests for ${song.artist} every ${rules.artistWindowMinutes} minutes`,
+          availableAt: new Date(new Date(oldest).getTime() + rules.artistWindowMinutes * 60000)
+        };
+      }
+    }
+
+    // Máximo de veces por noche
+    if (rules.songMaxPerNight > 0) {
+      const nightStart = this.getNightStart(now, restaurant.timezone, rules.nightStartHour);
+      const secondsSinceNightStart = Math.ceil((now.getTime() - nightStart.getTime()) / 1000);
+      const { rows } = await executeQuery(
+        `SELECT COUNT(*) as count
+         FROM requests
+         WHERE restaurant_id = ? AND song_id = ? AND status != 'cancelled'
+           AND requested_at >= DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+        [restaurant.id, song.id, secondsSinceNightStart]
+      );
+
+      if (rows[0].count >= rules.songMaxPerNight) {
+        return {
+          code: 'SONG_NIGHTLY_LIMIT_REACHED',
+          message: `This song can only be requested ${rules.songMaxPerNight} times per night`,
+          availableAt: new Date(nightStart.getTime() + 24 * 3600 * 1000)
+        };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = RepeatRulesService;
@@ -0,0 +1,199 @@
+// src/services/requestVoteService.js - Votos de las mesas sobre las peticiones de la cola
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { RestaurantSettings } = require('../models');
+const { logger } = require('../utils/logger');
+const QueueEventsService = require('./queueEventsService');
+const ActivityLogService = require('./activityLogService');
+const PaidPriorityService = require('./paidPriorityService');
+
+// Reglas guardadas en restaurant_settings; solo se aplican con el orden de cola 'votes'
+const VOTE_RULE_KEYS = {
+  positionsPerVote: 'vote_positions_per_vote',
+  dropThreshold: 'vote_drop_threshold'
+};
+
+const DEFAULT_VOTE_RULES = {
+  positionsPerVote: 2, // puestos que sube (o baja) una petición por cada voto neto
+  dropThreshold: 3 // se descarta al llegar a -3 votos netos (0 = nunca)
+};
+
+const VOTE_RULE_LIMITS = {
+  positionsPerVote: 50,
+  dropThreshold: 100
+};
+
+class RequestVoteService {
+  static async getRules(restaurantId) {
+    const settings = await RestaurantSettings.getByRestaurant(restaurantId);
+    const rules = { ...DEFAULT_VOTE_RULES };
+
+    for (const [name, key] of Object.entries(VOTE_RULE_KEYS)) {
+      const value = parseInt(settings[key]);
+      if (!isNaN(value) && value >= 0 && value <= VOTE_RULE_LIMITS[name]) {
+        rules[name] = value;
+      }
+    }
+
+    return rules;
+  }
+
+  // Guardar solo las reglas recibidas (en camelCase)
+  static async setRules(restaurantId, rules) {
+    const settings = {};
+
+    for (const [name, key] of Object.entries(VOTE_RULE_KEYS)) {
+      if (rules[name] !== undefined && rules[name] !== null) {
+        const value = Math.min(VOTE_RULE_LIMITS[name], Math.max(0, parseInt(rules[name]) || 0));
+        settings[key] = String(value);
+      }
+    }
+
+    if (Object.keys(settings).length > 0) {
+      await RestaurantSettings.setMultiple(restaurantId, settings);
+    }
+
+    return this.getRules(restaurantId);
+  }
+
+  // Orden por votos: se parte del orden de llegada y cada voto neto mueve la petición positionsPerVote puestos.
+  // Se calcula siempre desde requested_at para que reordenar varias veces no acumule el efecto.
+  // Las colocadas a mano por el personal no entran: se quedan donde están (ver applyManualPlacements).
+  static votesOrder(pendingRequests, positionsPerVote) {
+    const manual = pendingRequests.filter(request => request.manually_placed);
+
+    const ranked = pendingRequests
+      .filter(request => !request.manually_placed)
+      .sort((a, b) => new Date(a.requested_at) - new Date(b.requested_at))
+      .map((request, index) => ({
+        request,
+        index,
+        key: index - ((request.upvotes || 0) - (request.downvotes || 0)) * positionsPerVote
+      }))
+      .sort((a, b) => a.key - b.key || a.index - b.index)
+      .map(item => item.request);
+
+    return [...ranked, ...manual];
+  }
+
+  // Quién vota: el usuario registrado vinculado a la sesión o, si no, la mesa. Así abrir varias
+  // sesiones desde la misma mesa no da más votos.
+  static getVoterKey(user) {
+    if (user.registeredUserId) {
+      return `registered:${user.registeredUserId}`;
+    }
+
+    const table = (user.tableNumber || '').trim().toLowerCase();
+    return table ? `table:${user.restaurantId}:${table}` : `session:${user.id}`;
+  }
+
+  // Registrar, cambiar (value 1 / -1) o quitar (value 0) el voto de una sesión de mesa.
+  // Devuelve el recuento actualizado de la petición.
+  static async vote(requestId, user, value) {
+    const voterKey = this.getVoterKey(user);
+
+    const voteQuery = value === 0
+      ? {
+        query: 'DELETE FROM request_votes WHERE request_id = ? AND voter_key = ?',
+        params: [requestId, voterKey]
+      }
+      : {
+        query: `INSERT INTO request_votes (id, request_id, user_id, voter_key, vote) VALUES (?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE vote = VALUES(vote), user_id = VALUES(user_id), updated_at = CURRENT_TIMESTAMP`,
+        params: [uuidv4(), requestId, user.id, voterKey, value]
+      };
+
+    await executeTransaction([
+      voteQuery,
+      {
+        // Recontar desde request_votes para que el recuento nunca se desvíe
+        query: `UPDATE requests
+                SET upvotes = (SELECT COUNT(*) FROM request_votes WHERE request_id = ? AND vote = 1),
+                    downvotes = (SELECT COUNT(*) FROM request_votes WHERE request_id = ? AND vote = -1)
+                WHERE id = ?`,
+        params: [requestId, requestId, requestId]
+      }
+    ]);
+
+    const { rows } = await executeQuery(
+      'SELECT upvotes, downvotes FROM requests WHERE id = ?',
+      [requestId]
+    );
+
+    const upvotes = parseInt(rows[0]?.upvotes) || 0;
+    const downvotes = parseInt(rows[0]?.downvotes) || 0;
+
+    return { upvotes, downvotes, score: upvotes - downvotes };
+  }
+
+  // Votos de una sesión de mesa (los de su mesa o su usuario registrado): Map requestId -> 1 / -1
+  static async getUserVotes(user) {
+    const { rows } = await executeQuery(
+      `SELECT v.request_id, v.vote
+       FROM request_votes v
+       JOIN requests r ON v.request_id = r.id
+       WHERE v.voter_key = ? AND r.restaurant_id = ? AND r.status = 'pending'`,
+      [this.getVoterKey(user), user.restaurantId]
+    );
+
+    return new Map(rows.map(row => [row.request_id, row.vote]));
+  }
+
+  // Descartar una petición pendiente que llegó al umbral de votos negativos. Devuelve true si se descartó.
+  // request debe incluir id, restaurant_id, user_id, user_table, queue_position, is_house_pick, title y artist
+  static async dropIfRejected(request, score, rules) {
+    if (rules.dropThreshold <= 0 || score > -rules.dropThreshold) {
+      return false;
+    }
+
+    const { rows: result } = await executeQuery(
+      `UPDATE requests SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [request.id]
+    );
+
+    // Ya no estaba pendiente (empezó a sonar o se canceló mientras tanto)
+    if (!result || result.affectedRows === 0) {
+      return false;
+    }
+
+    await executeQuery(
+      `UPDATE requests
+       SET queue_position = queue_position - 1
+       WHERE restaurant_id = ? AND status = 'pending' AND queue_position > ?`,
+      [request.restaurant_id, request.queue_position]
+    );
+
+    logger.info(`Request dropped by votes: ${request.title} by ${request.artist} (score ${score})`);
+
+    await ActivityLogService.logRestaurantAction(request.restaurant_id, 'request_dropped_by_votes', 'request', request.id, {
+      title: request.title,
+      artist: request.artist,
+      tableNumber: request.user_table,
+      score
+    });
+
+    // La mesa no la canceló: si pagó prioridad se le devuelve
+    await PaidPriorityService.refundForRequest(request.id, 'downvoted');
+
+    QueueEventsService.publish(request.restaurant_id, 'request.cancelled', {
+      requestId: request.id,
+      userId: request.user_id,
+      tableNumber: request.user_table,
+      previousStatus: 'pending',
+      status: 'cancelled',
+      reason: 'downvoted',
+      housePick: !!request.is_house_pick,
+      song: {
+        title: request.title,
+        artist: request.artist
+      }
+    });
+
+    return true;
+  }
+}
+
+RequestVoteService.VOTE_RULE_LIMITS = VOTE_RULE_LIMITS;
+
+module.exports = RequestVoteService;
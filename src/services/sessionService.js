@@ -0,0 +1,134 @@
+// src/services/sessionService.js - Sesiones de login con access tokens cortos y refresh tokens rotativos
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { AuthToken } = require('../models');
+const { logger } = require('../utils/logger');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+class SessionService {
+  static signAccessToken(payload, sessionId) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not defined');
+    }
+    // sid identifica la sesión para poder revocarla (authenticateToken la comprueba)
+    return jwt.sign({ ...payload, sid: sessionId }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+  }
+
+  static async issueRefreshToken(userId, userType, sessionId, req = null) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    await AuthToken.create({
+      userId,
+      userType,
+      token: refreshToken,
+      tokenType: 'refresh',
+      sessionId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      ipAddress: req?.ip || null,
+      userAgent: req?.get('User-Agent') || null
+    });
+
+    return refreshToken;
+  }
+
+  // Crear una sesión nueva tras login/registro. payload es el contenido del access token
+  // ({ userId, email, userType, role? }).
+  static async createSession(payload, req = null) {
+    const sessionId = uuidv4();
+    const refreshToken = await this.issueRefreshToken(payload.userId, payload.userType, sessionId, req);
+
+    return {
+      sessionId,
+      accessToken: this.signAccessToken(payload, sessionId),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+  }
+
+  // Cambiar un refresh token por un par nuevo. buildPayload(authToken) devuelve el contenido
+  // del access token o null si la cuenta ya no puede iniciar sesión.
+  // Devuelve { error } con REFRESH_TOKEN_INVALID / REFRESH_TOKEN_REUSED / ACCOUNT_INACTIVE.
+  static async refresh(refreshToken, buildPayload, req = null) {
+    const authToken = await AuthToken.findByToken(refreshToken, 'refresh');
+
+    if (!authToken || !authToken.sessionId) {
+      return { error: 'REFRESH_TOKEN_INVALID' };
+    }
+
+    // Un refresh token ya rotado que vuelve a usarse indica robo: se revoca toda la sesión
+    if (authToken.usedAt && !authToken.revokedAt) {
+      await AuthToken.revokeSession(authToken.sessionId);
+      logger.warn(`Refresh token reuse detected, session revoked: ${authToken.sessionId}`, {
+        userId: authToken.userId,
+        userType: authToken.userType,
+        ip: req?.ip
+      });
+      return { error: 'REFRESH_TOKEN_REUSED' };
+    }
+
+    if (!authToken.isValid()) {
+      return { error: 'REFRESH_TOKEN_INVALID' };
+    }
+
+    const payload = await buildPayload(authToken);
+    if (!payload) {
+      await AuthToken.revokeSession(authToken.sessionId);
+      return { error: 'ACCOUNT_INACTIVE' };
+    }
+
+    // El nuevo refresh token se crea antes de gastar el anterior: la sesión nunca se queda sin uno
+    // vigente y las peticiones en curso con un access token válido no reciben SESSION_REVOKED
+    const newRefreshToken = await this.issueRefreshToken(authToken.userId, authToken.userType, authToken.sessionId, req);
+
+    // Marcar como usado de forma atómica (dos refresh simultáneos no obtienen dos pares)
+    if (!(await authToken.consume())) {
+      const newAuthToken = await AuthToken.findByToken(newRefreshToken, 'refresh');
+      if (newAuthToken) {
+        await AuthToken.deleteById(newAuthToken.id);
+      }
+      return { error: 'REFRESH_TOKEN_INVALID' };
+    }
+
+    return {
+      sessionId: authToken.sessionId,
+      accessToken: this.signAccessToken(payload, authToken.sessionId),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    };
+  }
+
+  static async isActive(sessionId) {
+    return AuthToken.isSessionActive(sessionId);
+  }
+
+  static async listSessions(userId, userType, currentSessionId = null) {
+    const sessions = await AuthToken.findActiveSessions(userId, userType);
+
+    return sessions.map(session => ({
+      id: session.session_id,
+      ipAddress: session.ip_address,
+      userAgent: session.user_agent,
+      createdAt: session.created_at,
+      lastUsedAt: session.last_used_at,
+      expiresAt: session.expires_at,
+      current: session.session_id === currentSessionId
+    }));
+  }
+
+  static async revoke(sessionId, userId, userType) {
+    return AuthToken.revokeSession(sessionId, userId, userType);
+  }
+
+  static async revokeAll(userId, userType) {
+    return AuthToken.revokeAllSessions(userId, userType);
+  }
+}
+
+SessionService.ACCESS_TOKEN_EXPIRES_IN = ACCESS_TOKEN_EXPIRES_IN;
+
+module.exports = SessionService;
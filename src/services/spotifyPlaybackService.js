@@ -0,0 +1,47 @@
+// src/services/spotifyPlaybackService.js - Dispositivo de Spotify donde suenan las peticiones
+const SpotifyToken = require('../models/SpotifyToken');
+const { RestaurantSettings } = require('../models');
+
+// Claves en restaurant_settings
+const DEVICE_ID_KEY = 'spotify_device_id';
+const DEVICE_NAME_KEY = 'spotify_device_name';
+
+class SpotifyPlaybackService {
+  static async getDevice(restaurantId) {
+    const settings = await RestaurantSettings.getByRestaurant(restaurantId);
+    if (!settings[DEVICE_ID_KEY]) return null;
+
+    return {
+      id: settings[DEVICE_ID_KEY],
+      name: settings[DEVICE_NAME_KEY] || null
+    };
+  }
+
+  static async setDevice(restaurantId, device) {
+    await RestaurantSettings.setMultiple(restaurantId, {
+      [DEVICE_ID_KEY]: device.id,
+      [DEVICE_NAME_KEY]: device.name || ''
+    });
+
+    return { id: device.id, name: device.name || null };
+  }
+
+  // Olvidar el dispositivo (al desconectar la cuenta)
+  static async clearSettings(restaurantId) {
+    for (const key of [DEVICE_ID_KEY, DEVICE_NAME_KEY]) {
+      await RestaurantSettings.delete(restaurantId, key);
+    }
+  }
+
+  static async getStatus(restaurantId) {
+    const token = await SpotifyToken.findByRestaurantId(restaurantId);
+
+    return {
+      connected: !!token && !token.isRevoked(),
+      connection: token ? { status: token.status, lastError: token.lastError, expiresAt: token.expiresAt } : null,
+      device: await this.getDevice(restaurantId)
+    };
+  }
+}
+
+module.exports = SpotifyPlaybackService;
@@ -1,33 +1,18 @@
 // src/services/spotifyService.js
 const axios = require('axios');
-const SpotifyToken = require('../models/SpotifyToken');
+const SpotifyTokenManager = require('./spotifyTokenManager');
 const { logger } = require('../utils/logger');
 
-const SPOTIFY_BASE_URL = 'https://api.spotify.com/v1';
-const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+// Configurables para poder apuntar a un stub local de la API de Spotify
+const SPOTIFY_BASE_URL = process.env.SPOTIFY_API_URL || 'https://api.spotify.com/v1';
+
+// Máximo de páginas de 100 canciones a leer de una playlist (10.000 canciones)
+const MAX_PLAYLIST_PAGES = 100;
 
 class SpotifyService {
+  // Access token vigente (se renueva automáticamente antes de expirar)
   static async getValidToken(restaurantId) {
-    let token = await SpotifyToken.findByRestaurantId(restaurantId);
-    if (!token || !token.isValid()) {
-      if (token) {
-        // Auto-refresh
-        const refreshResponse = await axios.post(SPOTIFY_TOKEN_URL, new URLSearchParams({
-          grant_type: 'refresh_token',
-          refresh_token: token.refreshToken,
-          client_id: process.env.SPOTIFY_CLIENT_ID,
-          client_secret: process.env.SPOTIFY_CLIENT_SECRET,
-        }), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
-
-        const { access_token, expires_in } = refreshResponse.data;
-        const expiresAt = new Date(Date.now() + (expires_in * 1000));
-        await SpotifyToken.upsert({ restaurantId, accessToken: access_token, expiresAt });
-        token = await SpotifyToken.findByRestaurantId(restaurantId);
-      } else {
-        throw new Error('No hay tokens de Spotify configurados');
-      }
-    }
-    return token.accessToken;
+    return SpotifyTokenManager.getAccessToken(restaurantId);
   }
 
   static async search(query, options = { limit: 10, type: 'track' }) {
@@ -47,6 +32,97 @@ class SpotifyService {
     }
   }
 
+  // Playlists del usuario de Spotify conectado
+  static async getPlaylists(restaurantId, options = { limit: 50, offset: 0 }) {
+    const accessToken = await this.getValidToken(restaurantId);
+
+    try {
+      const response = await axios.get(`${SPOTIFY_BASE_URL}/me/playlists`, {
+        params: { limit: options.limit, offset: options.offset },
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      return {
+        items: (response.data.items || []).map(playlist => ({
+          id: playlist.id,
+          name: playlist.name,
+          description: playlist.description || null,
+          image: playlist.images?.[0]?.url || null,
+          totalTracks: playlist.tracks?.total || 0,
+          owner: playlist.owner?.display_name || null
+        })),
+        total: response.data.total || 0
+      };
+    } catch (error) {
+      logger.error('Error obteniendo playlists Spotify:', error.response?.data || error.message);
+      if (error.response?.status === 401) throw new Error('Token inválido');
+      throw error;
+    }
+  }
+
+  // Todas las canciones de una playlist (sigue la paginación de Spotify)
+  static async getPlaylistTracks(playlistId, restaurantId) {
+    const accessToken = await this.getValidToken(restaurantId);
+    const headers = { Authorization: `Bearer ${accessToken}` };
+
+    try {
+      const { data: playlist } = await axios.get(`${SPOTIFY_BASE_URL}/playlists/${encodeURIComponent(playlistId)}`, {
+        params: { fields: 'id,name' },
+        headers
+      });
+
+      const tracks = [];
+      let url = `${SPOTIFY_BASE_URL}/playlists/${encodeURIComponent(playlistId)}/tracks`;
+      let params = { limit: 100, offset: 0 };
+
+      for (let page = 0; url && page < MAX_PLAYLIST_PAGES; page++) {
+        const response = await axios.get(url, { params, headers });
+
+        (response.data.items || []).forEach(item => {
+          // Ignorar episodios y archivos locales (no tienen ID de Spotify)
+          if (item.track && item.track.type !== 'episode' && item.track.id && !item.is_local) {
+            tracks.push(item.track);
+          }
+        });
+
+        // "next" ya incluye limit/offset
+        url = response.data.next;
+        params = undefined;
+      }
+
+      return { id: playlist.id, name: playlist.name, tracks };
+    } catch (error) {
+      logger.error('Error obteniendo playlist Spotify:', error.response?.data || error.message);
+      if (error.response?.status === 401) throw new Error('Token inválido');
+      if (error.response?.status === 404) throw new Error('Playlist no encontrada');
+      throw error;
+    }
+  }
+
+  // Dispositivos Spotify Connect disponibles
+  static async getDevices(restaurantId) {
+    const accessToken = await this.getValidToken(restaurantId);
+
+    try {
+      const response = await axios.get(`${SPOTIFY_BASE_URL}/me/player/devices`, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      });
+
+      return (response.data.devices || []).map(device => ({
+        id: device.id,
+        name: device.name,
+        type: device.type,
+        isActive: !!device.is_active,
+        isRestricted: !!device.is_restricted,
+        volumePercent: device.volume_percent
+      }));
+    } catch (error) {
+      logger.error('Error obteniendo dispositivos Spotify:', error.response?.data || error.message);
+      if (error.response?.status === 401) throw new Error('Token inválido');
+      throw error;
+    }
+  }
+
   static async queueSong(deviceId, trackUri, restaurantId) {
     const accessToken = await this.getValidToken(restaurantId);
     try {
@@ -59,13 +135,13 @@ class SpotifyService {
     }
   }
 
-  static async playSong(deviceId, contextUri, restaurantId) {
+  // Reproducir en un dispositivo: una canción (spotify:track:...) o un contexto (álbum/playlist)
+  static async playSong(deviceId, uri, restaurantId) {
     const accessToken = await this.getValidToken(restaurantId);
+    const body = uri.startsWith('spotify:track:') ? { uris: [uri] } : { context_uri: uri };
     try {
-      await axios.put(`${SPOTIFY_BASE_URL}/me/player/play`, {
-        context_uri: contextUri, // o uris: [trackUri] para single
-        device_id: deviceId
-      }, {
+      await axios.put(`${SPOTIFY_BASE_URL}/me/player/play`, body, {
+        params: deviceId ? { device_id: deviceId } : undefined,
         headers: { Authorization: `Bearer ${accessToken}` }
       });
     } catch (error) {
@@ -0,0 +1,111 @@
+// src/services/spotifyTokenManager.js - Renovación automática de los tokens de Spotify
+const axios = require('axios');
+const SpotifyToken = require('../models/SpotifyToken');
+const { logger } = require('../utils/logger');
+
+const SPOTIFY_TOKEN_URL = `${process.env.SPOTIFY_ACCOUNTS_URL || 'https://accounts.spotify.com'}/api/token`;
+
+// Renovar el access token cuando le quede menos de este margen
+const REFRESH_MARGIN_SECONDS = 120;
+
+// Renovaciones en curso por restaurante, para no pedir varios tokens a la vez
+const pendingRefreshes = new Map();
+
+class SpotifyTokenManager {
+  // Access token válido para el restaurante, renovándolo si está a punto de expirar
+  static async getAccessToken(restaurantId) {
+    const token = await SpotifyToken.findByRestaurantId(restaurantId);
+
+    if (!token) {
+      throw new Error('No hay tokens de Spotify configurados');
+    }
+    if (token.isRevoked()) {
+      throw new Error('Conexión de Spotify revocada');
+    }
+    if (!token.expiresWithin(REFRESH_MARGIN_SECONDS)) {
+      return token.accessToken;
+    }
+
+    try {
+      const refreshed = await this.refresh(restaurantId, token);
+      return refreshed.accessToken;
+    } catch (error) {
+      // Un fallo temporal no impide usar el token actual mientras no haya expirado
+      if (error.message !== 'Conexión de Spotify revocada' && token.isValid()) {
+        logger.warn(`Spotify token refresh failed for ${restaurantId}, using current token:`, error.message);
+        return token.accessToken;
+      }
+      throw error;
+    }
+  }
+
+  // Renovar el token (compartiendo la petición si ya hay una en curso)
+  static async refresh(restaurantId, token = null) {
+    if (pendingRefreshes.has(restaurantId)) {
+      return pendingRefreshes.get(restaurantId);
+    }
+
+    const promise = this.requestRefresh(restaurantId, token)
+      .finally(() => pendingRefreshes.delete(restaurantId));
+
+    pendingRefreshes.set(restaurantId, promise);
+    return promise;
+  }
+
+  static async requestRefresh(restaurantId, token) {
+    const current = token || await SpotifyToken.findByRestaurantId(restaurantId);
+
+    if (!current) {
+      throw new Error('No hay tokens de Spotify configurados');
+    }
+    if (current.isRevoked()) {
+      throw new Error('Conexión de Spotify revocada');
+    }
+    if (!current.refreshToken) {
+      await this.markRevoked(restaurantId, 'missing_refresh_token');
+      throw new Error('Conexión de Spotify revocada');
+    }
+
+    let response;
+    try {
+      response = await axios.post(SPOTIFY_TOKEN_URL, new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: current.refreshToken,
+        client_id: process.env.SPOTIFY_CLIENT_ID,
+        client_secret: process.env.SPOTIFY_CLIENT_SECRET,
+      }), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    } catch (error) {
+      // invalid_grant: el refresh token fue revocado o ya no es válido
+      if (error.response?.status === 400 && error.response?.data?.error === 'invalid_grant') {
+        await this.markRevoked(restaurantId, error.response.data.error_description || 'invalid_grant');
+        throw new Error('Conexión de Spotify revocada');
+      }
+
+      logger.error('Error renovando token Spotify:', { restaurantId, status: error.response?.status, error: error.response?.data?.error || error.message });
+      throw new Error('Error renovando token de Spotify');
+    }
+
+    const { access_token, refresh_token, expires_in, scope } = response.data;
+
+    // Spotify solo devuelve refresh_token/scope si cambian: upsert conserva los actuales
+    const updated = await SpotifyToken.upsert({
+      restaurantId,
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresAt: new Date(Date.now() + (expires_in * 1000)),
+      scope
+    });
+
+    logger.info(`Spotify token refreshed for restaurant ${restaurantId}`);
+    return updated;
+  }
+
+  static async markRevoked(restaurantId, reason) {
+    logger.warn(`Spotify connection revoked for restaurant ${restaurantId}: ${reason}`);
+    await SpotifyToken.markRevoked(restaurantId, reason);
+  }
+}
+
+SpotifyTokenManager.REFRESH_MARGIN_SECONDS = REFRESH_MARGIN_SECONDS;
+
+module.exports = SpotifyTokenManager;
@@ -0,0 +1,143 @@
+// src/services/staffService.js - Personal del restaurante: roles, permisos e invitaciones
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { AuthToken, RestaurantStaff } = require('../models');
+const { sendStaffInvitationEmail } = require('./emailService');
+const { logger } = require('../utils/logger');
+
+// Áreas del panel del restaurante que se pueden limitar por rol
+const PERMISSIONS = ['settings', 'queue', 'catalog', 'billing', 'staff'];
+
+// "owner" es también el rol del login del propio restaurante
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  manager: ['settings', 'queue', 'catalog', 'staff'],
+  dj: ['queue'],
+  viewer: []
+};
+
+// Un miembro solo puede invitar o modificar a roles por debajo del suyo (salvo owner)
+const ROLE_RANK = { owner: 4, manager: 3, dj: 2, viewer: 1 };
+
+const ROLE_LABELS = {
+  owner: 'Propietario',
+  manager: 'Encargado',
+  dj: 'DJ',
+  viewer: 'Solo lectura'
+};
+
+const INVITATION_TTL_DAYS = 7;
+
+class StaffService {
+  static getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  static isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+  }
+
+  static canManageRole(actorRole, targetRole) {
+    if (actorRole === 'owner') return true;
+    return (ROLE_RANK[actorRole] || 0) > (ROLE_RANK[targetRole] || 0);
+  }
+
+  // Nombre de quien actúa (miembro del personal o el propio restaurante)
+  static getActorName(user) {
+    return user.staff ? (user.staff.name || user.staff.email) : user.name;
+  }
+
+  // Crear la cuenta invitada y enviar el email. actor es req.user
+  static async invite(restaurantId, { email, role, name }, actor, req = null) {
+    const existing = await RestaurantStaff.findByRestaurantAndEmail(restaurantId, email);
+    if (existing) {
+      throw new Error('Staff member already exists');
+    }
+
+    const staff = await RestaurantStaff.create({
+      restaurantId,
+      email,
+      name,
+      role,
+      invitedByStaffId: actor.staff?.id || null
+    });
+
+    const emailSent = await this.sendInvitation(staff, actor, req);
+
+    logger.info(`Staff member invited to restaurant ${restaurantId}: ${staff.email} (${role})`);
+    return { staff, emailSent };
+  }
+
+  // (Re)enviar la invitación: invalida los enlaces anteriores
+  static async sendInvitation(staff, actor, req = null) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await AuthToken.deleteByUser(staff.id, 'staff', 'staff_invitation');
+    await AuthToken.create({
+      userId: staff.id,
+      userType: 'staff',
+      token,
+      tokenType: 'staff_invitation',
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+      ipAddress: req?.ip || null,
+      userAgent: req?.get('User-Agent') || null
+    });
+
+    const restaurantName = staff.restaurant?.name || actor.name;
+
+    return sendStaffInvitationEmail(
+      staff.email,
+      restaurantName,
+      ROLE_LABELS[staff.role] || staff.role,
+      token,
+      this.getActorName(actor)
+    );
+  }
+
+  // Aceptar la invitación fijando nombre y contraseña. Devuelve el miembro activado o null si el token no es válido
+  static async acceptInvitation(token, { name, password }) {
+    const authToken = await AuthToken.findByToken(token, 'staff_invitation');
+    if (!authToken || authToken.userType !== 'staff' || !authToken.isValid()) {
+      return null;
+    }
+
+    const staff = await RestaurantStaff.findById(authToken.userId);
+    if (!staff || staff.status !== 'invited') {
+      return null;
+    }
+
+    // Marcar el token primero: dos peticiones simultáneas no activan la cuenta dos veces
+    if (!(await authToken.consume())) {
+      return null;
+    }
+
+    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    return RestaurantStaff.update(staff.id, {
+      name: name || staff.name,
+      password: hashedPassword,
+      status: 'active'
+    });
+  }
+
+  // Identidad y permisos que authenticateToken añade a req.user
+  static buildIdentity(staff) {
+    return {
+      staff: {
+        id: staff.id,
+        name: staff.name,
+        email: staff.email,
+        role: staff.role
+      },
+      role: staff.role,
+      permissions: this.getPermissions(staff.role)
+    };
+  }
+}
+
+StaffService.PERMISSIONS = PERMISSIONS;
+StaffService.ROLES = Object.keys(ROLE_PERMISSIONS);
+StaffService.ROLE_LABELS = ROLE_LABELS;
+
+module.exports = StaffService;
@@ -0,0 +1,229 @@
+// src/services/twoFactorService.js - Autenticación en dos pasos (TOTP + códigos de recuperación)
+const crypto = require('crypto');
+const { executeQuery } = require('../config/database');
+const { AuthToken } = require('../models');
+const { getQRCodeBuffer } = require('./qrService');
+const { encrypt, decrypt } = require('../utils/encryption');
+const totp = require('../utils/totp');
+const { logger } = require('../utils/logger');
+
+const ACCOUNT_TABLES = {
+  restaurant: 'restaurants',
+  registered_user: 'registered_users',
+  staff: 'restaurant_staff'
+};
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Restaurant Music';
+const RECOVERY_CODE_COUNT = 10;
+
+// Tiempo para introducir el código tras validar la contraseña
+const CHALLENGE_TTL_MINUTES = 5;
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, '')).digest('hex');
+
+// Formato XXXX-XXXX para que sea fácil de copiar
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex').toUpperCase().slice(0, 8);
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+const parseCodes = (value) => {
+  if (!value) return [];
+  try {
+    const codes = JSON.parse(value);
+    return Array.isArray(codes) ? codes : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+class TwoFactorService {
+  static isSupportedType(userType) {
+    return Object.prototype.hasOwnProperty.call(ACCOUNT_TABLES, userType);
+  }
+
+  // Los superadmins no pueden operar sin 2FA
+  static isRequired(account) {
+    return account.type === 'registered_user' && account.role === 'superadmin';
+  }
+
+  static async getAccount(userId, userType) {
+    const table = ACCOUNT_TABLES[userType];
+    if (!table) return null;
+
+    const { rows } = await executeQuery(
+      `SELECT id, email, two_factor_enabled, two_factor_secret, two_factor_recovery_codes,
+              two_factor_last_step, two_factor_enabled_at
+       FROM ${table} WHERE id = ?`,
+      [userId]
+    );
+
+    return rows[0] || null;
+  }
+
+  static async getStatus(userId, userType, role = null) {
+    const account = await this.getAccount(userId, userType);
+
+    return {
+      enabled: !!account?.two_factor_enabled,
+      enabledAt: account?.two_factor_enabled_at || null,
+      recoveryCodesRemaining: account?.two_factor_enabled ? parseCodes(account.two_factor_recovery_codes).length : 0,
+      required: this.isRequired({ type: userType, role })
+    };
+  }
+
+  // Generar un secreto pendiente de confirmar y el QR para escanearlo
+  static async startEnrollment(userId, userType) {
+    const account = await this.getAccount(userId, userType);
+    if (!account) {
+      throw new Error('Account not found');
+    }
+    if (account.two_factor_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    const otpauthUrl = totp.buildOtpAuthUri(secret, account.email, ISSUER);
+
+    await executeQuery(
+      `UPDATE ${ACCOUNT_TABLES[userType]}
+       SET two_factor_secret = ?, two_factor_recovery_codes = NULL, two_factor_last_step = NULL
+       WHERE id = ?`,
+      [encrypt(secret), userId]
+    );
+
+    const qrBuffer = await getQRCodeBuffer(otpauthUrl);
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: `data:image/png;base64,${qrBuffer.toString('base64')}`
+    };
+  }
+
+  // Confirmar el alta con un código de la app. Devuelve los códigos de recuperación (solo se muestran una vez)
+  static async confirmEnrollment(userId, userType, code) {
+    const account = await this.getAccount(userId, userType);
+    if (!account || !account.two_factor_secret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+    if (account.two_factor_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const step = totp.verifyCode(decrypt(account.two_factor_secret), code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await executeQuery(
+      `UPDATE ${ACCOUNT_TABLES[userType]}
+       SET two_factor_enabled = 1, two_factor_enabled_at = CURRENT_TIMESTAMP,
+           two_factor_recovery_codes = ?, two_factor_last_step = ?
+       WHERE id = ?`,
+      [JSON.stringify(recoveryCodes.map(hashRecoveryCode)), step, userId]
+    );
+
+    logger.info(`Two-factor authentication enabled for ${userType} ${userId}`);
+    return recoveryCodes;
+  }
+
+  static async disable(userId, userType) {
+    await executeQuery(
+      `UPDATE ${ACCOUNT_TABLES[userType]}
+       SET two_factor_enabled = 0, two_factor_enabled_at = NULL, two_factor_secret = NULL,
+           two_factor_recovery_codes = NULL, two_factor_last_step = NULL
+       WHERE id = ?`,
+      [userId]
+    );
+
+    logger.info(`Two-factor authentication disabled for ${userType} ${userId}`);
+  }
+
+  static async regenerateRecoveryCodes(userId, userType) {
+    const recoveryCodes = generateRecoveryCodes();
+
+    await executeQuery(
+      `UPDATE ${ACCOUNT_TABLES[userType]} SET two_factor_recovery_codes = ? WHERE id = ? AND two_factor_enabled = 1`,
+      [JSON.stringify(recoveryCodes.map(hashRecoveryCode)), userId]
+    );
+
+    return recoveryCodes;
+  }
+
+  // Comprobar un código TOTP o de recuperación de una cuenta con 2FA activo.
+  // Devuelve 'totp' / 'recovery' si es válido, null si no. Cada código solo sirve una vez.
+  static async verifyCode(userId, userType, code) {
+    const account = await this.getAccount(userId, userType);
+    if (!account || !account.two_factor_enabled || !account.two_factor_secret) {
+      return null;
+    }
+
+    const table = ACCOUNT_TABLES[userType];
+    const step = totp.verifyCode(decrypt(account.two_factor_secret), code);
+
+    if (step !== null) {
+      // Marcar el paso como usado de forma atómica (un código interceptado no se puede reutilizar)
+      const { rows } = await executeQuery(
+        `UPDATE ${table} SET two_factor_last_step = ?
+         WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+        [step, userId, step]
+      );
+      return rows.affectedRows > 0 ? 'totp' : null;
+    }
+
+    const storedCodes = parseCodes(account.two_factor_recovery_codes);
+    const hash = hashRecoveryCode(code);
+    if (!storedCodes.includes(hash)) {
+      return null;
+    }
+
+    // Gastar el código solo si la lista no cambió mientras tanto
+    const { rows } = await executeQuery(
+      `UPDATE ${table} SET two_factor_recovery_codes = ? WHERE id = ? AND two_factor_recovery_codes = ?`,
+      [JSON.stringify(storedCodes.filter(stored => stored !== hash)), userId, account.two_factor_recovery_codes]
+    );
+
+    if (rows.affectedRows === 0) {
+      return null;
+    }
+
+    logger.info(`Recovery code used by ${userType} ${userId}, ${storedCodes.length - 1} remaining`);
+    return 'recovery';
+  }
+
+  // Segundo paso del login: token de un solo uso que identifica a la cuenta ya validada con contraseña
+  static async createChallenge(userId, userType, req = null) {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+    await AuthToken.deleteByUser(userId, userType, 'two_factor_challenge');
+    await AuthToken.create({
+      userId,
+      userType,
+      token: challengeToken,
+      tokenType: 'two_factor_challenge',
+      expiresAt,
+      ipAddress: req?.ip || null,
+      userAgent: req?.get('User-Agent') || null
+    });
+
+    return { challengeToken, expiresAt };
+  }
+
+  static async findChallenge(challengeToken) {
+    const authToken = await AuthToken.findByToken(challengeToken, 'two_factor_challenge');
+    if (!authToken || !authToken.isValid() || !this.isSupportedType(authToken.userType)) {
+      return null;
+    }
+    return authToken;
+  }
+}
+
+TwoFactorService.CHALLENGE_TTL_MINUTES = CHALLENGE_TTL_MINUTES;
+
+module.exports = TwoFactorService;
@@ -0,0 +1,93 @@
+// src/services/waitTimeService.js - Estimación del tiempo de espera según la duración real de las canciones
+const { executeQuery } = require('../config/database');
+const { parseDuration } = require('../utils/helpers');
+
+// Duración usada cuando la canción no tiene una duración válida (3 minutos)
+const DEFAULT_SONG_DURATION_SECONDS = 180;
+
+class WaitTimeService {
+  // Duración de una canción en segundos, con fallback si no es válida
+  static getSongDurationSeconds(duration) {
+    return parseDuration(duration) || DEFAULT_SONG_DURATION_SECONDS;
+  }
+
+  // Segundos que le quedan a la canción que está sonando
+  static getRemainingSeconds(playingRequest, now = Date.now()) {
+    if (!playingRequest) return 0;
+
+    const duration = this.getSongDurationSeconds(playingRequest.duration);
+    if (!playingRequest.started_playing_at) return duration;
+
+    const elapsed = Math.floor((now - new Date(playingRequest.started_playing_at).getTime()) / 1000);
+    return Math.min(duration, Math.max(0, duration - elapsed));
+  }
+
+  // Calcular la espera de cada petición activa del restaurante.
+  // Devuelve un Map requestId -> segundos hasta que empiece a sonar.
+  static async getQueueTimeline(restaurantId) {
+    const { rows } = await executeQuery(
+      `SELECT r.id, r.status, r.queue_position, r.started_playing_at, s.duration
+       FROM requests r
+       JOIN songs s ON r.song_id = s.id
+       WHERE r.restaurant_id = ? AND r.status IN ('playing', 'pending')
+       ORDER BY FIELD(r.status, 'playing', 'pending'), r.queue_position ASC, r.requested_at ASC`,
+      [restaurantId]
+    );
+
+    const now = Date.now();
+    const waits = new Map();
+    const playing = rows.find(row => row.status === 'playing');
+    let elapsed = this.getRemainingSeconds(playing, now);
+
+    for (const row of rows) {
+      if (row.status === 'playing') {
+        waits.set(row.id, 0);
+        continue;
+      }
+
+      waits.set(row.id, elapsed);
+      elapsed += this.getSongDurationSeconds(row.duration);
+    }
+
+    return {
+      waits,
+      currentRemainingSeconds: playing ? this.getRemainingSeconds(playing, now) : 0,
+      totalSeconds: elapsed
+    };
+  }
+
+  // Campos de espera que se añaden a cada petición en las respuestas
+  static formatWait(seconds) {
+    if (seconds === undefined || seconds === null) {
+      return {
+        estimatedWaitSeconds: null,
+        estimatedWaitTime: null,
+        estimatedStartAt: null
+      };
+    }
+
+    return {
+      estimatedWaitSeconds: seconds,
+      estimatedWaitTime: Math.ceil(seconds / 60), // minutos
+      estimatedStartAt: new Date(Date.now() + seconds * 1000).toISOString()
+    };
+  }
+
+  // Añadir la espera estimada a una lista de peticiones (solo pendientes y en reproducción)
+  static async attachToRequests(restaurantId, requests) {
+    const { waits } = await this.getQueueTimeline(restaurantId);
+
+    return requests.map(request => ({
+      ...request,
+      ...this.formatWait(waits.get(request.id))
+    }));
+  }
+
+  // Espera estimada de una petición concreta
+  static async estimateForRequest(restaurantId, requestId) {
+    const { waits } = await this.getQueueTimeline(restaurantId);
+    return this.formatWait(waits.get(requestId));
+  }
+}
+
+module.exports = WaitTimeService;
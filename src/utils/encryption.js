@@ -0,0 +1,60 @@
+// src/utils/encryption.js - Cifrado simétrico (AES-256-GCM) para secretos guardados en BD
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+
+let warnedFallback = false;
+
+// Clave de 32 bytes derivada de TOKEN_ENCRYPTION_KEY (o JWT_SECRET como respaldo)
+const getKey = () => {
+  let secret = process.env.TOKEN_ENCRYPTION_KEY;
+
+  if (!secret) {
+    secret = process.env.JWT_SECRET;
+    if (!warnedFallback) {
+      logger.warn('TOKEN_ENCRYPTION_KEY is not set, using JWT_SECRET to encrypt stored tokens');
+      warnedFallback = true;
+    }
+  }
+
+  if (!secret) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not defined');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+// Comprobar si un valor fue generado por encrypt()
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+// Cifrar texto -> "enc:v1:<iv>:<tag>:<datos>" (base64)
+const encrypt = (text) => {
+  if (text === null || text === undefined || text === '') return text;
+  if (isEncrypted(text)) return text;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const data = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${data.toString('base64')}`;
+};
+
+// Descifrar un valor de encrypt(). Los valores en texto plano (guardados antes del cifrado) se devuelven tal cual
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [iv, tag, data] = value.slice(PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted
+};
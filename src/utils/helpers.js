@@ -94,10 +94,135 @@ const formatDuration = (seconds) => {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 };
 
-// Parse duration from mm:ss to seconds
+// Parse duration from mm:ss (or hh:mm:ss / plain seconds) to seconds, 0 if invalid
 const parseDuration = (duration) => {
-  const parts = duration.split(':');
-  return parseInt(parts[0]) * 60 + parseInt(parts[1]);
+  if (duration === null || duration === undefined || duration === '') return 0;
+  if (typeof duration === 'number') return Math.max(0, Math.floor(duration));
+
+  const parts = duration.toString().trim().split(':').map(part => parseInt(part, 10));
+  if (parts.some(part => isNaN(part))) return 0;
+
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+// Get local date/time parts of a date in a given IANA timezone (e.g. America/Bogota)
+const getTimeZoneParts = (date = new Date(), timeZone = 'America/Bogota') => {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  } catch (error) {
+    // Invalid timezone, fall back to UTC
+    return getTimeZoneParts(date, 'UTC');
+  }
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  };
+};
+
+// Normalize pagination params (page >= 1, 1 <= limit <= 100)
+const paginate = (page = 1, limit = 20) => {
+  const currentPage = Math.max(1, parseInt(page) || 1);
+  const currentLimit = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const offset = (currentPage - 1) * currentLimit;
+
+  return { page: currentPage, limit: currentLimit, offset };
+};
+
+// Calculate pagination info for responses
+const calculatePagination = (total, page, limit) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    total,
+    page,
+    limit,
+    totalPages,
+    hasNext: page < totalPages,
+    hasPrev: page > 1
+  };
+};
+
+// Parse CSV text (RFC 4180: quoted fields, escaped quotes, CRLF) into an array of objects
+// keyed by the header row. Empty lines are skipped.
+const parseCSV = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.toString().replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter(r => r.some(value => value.trim() !== ''));
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(header => header.trim());
+  return rows.slice(1).map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return row;
+  });
+};
+
+// Ocultar el token de acceso de una URL (?token=...) antes de escribirla en logs
+const redactQueryToken = (url) => {
+  if (!url) return url;
+  return url.replace(/([?&]token=)[^&#]*/gi, '$1[REDACTED]');
 };
 
 // Capitalize first letter of each word
@@ -174,6 +299,11 @@ module.exports = {
   isValidPhone,
   formatDuration,
   parseDuration,
+  getTimeZoneParts,
+  paginate,
+  calculatePagination,
+  parseCSV,
+  redactQueryToken,
   titleCase,
   deepClone,
   isEmpty,